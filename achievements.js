@@ -0,0 +1,201 @@
+/**
+ * SPACE PONG - Achievements
+ * Achievement definitions and the per-run metrics they are judged on.
+ * Shared by the browser game (window.SpacePongAchievements) and the worker,
+ * which re-derives the metrics from a submitted replay so the achievements
+ * shown on the leaderboard can't be claimed without playing for them.
+ *
+ * An achievement is plain data: it unlocks once `metric` reaches `goal`.
+ * Run metrics come from a single run (RunMetrics); career metrics are
+ * totals over every run (addRun).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpacePongAchievements = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Most paddle travel (radians) between two hits that keeps a steady streak
+    const STEADY_TRAVEL = Math.PI / 2;
+
+    const ACHIEVEMENTS = [
+        {
+            id: 'first-contact', icon: '🏓', title: 'First Contact',
+            description: 'Return the ball once',
+            scope: 'run', metric: 'score', goal: 1
+        },
+        {
+            id: 'slingshot', icon: '🌀', title: 'Slingshot',
+            description: 'Survive a slingshot off the event horizon',
+            scope: 'run', metric: 'survivedSlingshots', goal: 1
+        },
+        {
+            id: 'gravity-assist', icon: '🪐', title: 'Gravity Assist',
+            description: 'Survive 5 slingshots in one run',
+            scope: 'run', metric: 'survivedSlingshots', goal: 5
+        },
+        {
+            id: 'double-time', icon: '⚡', title: 'Double Time',
+            description: 'Reach 2x speed',
+            scope: 'run', metric: 'peakSpeed', goal: 2
+        },
+        {
+            id: 'clean-streak', icon: '🔥', title: 'Clean Streak',
+            description: 'Return the ball 25 times in a row without a slingshot',
+            scope: 'run', metric: 'longestStreak', goal: 25
+        },
+        {
+            id: 'half-century', icon: '🎯', title: 'Half Century',
+            description: 'Score 50 in one run',
+            scope: 'run', metric: 'score', goal: 50
+        },
+        {
+            id: 'steady-hand', icon: '🧘', title: 'Steady Hand',
+            description: 'Return the ball 50 times in a row, moving the paddle less than a quarter turn for each',
+            scope: 'run', metric: 'longestSteadyStreak', goal: 50
+        },
+        {
+            id: 'centurion', icon: '💯', title: 'Centurion',
+            description: 'Score 100 in one run',
+            scope: 'run', metric: 'score', goal: 100
+        },
+        {
+            id: 'regular', icon: '🎮', title: 'Regular',
+            description: 'Play 100 games',
+            scope: 'career', metric: 'games', goal: 100
+        },
+        {
+            id: 'veteran', icon: '🏆', title: 'Veteran',
+            description: 'Score 1000 points in total',
+            scope: 'career', metric: 'totalScore', goal: 1000
+        }
+    ];
+
+    const BY_ID = new Map(ACHIEVEMENTS.map(a => [a.id, a]));
+
+    // Smallest signed difference between two angles
+    function angleDelta(from, to) {
+        let delta = (to - from) % (Math.PI * 2);
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        return delta;
+    }
+
+    /**
+     * Counters for one run, fed the simulation after every step. Only uses
+     * the simulation's deterministic state, so a replay reproduces them.
+     * A streak is a run of paddle hits with no black-hole slingshot in between;
+     * a steady streak is a run of hits each reached with at most STEADY_TRAVEL
+     * of paddle movement since the previous one.
+     */
+    class RunMetrics {
+        constructor() {
+            this.launchTick = null;
+            this.score = 0;
+            this.peakSpeed = 1;
+            this.slingshots = 0;
+            this.survivedSlingshots = 0;
+            this.streak = 0;
+            this.longestStreak = 0;
+            this.steadyStreak = 0;
+            this.longestSteadyStreak = 0;
+            this.slingshotPending = false;
+            this.lastAngle = null;
+            this.travelSinceHit = 0;
+        }
+
+        observe(sim, events) {
+            // Aiming before the launch is free; the paddle moves at the start of a tick
+            if (this.lastAngle !== null) {
+                this.travelSinceHit += Math.abs(angleDelta(this.lastAngle, sim.paddleAngle));
+                this.lastAngle = sim.paddleAngle;
+            }
+
+            events.forEach(event => {
+                if (event.type === 'launch') {
+                    this.launchTick = sim.tick;
+                    this.lastAngle = sim.paddleAngle;
+                } else if (event.type === 'hit') {
+                    this.score = event.score;
+                    this.streak++;
+                    this.longestStreak = Math.max(this.longestStreak, this.streak);
+                    this.steadyStreak = this.travelSinceHit <= STEADY_TRAVEL ? this.steadyStreak + 1 : 0;
+                    this.longestSteadyStreak = Math.max(this.longestSteadyStreak, this.steadyStreak);
+                    this.travelSinceHit = 0;
+                    if (this.slingshotPending) {
+                        this.slingshotPending = false;
+                        this.survivedSlingshots++;
+                    }
+                } else if (event.type === 'blackHoleBounce') {
+                    this.slingshots++;
+                    this.slingshotPending = true;
+                    this.streak = 0;
+                }
+            });
+            this.peakSpeed = Math.max(this.peakSpeed, sim.speedMultiplier);
+        }
+
+        // Ticks from launch to the tick last observed
+        activeTicks(sim) {
+            return this.launchTick === null ? 0 : sim.tick - this.launchTick;
+        }
+    }
+
+    function emptyCareer() {
+        return { games: 0, totalScore: 0, totalSlingshots: 0 };
+    }
+
+    // Career totals with a finished run added
+    function addRun(career, metrics) {
+        const base = Object.assign(emptyCareer(), career);
+        return {
+            games: base.games + 1,
+            totalScore: base.totalScore + metrics.score,
+            totalSlingshots: base.totalSlingshots + metrics.slingshots
+        };
+    }
+
+    // How far along an achievement is, as the value of its metric
+    function progress(achievement, metrics, career) {
+        const source = achievement.scope === 'career' ? career : metrics;
+        return source && typeof source[achievement.metric] === 'number' ? source[achievement.metric] : 0;
+    }
+
+    /**
+     * Achievements reached by these metrics that aren't in `unlocked` yet.
+     * @param {RunMetrics | null} metrics - the current run, if any
+     * @param {Object | null} career - career totals, if any
+     * @param {Iterable<string>} unlocked - ids already unlocked
+     * @returns {Object[]} definitions, in definition order
+     */
+    function newlyUnlocked(metrics, career, unlocked) {
+        const have = new Set(unlocked);
+        return ACHIEVEMENTS.filter(a => !have.has(a.id) && progress(a, metrics, career) >= a.goal);
+    }
+
+    function getAchievement(id) {
+        return BY_ID.get(id) || null;
+    }
+
+    // Known ids only, in definition order
+    function sortIds(ids) {
+        const have = new Set(ids);
+        return ACHIEVEMENTS.filter(a => have.has(a.id)).map(a => a.id);
+    }
+
+    return {
+        ACHIEVEMENTS,
+        STEADY_TRAVEL,
+        RunMetrics,
+        emptyCareer,
+        addRun,
+        progress,
+        newlyUnlocked,
+        getAchievement,
+        sortIds
+    };
+});
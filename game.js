@@ -7,50 +7,151 @@
 // CONFIGURATION
 // ============================================
 
+// Physics constants live in SIM_CONFIG (simulation.js) so the game and the
+// leaderboard worker share them. CONFIG only holds presentation settings.
+const {
+    Simulation, SIM_CONFIG, GAME_MODES, DEFAULT_MODE, MAX_TARGET_SCORE, POWER_UPS, isValidMode, quantizeAngle, Random,
+    DIFFICULTIES, DEFAULT_DIFFICULTY, PHYSICS_LIMITS, isValidDifficulty, validatePhysics, defaultPhysics
+} = window.SpacePongSim;
+const { ReplayRecorder, decodeReplay } = window.SpacePongReplay;
+const { normalizeName, graphemes, MAX_NAME_GRAPHEMES, MAX_NAME_INPUT_LENGTH } = window.SpacePongNames;
+const { ACHIEVEMENTS, RunMetrics, emptyCareer, addRun, newlyUnlocked, progress, getAchievement } = window.SpacePongAchievements;
+const {
+    PROTOCOL_VERSION, SNAPSHOT_EVERY, createSnapshot, applySnapshot, RemoteInput, PaddlePredictor, SnapshotBuffer
+} = window.SpacePongNet;
+
 const CONFIG = {
     // Arena
     ARENA_RADIUS_FACTOR: 0.42,
 
-    // Physics
-    GRAVITY_STRENGTH: 18000,
-    MAX_SPEED: 12,
-    SPEED_INCREMENT: 0.000015,
-    HIT_SPEED_BOOST: 0.002,
-
     // Paddle
-    PADDLE_ARC_LENGTH: 0.5,
     PADDLE_WIDTH: 12,
 
+    // Paddle colours: player one, then the versus rival
+    PADDLE_COLORS: [
+        { glow: '0, 240, 255', shadow: '#00f0ff', gradient: ['#00f0ff', '#7b42f6', '#ff00aa'] },
+        { glow: '255, 0, 170', shadow: '#ff00aa', gradient: ['#ff00aa', '#ff6b00', '#ffcc00'] }
+    ],
+
+    // Versus: points-to-win choices, and how fast a held key turns the rival paddle
+    VERSUS_TARGETS: [3, 5, 7, 11, 21],
+    RIVAL_KEY_SPEED: 0.06, // radians per tick
+
+    // Custom difficulty sliders, by PHYSICS_LIMITS key; values show relative to normal
+    PHYSICS_LABELS: {
+        GRAVITY_STRENGTH: 'GRAVITY',
+        MAX_SPEED: 'TOP SPEED',
+        SPEED_INCREMENT: 'SPEED RAMP',
+        HIT_SPEED_BOOST: 'HIT BOOST'
+    },
+
     // Black Hole
-    BLACK_HOLE_RADIUS: 30,
     ACCRETION_DISK_RADIUS: 80,
 
+    // Frame time cap so a backgrounded tab doesn't fast-forward the game
+    MAX_FRAME_TIME: 250,
+
+    // Replay playback
+    REPLAY_SPEEDS: [0.25, 0.5, 1, 2, 4],
+
     // Particles
     STAR_COUNT: 350,
-    TRAIL_PARTICLE_COUNT: 50,
+    TRAIL_PARTICLE_COUNT: 50, // per ball the mode allows in play
+
+    // Ball and trail colours, by ball id, so each ball in multi-ball stays recognisable
+    BALL_COLORS: [
+        { hue: 180, trail: '#00f0ff' },
+        { hue: 320, trail: '#ff3df0' },
+        { hue: 140, trail: '#00ff87' },
+        { hue: 45, trail: '#ffcc00' }
+    ],
+
+    // Power-ups: pickup and HUD timer colour (r, g, b), glyph and name
+    POWER_UP_STYLES: {
+        widen: { color: '0, 255, 135', icon: '↔', label: 'WIDE PADDLE' },
+        slow: { color: '123, 66, 246', icon: '⧗', label: 'TIME SLOW' },
+        shield: { color: '0, 240, 255', icon: '◈', label: 'SHIELD' },
+        flip: { color: '255, 0, 170', icon: '⇅', label: 'GRAVITY FLIP' }
+    },
+    PICKUP_BLINK_TICKS: 120, // uncollected pickups blink for this long before vanishing
+
+    // Hazards: breakable rock and unbreakable iron asteroids, and their debris
+    HAZARD_COLORS: {
+        rock: { fill: '#4a3b33', edge: '#b08968' },
+        iron: { fill: '#2e3542', edge: '#8fa3bf' }
+    },
+    DEBRIS_COUNT: 10,
 
     // Visual
     WARP_INTENSITY: 0.3,
 
     // Leaderboard API (update with your Worker URL after deployment)
-    LEADERBOARD_API: 'https://space-pong-leaderboard.priyavkaneria.workers.dev'
+    LEADERBOARD_API: 'https://space-pong-leaderboard.priyavkaneria.workers.dev',
+
+    // ?api=local points the leaderboard at a local worker (worker/dev-server.js
+    // or `wrangler dev`), ?api=http://localhost:<port> at any other local one
+    LOCAL_LEADERBOARD_API: 'http://localhost:8787'
 };
 
+// Only loopback addresses are accepted: the identity secret goes wherever
+// submissions do, so a shared link must not be able to redirect them
+function leaderboardApiOverride(value) {
+    if (!value) return null;
+    if (value === 'local') return CONFIG.LOCAL_LEADERBOARD_API;
+    try {
+        const url = new URL(value);
+        const loopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        if (loopback && (url.protocol === 'http:' || url.protocol === 'https:')) {
+            return url.origin;
+        }
+    } catch (e) {
+        // Fall through to the warning
+    }
+    console.warn('Ignoring ?api= override (only local endpoints are allowed):', value);
+    return null;
+}
+
+CONFIG.LEADERBOARD_API = leaderboardApiOverride(new URLSearchParams(window.location.search).get('api'))
+    || CONFIG.LEADERBOARD_API;
+
 // ============================================
 // LEADERBOARD API
 // ============================================
 
 const LeaderboardAPI = {
     token: null,
+    SESSION_KEY: 'spacePongSession',
+
+    // Tokens are bound to this tab's session id; the worker rejects them anywhere else
+    getSession() {
+        let session = null;
+        try {
+            session = sessionStorage.getItem(this.SESSION_KEY);
+            if (!session) {
+                session = crypto.randomUUID();
+                sessionStorage.setItem(this.SESSION_KEY, session);
+            }
+        } catch (e) {
+            // Storage unavailable (private mode); keep the id for this page only
+            this.fallbackSession = this.fallbackSession || crypto.randomUUID();
+            session = this.fallbackSession;
+        }
+        return session;
+    },
 
-    async startGame() {
+    async startGame(seed) {
+        // Drop the last run's token so it can't be paired with this run
+        this.token = null;
+        this.tokenSeed = null;
         try {
             const response = await fetch(`${CONFIG.LEADERBOARD_API}/api/start`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ session: this.getSession(), seed })
             });
             const data = await response.json();
             this.token = data.token;
+            this.tokenSeed = seed;
             return data;
         } catch (e) {
             console.warn('Could not get game token:', e);
@@ -58,34 +159,244 @@ const LeaderboardAPI = {
         }
     },
 
-    async submitScore(name, score) {
-        if (!this.token) {
-            return { error: 'No game token' };
-        }
+    /**
+     * Take the current token for the run that just ended. The result holds
+     * everything the worker needs, so it can be sent now or queued for later.
+     * @returns {Object | null} null if that run never got a token
+     */
+    createSubmission(score, replay) {
+        if (!this.token || this.tokenSeed !== replay.seed) return null;
+        const submission = { token: this.token, session: this.getSession(), score, replay };
+        this.token = null;
+        return submission;
+    },
+
+    // The worker re-simulates the replay and only accepts the score it produces.
+    // Failures worth retrying later (offline, server trouble) come back with
+    // `retryable` set.
+    async submitScore(submission) {
         try {
             const response = await fetch(`${CONFIG.LEADERBOARD_API}/api/submit`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ token: this.token, name, score })
+                body: JSON.stringify(Object.assign({ identity: PlayerIdentity.getSecret() }, submission))
             });
             const data = await response.json();
-            this.token = null; // Invalidate token after use
+            if (response.status >= 500 || response.status === 429) {
+                data.retryable = true;
+            }
             return data;
         } catch (e) {
             console.warn('Could not submit score:', e);
-            return { error: 'Network error' };
+            return { error: 'Network error', retryable: true };
         }
     },
 
-    async getLeaderboard() {
+    // window: 'daily' | 'weekly' | 'monthly' | 'all'; difficulty: a ranked DIFFICULTIES key
+    async getLeaderboard(window = 'all', difficulty = DEFAULT_DIFFICULTY, offset = 0, limit = 10) {
         try {
-            const response = await fetch(`${CONFIG.LEADERBOARD_API}/api/leaderboard`);
+            const params = new URLSearchParams({ window, difficulty, offset, limit });
+            const response = await fetch(`${CONFIG.LEADERBOARD_API}/api/leaderboard?${params}`);
             const data = await response.json();
             return data.leaderboard || [];
         } catch (e) {
             console.warn('Could not fetch leaderboard:', e);
             return [];
         }
+    },
+
+    // Returns { rank, entry, nearby } or null if the player isn't on that board
+    async getRank(name, window = 'all', difficulty = DEFAULT_DIFFICULTY, radius = 4) {
+        try {
+            const params = new URLSearchParams({ name, window, difficulty, radius });
+            const response = await fetch(`${CONFIG.LEADERBOARD_API}/api/rank?${params}`);
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (e) {
+            console.warn('Could not fetch rank:', e);
+            return null;
+        }
+    }
+};
+
+// ============================================
+// ONLINE LOBBIES
+// ============================================
+
+// Online versus meets in a lobby on the same worker as the leaderboard
+// (worker/relay.js): the host opens one and shares its join code, and both
+// players connect to it over a WebSocket
+const OnlineAPI = {
+    // Returns { code } or { error }
+    async createLobby() {
+        try {
+            const response = await fetch(`${CONFIG.LEADERBOARD_API}/api/lobby`, { method: 'POST' });
+            const data = await response.json();
+            return data.code ? data : { error: data.error || 'Could not open a lobby' };
+        } catch (e) {
+            console.warn('Could not open a lobby:', e);
+            return { error: 'Network error' };
+        }
+    },
+
+    connect(code, role) {
+        const url = new URL(`/api/lobby/${code}`, CONFIG.LEADERBOARD_API);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        url.searchParams.set('role', role);
+        return new WebSocket(url);
+    }
+};
+
+// ============================================
+// PLAYER IDENTITY
+// ============================================
+
+// A random secret generated once per browser. The worker hashes it into an
+// identity that owns the player's name and leaderboard entries.
+const PlayerIdentity = {
+    STORAGE_KEY: 'spacePongIdentity',
+    secret: null,
+
+    getSecret() {
+        if (this.secret) return this.secret;
+        try {
+            this.secret = localStorage.getItem(this.STORAGE_KEY);
+            if (!/^[0-9a-f]{64}$/.test(this.secret || '')) {
+                this.secret = this.generate();
+                localStorage.setItem(this.STORAGE_KEY, this.secret);
+            }
+        } catch (e) {
+            // Storage unavailable (private mode); the identity lasts for this page only
+            this.secret = this.secret || this.generate();
+        }
+        return this.secret;
+    },
+
+    generate() {
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Short tag for local data; safe to store next to it, unlike the secret
+    fingerprint() {
+        let hash = 0x811c9dc5;
+        const secret = this.getSecret();
+        for (let i = 0; i < secret.length; i++) {
+            hash ^= secret.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+};
+
+// ============================================
+// OFFLINE SCORE QUEUE
+// ============================================
+
+// Submissions that failed on a network or server error wait here, in
+// localStorage so they survive a reload, and are retried with backoff.
+// The worker accepts them as long as their token is still valid.
+const ScoreQueue = {
+    STORAGE_KEY: 'spacePongQueue',
+    MAX_ITEMS: 10,
+    BASE_RETRY_DELAY: 5000,
+    MAX_RETRY_DELAY: 300000,
+
+    items: [],
+    timer: null,
+    sending: false,
+    onChange: null, // (event: {type, item?, result?}) => void
+
+    init(onChange) {
+        this.onChange = onChange;
+        this.items = this.load();
+        // Back online: no point waiting out the backoff
+        window.addEventListener('online', () => {
+            this.items.forEach(item => { item.nextAttempt = Date.now(); });
+            this.flush();
+        });
+        this.flush();
+    },
+
+    load() {
+        try {
+            const items = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            return Array.isArray(items) ? items : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.items));
+        } catch (e) {
+            // Over quota: keep the queue in memory for this page at least
+            console.warn('Could not save score queue');
+        }
+    },
+
+    add(submission) {
+        this.items.push({ submission, attempts: 0, nextAttempt: Date.now() });
+        // Oldest runs go first; their tokens are closest to expiring anyway
+        if (this.items.length > this.MAX_ITEMS) this.items.shift();
+        this.save();
+        this.notify({ type: 'queued' });
+        this.schedule();
+    },
+
+    notify(event) {
+        if (this.onChange) this.onChange(event);
+    },
+
+    retryDelay(item, result) {
+        if (result.retryAfter) return result.retryAfter * 1000;
+        const backoff = this.BASE_RETRY_DELAY * Math.pow(2, item.attempts - 1);
+        return Math.min(this.MAX_RETRY_DELAY, backoff) * (0.75 + Math.random() * 0.5);
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.items.length === 0) return;
+
+        const next = Math.min(...this.items.map(item => item.nextAttempt));
+        this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+    },
+
+    async flush() {
+        if (this.sending || this.items.length === 0) return;
+        this.sending = true;
+        this.notify({ type: 'sending' });
+
+        for (const item of this.items.slice()) {
+            if (item.nextAttempt > Date.now()) continue;
+
+            const result = await LeaderboardAPI.submitScore(item.submission);
+            if (result.retryable) {
+                item.attempts++;
+                item.nextAttempt = Date.now() + this.retryDelay(item, result);
+
+                // Offline or throttled: the rest would fail the same way, so
+                // they wait as long as this one
+                if (!result.code || result.code === 'RATE_LIMITED') {
+                    this.items.forEach(other => {
+                        other.nextAttempt = Math.max(other.nextAttempt, item.nextAttempt);
+                    });
+                    break;
+                }
+                continue;
+            }
+
+            // Accepted, or rejected for good (expired token, name taken...)
+            this.items.splice(this.items.indexOf(item), 1);
+            this.notify({ type: result.success ? 'submitted' : 'rejected', item, result });
+        }
+
+        this.sending = false;
+        this.save();
+        this.notify({ type: 'idle' });
+        this.schedule();
     }
 };
 
@@ -101,7 +412,7 @@ const HighScoreManager = {
     encode(score) {
         const timestamp = Date.now();
         const checksum = (score * 7 + 42) ^ this.SECRET;
-        const data = { s: score ^ this.SECRET, t: timestamp, c: checksum };
+        const data = { s: score ^ this.SECRET, t: timestamp, c: checksum, i: PlayerIdentity.fingerprint() };
         return btoa(JSON.stringify(data));
     },
 
@@ -117,6 +428,12 @@ const HighScoreManager = {
                 return 0;
             }
 
+            // The best belongs to the identity that set it. Records from
+            // before identities existed are adopted by the current one.
+            if (data.i && data.i !== PlayerIdentity.fingerprint()) {
+                return 0;
+            }
+
             // Validate score is reasonable (0-9999)
             if (score < 0 || score > 9999 || !Number.isInteger(score)) {
                 return 0;
@@ -128,17 +445,26 @@ const HighScoreManager = {
         }
     },
 
-    save(score) {
+    // Each mode and difficulty keeps its own best, so a multi-ball score
+    // never stands as the classic one; classic on normal keeps the original key
+    storageKey(mode, difficulty) {
+        const parts = [this.STORAGE_KEY];
+        if (mode !== DEFAULT_MODE) parts.push(mode);
+        if (difficulty !== DEFAULT_DIFFICULTY) parts.push(difficulty);
+        return parts.join('_');
+    },
+
+    save(score, mode = DEFAULT_MODE, difficulty = DEFAULT_DIFFICULTY) {
         try {
-            localStorage.setItem(this.STORAGE_KEY, this.encode(score));
+            localStorage.setItem(this.storageKey(mode, difficulty), this.encode(score));
         } catch (e) {
             console.warn('Could not save high score');
         }
     },
 
-    load() {
+    load(mode = DEFAULT_MODE, difficulty = DEFAULT_DIFFICULTY) {
         try {
-            const encoded = localStorage.getItem(this.STORAGE_KEY);
+            const encoded = localStorage.getItem(this.storageKey(mode, difficulty));
             if (!encoded) return 0;
             return this.decode(encoded);
         } catch (e) {
@@ -147,6 +473,226 @@ const HighScoreManager = {
     }
 };
 
+// ============================================
+// CAREER STATS
+// ============================================
+
+// Every finished run, oldest first, in localStorage. Unlike the high score
+// this is for the player's own interest, so it's stored as plain JSON.
+const StatsStore = {
+    STORAGE_KEY: 'spacePongStats',
+    EXPORT_FORMAT: 'space-pong-stats',
+    VERSION: 1,
+    MAX_RUNS: 5000,
+    runs: null,
+
+    load() {
+        if (this.runs) return this.runs;
+        try {
+            const data = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            this.runs = data && Array.isArray(data.runs) ? data.runs.filter(run => this.isValidRun(run)) : [];
+        } catch (e) {
+            this.runs = [];
+        }
+        return this.runs;
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ version: this.VERSION, runs: this.runs }));
+        } catch (e) {
+            console.warn('Could not save stats');
+        }
+    },
+
+    // A finished run as stored, from its RunMetrics (achievements.js)
+    runRecord(sim, metrics) {
+        return {
+            date: new Date().toISOString(),
+            score: sim.score,
+            duration: Math.round(metrics.activeTicks(sim) * sim.tickMs),
+            peakSpeed: Math.round(metrics.peakSpeed * 100) / 100,
+            slingshots: metrics.slingshots,
+            longestStreak: metrics.longestStreak,
+            seed: sim.seed,
+            mode: sim.mode,
+            difficulty: sim.difficulty
+        };
+    },
+
+    record(run) {
+        this.load().push(run);
+        this.trim();
+        this.save();
+    },
+
+    // Keep the newest runs when over the limit
+    trim() {
+        if (this.runs.length > this.MAX_RUNS) {
+            this.runs.splice(0, this.runs.length - this.MAX_RUNS);
+        }
+    },
+
+    isValidRun(run) {
+        const count = value => Number.isInteger(value) && value >= 0;
+        return !!run && typeof run === 'object' &&
+            typeof run.date === 'string' && !isNaN(Date.parse(run.date)) &&
+            count(run.score) && count(run.duration) && count(run.slingshots) && count(run.longestStreak) &&
+            typeof run.peakSpeed === 'number' && run.peakSpeed >= 1 && run.peakSpeed < 1000;
+    },
+
+    summary() {
+        const runs = this.load();
+        const sum = key => runs.reduce((total, run) => total + run[key], 0);
+        const max = key => runs.reduce((best, run) => Math.max(best, run[key]), 0);
+        const average = key => runs.length ? sum(key) / runs.length : 0;
+        return {
+            runs: runs.length,
+            totalScore: sum('score'),
+            totalTime: sum('duration'),
+            totalSlingshots: sum('slingshots'),
+            bestScore: max('score'),
+            longestStreak: max('longestStreak'),
+            topSpeed: max('peakSpeed'),
+            averageScore: average('score'),
+            averageDuration: average('duration'),
+            averageSlingshots: average('slingshots'),
+            averageStreak: average('longestStreak'),
+            averagePeakSpeed: average('peakSpeed')
+        };
+    },
+
+    exportJSON() {
+        return JSON.stringify({
+            format: this.EXPORT_FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            runs: this.load()
+        }, null, 2);
+    },
+
+    /**
+     * Merge runs from an exported file. Runs already stored are skipped, so
+     * importing the same file twice changes nothing.
+     * @returns {{added: number, skipped: number}}
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== this.EXPORT_FORMAT || !Array.isArray(data.runs)) {
+            throw new Error('Not a Space Pong stats file');
+        }
+        if (data.version > this.VERSION) {
+            throw new Error('Stats file is from a newer version');
+        }
+
+        const runKey = run => `${run.date}|${run.seed}|${run.score}`;
+        const runs = this.load();
+        const known = new Set(runs.map(runKey));
+        let added = 0;
+        data.runs.forEach(run => {
+            if (!this.isValidRun(run) || known.has(runKey(run))) return;
+            known.add(runKey(run));
+            const imported = {
+                date: run.date,
+                score: run.score,
+                duration: run.duration,
+                peakSpeed: run.peakSpeed,
+                slingshots: run.slingshots,
+                longestStreak: run.longestStreak,
+                seed: Number.isInteger(run.seed) ? run.seed : null
+            };
+            // Runs recorded before modes and difficulties existed have neither
+            if (isValidMode(run.mode)) imported.mode = run.mode;
+            if (isValidDifficulty(run.difficulty)) imported.difficulty = run.difficulty;
+            runs.push(imported);
+            added++;
+        });
+
+        runs.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+        this.trim();
+        this.save();
+        return { added, skipped: data.runs.length - added };
+    }
+};
+
+// ============================================
+// ACHIEVEMENTS
+// ============================================
+
+// Unlocked achievements (definitions in achievements.js) and career totals,
+// in localStorage. The worker keeps its own verified copy for the boards.
+const AchievementStore = {
+    STORAGE_KEY: 'spacePongAchievements',
+    SHARE_KEY: 'spacePongShareAchievements',
+    data: null,
+
+    load() {
+        if (this.data) return this.data;
+        try {
+            const data = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            this.data = {
+                unlocked: data && data.unlocked ? data.unlocked : {},
+                career: Object.assign(emptyCareer(), data && data.career)
+            };
+        } catch (e) {
+            this.data = { unlocked: {}, career: emptyCareer() };
+        }
+        return this.data;
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('Could not save achievements');
+        }
+    },
+
+    unlockedAt(id) {
+        return this.load().unlocked[id] || null;
+    },
+
+    /**
+     * Unlock whatever these metrics have reached.
+     * @returns {Object[]} the definitions unlocked just now
+     */
+    check(metrics, career) {
+        const data = this.load();
+        const newly = newlyUnlocked(metrics, career, Object.keys(data.unlocked));
+        if (newly.length > 0) {
+            const at = new Date().toISOString();
+            newly.forEach(achievement => { data.unlocked[achievement.id] = at; });
+            this.save();
+        }
+        return newly;
+    },
+
+    // Add a finished run to the career totals
+    recordRun(metrics) {
+        const data = this.load();
+        data.career = addRun(data.career, metrics);
+        this.save();
+        return this.check(metrics, data.career);
+    },
+
+    // Whether the player wants their achievements shown on the leaderboard
+    isSharing() {
+        try {
+            return localStorage.getItem(this.SHARE_KEY) === 'true';
+        } catch (e) {
+            return false;
+        }
+    },
+
+    setSharing(sharing) {
+        try {
+            localStorage.setItem(this.SHARE_KEY, String(sharing));
+        } catch (e) {
+            console.warn('Could not save achievement sharing');
+        }
+    }
+};
+
 // ============================================
 // SARCASTIC GAME OVER MESSAGES
 // ============================================
@@ -185,24 +731,24 @@ function getRandomGameOverMessage() {
 // ============================================
 
 class Star {
-    constructor(width, height, centerX, centerY, arenaRadius) {
-        this.reset(width, height, centerX, centerY, arenaRadius);
+    constructor(width, height, centerX, centerY, arenaRadius, random) {
+        this.reset(width, height, centerX, centerY, arenaRadius, random);
     }
 
-    reset(width, height, centerX, centerY, arenaRadius) {
+    reset(width, height, centerX, centerY, arenaRadius, random) {
         // Position stars in a larger area for parallax
-        const angle = Math.random() * Math.PI * 2;
-        const dist = Math.random() * Math.max(width, height) * 0.8;
+        const angle = random.next() * Math.PI * 2;
+        const dist = random.next() * Math.max(width, height) * 0.8;
 
         this.x = Math.cos(angle) * dist;
         this.y = Math.sin(angle) * dist;
 
         // Star properties
-        this.baseSize = 0.5 + Math.random() * 2.5;
+        this.baseSize = 0.5 + random.next() * 2.5;
         this.size = this.baseSize;
 
         // Color temperature (white, blue, yellow, red)
-        const temp = Math.random();
+        const temp = random.next();
         if (temp < 0.6) {
             this.color = '#ffffff'; // White (most common)
         } else if (temp < 0.75) {
@@ -214,15 +760,15 @@ class Star {
         }
 
         // Twinkle animation
-        this.twinkleSpeed = 0.5 + Math.random() * 2;
-        this.twinkleOffset = Math.random() * Math.PI * 2;
-        this.brightness = 0.5 + Math.random() * 0.5;
+        this.twinkleSpeed = 0.5 + random.next() * 2;
+        this.twinkleOffset = random.next() * Math.PI * 2;
+        this.brightness = 0.5 + random.next() * 0.5;
 
         // Depth for parallax (0 = far, 1 = close)
-        this.depth = Math.random();
+        this.depth = random.next();
 
         // Orbit speed (very slow drift)
-        this.orbitSpeed = (0.0001 + Math.random() * 0.0003) * (Math.random() > 0.5 ? 1 : -1);
+        this.orbitSpeed = (0.0001 + random.next() * 0.0003) * (random.next() > 0.5 ? 1 : -1);
         this.angle = angle;
         this.baseDist = dist;
     }
@@ -285,15 +831,15 @@ class TrailParticle {
         this.color = '#00f0ff';
     }
 
-    spawn(x, y, vx, vy, color) {
+    spawn(x, y, vx, vy, color, random) {
         this.active = true;
         this.x = x;
         this.y = y;
-        this.vx = vx * 0.1 + (Math.random() - 0.5) * 0.5;
-        this.vy = vy * 0.1 + (Math.random() - 0.5) * 0.5;
-        this.maxLife = 30 + Math.random() * 30;
+        this.vx = vx * 0.1 + (random.next() - 0.5) * 0.5;
+        this.vy = vy * 0.1 + (random.next() - 0.5) * 0.5;
+        this.maxLife = 30 + random.next() * 30;
         this.life = this.maxLife;
-        this.size = 2 + Math.random() * 3;
+        this.size = 2 + random.next() * 3;
         this.color = color;
     }
 
@@ -335,13 +881,15 @@ class TrailParticle {
 // ============================================
 
 class Paddle {
-    constructor() {
-        this.angle = -Math.PI / 2;
+    constructor(angle = -Math.PI / 2, colors = CONFIG.PADDLE_COLORS[0]) {
+        this.angle = angle;
+        this.colors = colors;
         this.dist = 0;
         this.pulsePhase = 0;
         this.lastAngle = this.angle;
         this.velocity = 0;
         this.hitFlash = 0;
+        this.knock = 0; // radians a hazard has pushed it off `angle`
     }
 
     update(time, deltaTime) {
@@ -359,19 +907,20 @@ class Paddle {
     }
 
     draw(ctx, radius, arcLength) {
-        const startAngle = this.angle - arcLength / 2;
-        const endAngle = this.angle + arcLength / 2;
+        const angle = this.angle + this.knock;
+        const startAngle = angle - arcLength / 2;
+        const endAngle = angle + arcLength / 2;
 
         // Multiple layers for depth effect
 
         // Outer glow layer
         ctx.save();
         ctx.beginPath();
-        ctx.strokeStyle = 'rgba(0, 240, 255, 0.2)';
+        ctx.strokeStyle = `rgba(${this.colors.glow}, 0.2)`;
         ctx.lineWidth = CONFIG.PADDLE_WIDTH + 20;
         ctx.lineCap = 'round';
         ctx.shadowBlur = 30;
-        ctx.shadowColor = '#00f0ff';
+        ctx.shadowColor = this.colors.shadow;
         ctx.arc(0, 0, radius, startAngle, endAngle);
         ctx.stroke();
         ctx.restore();
@@ -385,9 +934,9 @@ class Paddle {
             Math.cos(endAngle) * radius,
             Math.sin(endAngle) * radius
         );
-        gradient.addColorStop(0, '#00f0ff');
-        gradient.addColorStop(0.5, '#7b42f6');
-        gradient.addColorStop(1, '#ff00aa');
+        gradient.addColorStop(0, this.colors.gradient[0]);
+        gradient.addColorStop(0.5, this.colors.gradient[1]);
+        gradient.addColorStop(1, this.colors.gradient[2]);
         ctx.strokeStyle = gradient;
         ctx.lineWidth = CONFIG.PADDLE_WIDTH + 8;
         ctx.lineCap = 'round';
@@ -429,7 +978,7 @@ class Paddle {
 
             ctx.save();
             ctx.beginPath();
-            ctx.strokeStyle = `rgba(0, 240, 255, ${pulseAlpha})`;
+            ctx.strokeStyle = `rgba(${this.colors.glow}, ${pulseAlpha})`;
             ctx.lineWidth = 2;
             ctx.setLineDash([5, 10]);
             ctx.arc(0, 0, pulseRadius, startAngle - 0.1, endAngle + 0.1);
@@ -463,7 +1012,8 @@ class Paddle {
 // ============================================
 
 class Ball {
-    constructor() {
+    constructor(hue = 180) {
+        this.hue = hue;
         this.x = 0;
         this.y = 0;
         this.vx = 0;
@@ -482,9 +1032,9 @@ class Ball {
         const distFromCenter = Math.sqrt(this.x * this.x + this.y * this.y);
 
         // Color shifts based on proximity to black hole
-        let hue = 180; // Cyan
+        let hue = this.hue;
         if (distFromCenter < 150) {
-            hue = 180 + (150 - distFromCenter) * 0.5; // Shift towards purple
+            hue = this.hue + (150 - distFromCenter) * 0.5; // Shift towards purple
         }
         const mainColor = `hsl(${hue}, 100%, 70%)`;
         const glowColor = `hsl(${hue}, 100%, 50%)`;
@@ -516,10 +1066,128 @@ class Ball {
     }
 }
 
+// ============================================
+// POWER-UP PICKUP
+// ============================================
+
+class PowerUpPickup {
+    constructor(kind, x, y, radius, ticksLeft) {
+        this.style = CONFIG.POWER_UP_STYLES[kind];
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        this.ticksLeft = ticksLeft;
+    }
+
+    draw(ctx, time) {
+        const color = this.style.color;
+
+        // Blink out over the last moments of its lifetime
+        let alpha = 1;
+        if (this.ticksLeft < CONFIG.PICKUP_BLINK_TICKS) {
+            alpha = Math.sin(time * 20) > 0 ? 0.9 : 0.3;
+        }
+        const pulse = 1 + Math.sin(time * 4) * 0.1;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(this.x, this.y);
+
+        // Glowing core
+        ctx.beginPath();
+        ctx.fillStyle = `rgba(${color}, 0.25)`;
+        ctx.shadowBlur = 20;
+        ctx.shadowColor = `rgb(${color})`;
+        ctx.arc(0, 0, this.radius * pulse, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Spinning dashed ring
+        ctx.rotate(time * 1.5);
+        ctx.beginPath();
+        ctx.strokeStyle = `rgb(${color})`;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 4]);
+        ctx.arc(0, 0, this.radius + 4, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.rotate(-time * 1.5);
+
+        // Glyph
+        ctx.setLineDash([]);
+        ctx.shadowBlur = 8;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(this.radius * 1.3)}px Orbitron, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.style.icon, 0, 1);
+        ctx.restore();
+    }
+}
+
+// ============================================
+// ASTEROID
+// ============================================
+
+class Asteroid {
+    constructor(id, radius, breakable) {
+        // Each rock keeps its own lumpy outline and spin
+        const random = new Random(id + 1);
+        this.outline = Array.from({ length: 9 }, () => 0.75 + random.next() * 0.35);
+        this.spin = (random.next() - 0.5) * 2;
+        this.colors = breakable ? CONFIG.HAZARD_COLORS.rock : CONFIG.HAZARD_COLORS.iron;
+        this.breakable = breakable;
+        this.radius = radius;
+        this.x = 0;
+        this.y = 0;
+    }
+
+    draw(ctx, time) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(time * this.spin);
+
+        ctx.beginPath();
+        this.outline.forEach((scale, i) => {
+            const angle = (i / this.outline.length) * Math.PI * 2;
+            const r = this.radius * scale;
+            if (i === 0) ctx.moveTo(Math.cos(angle) * r, Math.sin(angle) * r);
+            else ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+        });
+        ctx.closePath();
+        ctx.fillStyle = this.colors.fill;
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = this.colors.edge;
+        ctx.fill();
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = this.colors.edge;
+        ctx.stroke();
+
+        // Breakable rocks show cracks; iron ones a bright sheen
+        ctx.beginPath();
+        if (this.breakable) {
+            ctx.moveTo(-this.radius * 0.5, -this.radius * 0.2);
+            ctx.lineTo(0, this.radius * 0.1);
+            ctx.lineTo(this.radius * 0.3, -this.radius * 0.4);
+            ctx.moveTo(0, this.radius * 0.1);
+            ctx.lineTo(this.radius * 0.1, this.radius * 0.5);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        } else {
+            ctx.arc(-this.radius * 0.25, -this.radius * 0.25, this.radius * 0.3, Math.PI, Math.PI * 1.6);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
+
 // ============================================
 // BLACK HOLE
 // ============================================
 
+// Drawn once per gravity source, at the classic black hole's size; the
+// caller moves and scales the context to each source
 class BlackHole {
     constructor() {
         this.rotationAngle = 0;
@@ -567,20 +1235,20 @@ class BlackHole {
         ctx.restore();
 
         // Photon sphere glow
-        const photonGlow = ctx.createRadialGradient(0, 0, CONFIG.BLACK_HOLE_RADIUS, 0, 0, CONFIG.BLACK_HOLE_RADIUS + 15);
+        const photonGlow = ctx.createRadialGradient(0, 0, SIM_CONFIG.BLACK_HOLE_RADIUS, 0, 0, SIM_CONFIG.BLACK_HOLE_RADIUS + 15);
         photonGlow.addColorStop(0, 'rgba(100, 200, 255, 0.8)');
         photonGlow.addColorStop(0.5, 'rgba(150, 100, 255, 0.4)');
         photonGlow.addColorStop(1, 'transparent');
 
         ctx.fillStyle = photonGlow;
         ctx.beginPath();
-        ctx.arc(0, 0, CONFIG.BLACK_HOLE_RADIUS + 15, 0, Math.PI * 2);
+        ctx.arc(0, 0, SIM_CONFIG.BLACK_HOLE_RADIUS + 15, 0, Math.PI * 2);
         ctx.fill();
 
         // Event horizon (the void)
         ctx.fillStyle = '#000000';
         ctx.beginPath();
-        ctx.arc(0, 0, CONFIG.BLACK_HOLE_RADIUS, 0, Math.PI * 2);
+        ctx.arc(0, 0, SIM_CONFIG.BLACK_HOLE_RADIUS, 0, Math.PI * 2);
         ctx.fill();
 
         // Subtle edge highlight
@@ -592,17 +1260,120 @@ class BlackHole {
     }
 }
 
+// ============================================
+// GAME EVENTS
+// ============================================
+
+/**
+ * Events the game raises, with their payloads. Every payload has `replay`:
+ * true while a replay is playing, so listeners that should only react to
+ * real runs (stats, audio, the leaderboard) can skip those.
+ *
+ * @typedef {Object} GameEventMap
+ * @property {{replay: boolean, events: Object[]}} tick - after every simulation
+ *   tick, with that tick's simulation events
+ * @property {{replay: boolean, seed: number}} launch - ball released
+ * @property {{replay: boolean, score: number, points: number, ball: number, player: number, aim: number, spin: number}} hit -
+ *   ball returned by a paddle, worth `points` (the multi-ball multiplier);
+ *   `player` is 1 for the versus rival, else 0; `aim` is where it landed on
+ *   the arc (-1 to 1, 0 the centre) and `spin` the paddle's swing that tick
+ * @property {{replay: boolean, ball: number, player: number}} miss - ball got past a paddle
+ * @property {{replay: boolean, ball: number}} blackHoleBounce - ball slingshot off the black hole
+ * @property {{replay: boolean, ball: number}} ballSpawn - extra ball launched (multi-ball)
+ * @property {{replay: boolean, ball: number}} ballLost - a missed ball's grace period ran out
+ * @property {{replay: boolean, player: number, scores: number[]}} point - versus
+ *   point won by `player`
+ * @property {{replay: boolean, score: number, winner?: number}} gameOver - run
+ *   ended, with every ball lost; versus matches name the winner
+ * @property {{replay: boolean, seed: number}} reset - new run ready to launch
+ * @property {{replay: boolean, tier: number, speed: number}} speedTier - speed
+ *   multiplier passed the next SPEED_TIER_STEP
+ * @property {{replay: boolean, pickup: number, kind: string}} pickupSpawn - a
+ *   power-up pickup appeared (power-ups mode)
+ * @property {{replay: boolean, pickup: number, kind: string}} pickupExpire - a
+ *   pickup vanished uncollected
+ * @property {{replay: boolean, pickup: number, kind: string, ball: number}} powerUp -
+ *   `ball` collected a pickup and its power-up started
+ * @property {{replay: boolean, kind: string}} powerUpEnd - a power-up ran out
+ *   (or, for the shield, was used up)
+ * @property {{replay: boolean, ball: number}} shieldSave - the shield bounced
+ *   back a ball that got past the paddle
+ * @property {{replay: boolean, hazard: number, size: number}} hazardSpawn - an
+ *   asteroid appeared (asteroid belt)
+ * @property {{replay: boolean, ball: number, hazard: number}} hazardHit - a
+ *   ball bounced off an asteroid
+ * @property {{replay: boolean, hazard: number, pieces: number[]}} hazardBreak -
+ *   a ball broke an asteroid into `pieces` (none if it shattered)
+ * @property {{replay: boolean, hazard: number}} hazardLost - an asteroid fell
+ *   into a black hole
+ * @property {{replay: boolean, player: number, hazard: number}} paddleKnock -
+ *   an asteroid knocked `player`'s paddle aside
+ */
+const GAME_EVENTS = [
+    'tick', 'launch', 'hit', 'miss', 'blackHoleBounce', 'ballSpawn', 'ballLost', 'point', 'gameOver', 'reset',
+    'speedTier', 'pickupSpawn', 'pickupExpire', 'powerUp', 'powerUpEnd', 'shieldSave',
+    'hazardSpawn', 'hazardHit', 'hazardBreak', 'hazardLost', 'paddleKnock'
+];
+
+// speedTier fires each time the multiplier passes another step of this size
+const SPEED_TIER_STEP = 0.25;
+
+class GameEventBus {
+    constructor(names) {
+        this.listeners = new Map(names.map(name => [name, []]));
+    }
+
+    listenersFor(name) {
+        const listeners = this.listeners.get(name);
+        if (!listeners) throw new Error(`Unknown game event: ${name}`);
+        return listeners;
+    }
+
+    /**
+     * @param {keyof GameEventMap} name
+     * @param {(payload: Object) => void} listener
+     * @returns {() => void} unsubscribes the listener
+     */
+    on(name, listener) {
+        this.listenersFor(name).push(listener);
+        return () => this.off(name, listener);
+    }
+
+    off(name, listener) {
+        const listeners = this.listenersFor(name);
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+    }
+
+    // A failing listener is logged and skipped so it can't stall the game loop
+    emit(name, payload) {
+        this.listenersFor(name).slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (e) {
+                console.error(`Error in ${name} listener:`, e);
+            }
+        });
+    }
+}
+
 // ============================================
 // MAIN GAME CLASS
 // ============================================
 
 class Game {
     constructor() {
+        // Side effects of gameplay (HUD, audio, particles, stats, leaderboard)
+        // hang off these events rather than the simulation loop
+        this.events = new GameEventBus(GAME_EVENTS);
+
         this.setupCanvas();
         this.setupUI();
         this.initGame();
         this.bindEvents();
+        this.subscribeToGameEvents();
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
     }
 
@@ -626,6 +1397,8 @@ class Game {
 
     setupUI() {
         this.scoreEl = document.getElementById('score-display');
+        this.multiplierEl = document.getElementById('multiplier-display');
+        this.powerUpTimersEl = document.getElementById('powerup-timers');
         this.highScoreEl = document.getElementById('highscore-display');
         this.msgEl = document.getElementById('start-msg');
         this.gameOverScreen = document.getElementById('game-over-screen');
@@ -640,6 +1413,64 @@ class Game {
         this.submitScoreBtn = document.getElementById('submit-score-btn');
         this.submitStatus = document.getElementById('submit-status');
         this.leaderboardList = document.getElementById('leaderboard-list');
+        this.leaderboardTitle = document.getElementById('leaderboard-title');
+        this.leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
+        this.aroundMeBtn = document.getElementById('leaderboard-around-me');
+        this.leaderboardContainer = document.getElementById('leaderboard-container');
+        this.leaderboardWindow = 'all';
+        this.leaderboardAroundMe = false;
+
+        // Replay elements
+        this.watchReplayBtn = document.getElementById('watch-replay-btn');
+        this.downloadReplayBtn = document.getElementById('download-replay-btn');
+        this.replayControls = document.getElementById('replay-controls');
+        this.replayPlayBtn = document.getElementById('replay-play-btn');
+        this.replayScrubber = document.getElementById('replay-scrubber');
+        this.replayTimeEl = document.getElementById('replay-time');
+        this.replaySpeedSelect = document.getElementById('replay-speed');
+        this.replayExitBtn = document.getElementById('replay-exit-btn');
+
+        // Offline score queue status
+        this.uploadStatusEl = document.getElementById('upload-status');
+        this.uploadNoticeTimer = null;
+
+        // Game mode picker and the note shown instead of submitting
+        this.subtitleEl = document.getElementById('subtitle');
+        this.modeSelect = document.getElementById('mode-select');
+        this.versusTargetSelect = document.getElementById('versus-target');
+        this.modeNotRankedEl = document.getElementById('mode-not-ranked');
+        this.difficultySelect = document.getElementById('difficulty-select');
+        this.customPhysicsPanel = document.getElementById('custom-physics');
+        this.serveTextEl = document.getElementById('serve-text');
+        this.matchSummaryEl = document.getElementById('match-summary');
+
+        // Online versus: host or join a lobby
+        this.onlinePanel = document.getElementById('online-panel');
+        this.onlineHostBtn = document.getElementById('online-host-btn');
+        this.onlineCodeInput = document.getElementById('online-code');
+        this.onlineJoinBtn = document.getElementById('online-join-btn');
+        this.onlineLeaveBtn = document.getElementById('online-leave-btn');
+        this.onlineStatusEl = document.getElementById('online-status');
+
+        // Career stats panel
+        this.statsToggle = document.getElementById('stats-toggle');
+        this.statsPanel = document.getElementById('stats-panel');
+        this.statsSummaryEl = document.getElementById('stats-summary');
+        this.statsChartCanvas = document.getElementById('stats-score-chart');
+        this.statsHistogramCanvas = document.getElementById('stats-histogram');
+        this.statsStatusEl = document.getElementById('stats-status');
+        this.statsImportFile = document.getElementById('stats-import-file');
+        this.statsAchievementsEl = document.getElementById('stats-achievements');
+
+        // Aiming tutorial, shown on the first visit and from its toggle
+        this.tutorialToggle = document.getElementById('tutorial-toggle');
+        this.tutorialPanel = document.getElementById('tutorial');
+
+        // Achievement toasts, shown one at a time
+        this.achievementToast = document.getElementById('achievement-toast');
+        this.toastQueue = [];
+        this.toastTimer = null;
+        this.shareAchievementsBox = document.getElementById('share-achievements');
 
         // Music elements
         this.bgMusic = document.getElementById('bg-music');
@@ -662,17 +1493,197 @@ class Game {
         if (this.submitScoreBtn) {
             this.submitScoreBtn.addEventListener('click', () => this.submitToLeaderboard());
         }
+        this.leaderboardTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.leaderboardWindow = tab.dataset.window;
+                this.leaderboardTabs.forEach(t => t.classList.toggle('active', t === tab));
+                this.fetchLeaderboard();
+            });
+        });
+        if (this.aroundMeBtn) {
+            this.aroundMeBtn.addEventListener('click', () => {
+                this.leaderboardAroundMe = !this.leaderboardAroundMe;
+                this.aroundMeBtn.classList.toggle('active', this.leaderboardAroundMe);
+                this.fetchLeaderboard();
+            });
+        }
+
         if (this.playerNameInput) {
+            this.playerNameInput.value = localStorage.getItem('spacePongName') || '';
+
+            // maxlength counts UTF-16 units; the real limit is in graphemes,
+            // checked once any IME composition is done
+            this.playerNameInput.maxLength = MAX_NAME_INPUT_LENGTH;
+            this.playerNameInput.addEventListener('input', (e) => {
+                if (!e.isComposing) this.limitNameInput();
+            });
+            this.playerNameInput.addEventListener('compositionend', () => this.limitNameInput());
+
             this.playerNameInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') this.submitToLeaderboard();
                 e.stopPropagation(); // Prevent space from restarting
             });
         }
-    }
 
-    startMusic() {
-        if (this.bgMusic && !this.musicStarted && !this.musicMuted) {
-            this.bgMusic.volume = 0.5;
+        // Replay buttons and playback controls
+        if (this.watchReplayBtn) {
+            this.watchReplayBtn.addEventListener('click', () => this.startReplay(this.lastReplay));
+        }
+        if (this.downloadReplayBtn) {
+            this.downloadReplayBtn.addEventListener('click', () => this.downloadReplay(this.lastReplay));
+        }
+        if (this.replayPlayBtn) {
+            this.replayPlayBtn.addEventListener('click', () => this.toggleReplayPause());
+        }
+        if (this.replayScrubber) {
+            this.replayScrubber.addEventListener('input', () => {
+                this.seekReplay(parseInt(this.replayScrubber.value, 10));
+            });
+        }
+        if (this.replaySpeedSelect) {
+            this.replaySpeedSelect.innerHTML = CONFIG.REPLAY_SPEEDS
+                .map(speed => `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}x</option>`)
+                .join('');
+            this.replaySpeedSelect.addEventListener('change', () => {
+                if (this.replay) this.replay.speed = parseFloat(this.replaySpeedSelect.value);
+            });
+        }
+        if (this.replayExitBtn) {
+            this.replayExitBtn.addEventListener('click', () => this.exitReplay());
+        }
+
+        if (this.shareAchievementsBox) {
+            this.shareAchievementsBox.checked = AchievementStore.isSharing();
+            this.shareAchievementsBox.addEventListener('change', () => {
+                AchievementStore.setSharing(this.shareAchievementsBox.checked);
+            });
+        }
+
+        if (this.modeSelect) {
+            Object.keys(GAME_MODES).forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = GAME_MODES[mode].name.toUpperCase();
+                this.modeSelect.appendChild(option);
+            });
+            this.modeSelect.addEventListener('change', () => {
+                // Drop focus so the arrow keys steer the paddle, not the picker
+                this.modeSelect.blur();
+                this.setMode(this.modeSelect.value);
+            });
+        }
+
+        if (this.difficultySelect) {
+            Object.keys(DIFFICULTIES).forEach(difficulty => {
+                const option = document.createElement('option');
+                option.value = difficulty;
+                option.textContent = DIFFICULTIES[difficulty].name.toUpperCase();
+                this.difficultySelect.appendChild(option);
+            });
+            this.difficultySelect.addEventListener('change', () => {
+                this.difficultySelect.blur();
+                this.setDifficulty(this.difficultySelect.value);
+            });
+        }
+
+        // One slider per custom physics value; a run restarts when one is let go
+        if (this.customPhysicsPanel) {
+            this.physicsSliders = {};
+            Object.keys(PHYSICS_LIMITS).forEach(key => {
+                const limit = PHYSICS_LIMITS[key];
+                const row = document.createElement('label');
+                row.className = 'physics-row';
+                const name = document.createElement('span');
+                name.className = 'physics-name';
+                name.textContent = CONFIG.PHYSICS_LABELS[key];
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = limit.min;
+                slider.max = limit.max;
+                slider.step = limit.step;
+                const value = document.createElement('span');
+                value.className = 'physics-value';
+                [name, slider, value].forEach(el => row.appendChild(el));
+                this.customPhysicsPanel.appendChild(row);
+
+                slider.addEventListener('input', () => {
+                    value.textContent = this.formatPhysics(key, Number(slider.value));
+                });
+                slider.addEventListener('change', () => {
+                    slider.blur();
+                    this.setCustomPhysics(key, Number(slider.value));
+                });
+                this.physicsSliders[key] = { slider, value };
+            });
+        }
+
+        if (this.versusTargetSelect) {
+            CONFIG.VERSUS_TARGETS.forEach(target => {
+                const option = document.createElement('option');
+                option.value = target;
+                option.textContent = `FIRST TO ${target}`;
+                this.versusTargetSelect.appendChild(option);
+            });
+            this.versusTargetSelect.addEventListener('change', () => {
+                this.versusTargetSelect.blur();
+                this.setVersusTarget(Number(this.versusTargetSelect.value));
+            });
+        }
+
+        if (this.onlinePanel) {
+            this.onlineHostBtn.addEventListener('click', () => {
+                this.onlineHostBtn.blur();
+                this.hostOnline();
+            });
+            this.onlineJoinBtn.addEventListener('click', () => {
+                this.onlineJoinBtn.blur();
+                this.joinOnline(this.onlineCodeInput.value);
+            });
+            this.onlineCodeInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.joinOnline(this.onlineCodeInput.value);
+                e.stopPropagation(); // Prevent space from launching
+            });
+            this.onlineLeaveBtn.addEventListener('click', () => {
+                this.onlineLeaveBtn.blur();
+                this.leaveOnline('');
+            });
+        }
+
+        // Career stats panel and its export/import
+        if (this.statsToggle && this.statsPanel) {
+            this.statsToggle.addEventListener('click', () => {
+                // Drop focus so Space launches the ball instead of clicking this again
+                this.statsToggle.blur();
+                if (this.isStatsOpen()) this.closeStats();
+                else this.openStats();
+            });
+            document.getElementById('stats-close-btn').addEventListener('click', () => this.closeStats());
+            document.getElementById('stats-export-btn').addEventListener('click', () => this.exportStats());
+            document.getElementById('stats-import-btn').addEventListener('click', () => this.statsImportFile.click());
+            this.statsImportFile.addEventListener('change', () => {
+                const file = this.statsImportFile.files[0];
+                this.statsImportFile.value = '';
+                if (file) this.importStatsFile(file);
+            });
+        }
+
+        // Aiming tutorial
+        if (this.tutorialToggle && this.tutorialPanel) {
+            this.tutorialToggle.addEventListener('click', () => {
+                this.tutorialToggle.blur();
+                if (this.isTutorialOpen()) this.closeTutorial();
+                else this.openTutorial();
+            });
+            document.getElementById('tutorial-close-btn').addEventListener('click', () => this.closeTutorial());
+        }
+
+        // Retry anything left over from earlier visits
+        ScoreQueue.init(event => this.updateUploadStatus(event));
+    }
+
+    startMusic() {
+        if (this.bgMusic && !this.musicStarted && !this.musicMuted) {
+            this.bgMusic.volume = 0.5;
             const playPromise = this.bgMusic.play();
 
             if (playPromise !== undefined) {
@@ -737,17 +1748,65 @@ class Game {
     initGame() {
         // Game state
         this.score = 0;
-        this.highScore = HighScoreManager.load();
         this.gameOver = false;
-        this.ballAttached = true;
-        this.ballEscaping = false;
-        this.speedMultiplier = 1.0;
+        this.launchRequested = false;
         this.time = 0;
         this.shakeAmount = 0;
+        this.shieldFlash = 0;
+        this.hazardViews = new Map();
+
+        // A ?seed= URL parameter pins every run to a shared challenge seed
+        const params = new URLSearchParams(window.location.search);
+        this.fixedSeed = Random.parseSeed(params.get('seed'));
+
+        // Gravity mode: ?mode= for a shared link, else the last one picked
+        this.mode = [params.get('mode'), this.loadPreference('spacePongMode')]
+            .find(mode => mode && isValidMode(mode)) || DEFAULT_MODE;
+        // Versus points to win, as last picked
+        const savedTarget = Number(this.loadPreference('spacePongVersusTarget'));
+        this.versusTarget = CONFIG.VERSUS_TARGETS.includes(savedTarget)
+            ? savedTarget
+            : GAME_MODES.versus.versus.targetScore;
+
+        // Difficulty: ?difficulty= for a shared link, else the last one
+        // picked, and the custom physics as last set
+        this.difficulty = [params.get('difficulty'), this.loadPreference('spacePongDifficulty')]
+            .find(difficulty => difficulty && isValidDifficulty(difficulty)) || DEFAULT_DIFFICULTY;
+        this.customPhysics = this.loadCustomPhysics();
+        this.highScore = HighScoreManager.load(this.mode, this.difficulty);
+
+        // Physics runs in fixed ticks inside the simulation
+        this.sim = new Simulation({
+            seed: this.nextSeed(),
+            mode: this.mode,
+            targetScore: this.versusTarget,
+            difficulty: this.difficulty,
+            physics: this.customPhysics
+        });
+        this.speedTier = 0;
+
+        // Every run's inputs are recorded so it can be replayed exactly
+        this.recorder = this.createRecorder();
+        this.lastReplay = null;
+        this.replay = null;
+
+        // Per-run numbers for the career stats and achievements
+        this.runMetrics = new RunMetrics();
+
+        // Cosmetic randomness gets its own stream so effects never shift gameplay
+        this.fxRandom = this.sim.random.fork('cosmetic');
 
         // Game objects
         this.paddle = new Paddle();
-        this.ball = new Ball();
+        this.ballViews = [];
+
+        // Versus: player two's paddle, turned by held keys or a touch on their half
+        this.rivalPaddle = new Paddle(Math.PI / 2, CONFIG.PADDLE_COLORS[1]);
+        this.rivalKeys = new Set();
+        this.resetMatch();
+
+        // Online versus session (lobby socket and netcode state), or null
+        this.online = null;
         this.blackHole = new BlackHole();
         this.stars = [];
         this.trailParticles = [];
@@ -757,9 +1816,31 @@ class Game {
         this.initTrailParticles();
 
         // Update UI
+        this.updateModeUI();
         this.updateScore();
         this.updateHighScore();
         this.showStartMessage();
+
+        // New players get the aiming tips before their first serve
+        if (this.loadPreference('spacePongTutorialSeen') !== 'true') this.openTutorial();
+    }
+
+    // Preferences kept in localStorage. Like the high scores, they just
+    // aren't remembered when storage is unavailable (private mode)
+    loadPreference(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    savePreference(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (e) {
+            console.warn(`Could not save ${key}`);
+        }
     }
 
     initStars() {
@@ -768,25 +1849,57 @@ class Game {
             this.stars.push(new Star(
                 this.width, this.height,
                 this.centerX, this.centerY,
-                this.arenaRadius
+                this.arenaRadius,
+                this.fxRandom
             ));
         }
     }
 
+    // One shared pool, sized for the most balls the current mode allows
     initTrailParticles() {
+        const multiBall = GAME_MODES[this.sim.mode].multiBall;
+        const count = CONFIG.TRAIL_PARTICLE_COUNT * (multiBall ? multiBall.max : 1);
         this.trailParticles = [];
-        for (let i = 0; i < CONFIG.TRAIL_PARTICLE_COUNT; i++) {
+        for (let i = 0; i < count; i++) {
             this.trailParticles.push(new TrailParticle());
         }
         this.trailIndex = 0;
     }
 
-    spawnTrailParticle() {
-        if (this.ballAttached) return;
+    ballColor(id) {
+        return CONFIG.BALL_COLORS[id % CONFIG.BALL_COLORS.length];
+    }
+
+    spawnTrailParticle(ball) {
+        if (this.sim.attached || ball.lost) return;
 
         const particle = this.trailParticles[this.trailIndex];
-        particle.spawn(this.ball.x, this.ball.y, -this.ball.vx, -this.ball.vy, '#00f0ff');
-        this.trailIndex = (this.trailIndex + 1) % CONFIG.TRAIL_PARTICLE_COUNT;
+        particle.spawn(ball.x, ball.y, -ball.vx, -ball.vy, this.ballColor(ball.id).trail, this.fxRandom);
+        this.trailIndex = (this.trailIndex + 1) % this.trailParticles.length;
+    }
+
+    // A burst of rock from a broken asteroid, from where it was last drawn
+    spawnDebris(hazardId) {
+        const view = this.hazardViews.get(hazardId);
+        if (!view) return;
+
+        for (let i = 0; i < CONFIG.DEBRIS_COUNT; i++) {
+            const angle = this.fxRandom.next() * Math.PI * 2;
+            const speed = 10 + this.fxRandom.next() * 20;
+            const particle = this.trailParticles[this.trailIndex];
+            particle.spawn(view.x, view.y, Math.cos(angle) * speed, Math.sin(angle) * speed, view.colors.edge, this.fxRandom);
+            this.trailIndex = (this.trailIndex + 1) % this.trailParticles.length;
+        }
+    }
+
+    // Trail particles follow every ball still in the arena
+    updateTrails() {
+        this.trailParticles.forEach(p => p.update());
+        this.sim.balls.forEach(ball => {
+            if (this.fxRandom.next() < 0.4) {
+                this.spawnTrailParticle(ball);
+            }
+        });
     }
 
     resize() {
@@ -796,6 +1909,9 @@ class Game {
         this.centerY = this.height / 2;
         this.arenaRadius = Math.min(this.width, this.height) * CONFIG.ARENA_RADIUS_FACTOR;
 
+        // Screen pixels per simulation unit
+        this.viewScale = this.arenaRadius / SIM_CONFIG.ARENA_RADIUS;
+
         // Resize all canvases
         [this.bgCanvas, this.warpCanvas, this.gameCanvas].forEach(canvas => {
             canvas.width = this.width;
@@ -807,11 +1923,11 @@ class Game {
         }
 
         if (this.paddle) {
-            this.paddle.dist = this.arenaRadius;
+            this.paddle.dist = SIM_CONFIG.ARENA_RADIUS;
         }
 
         // Reinitialize stars for new dimensions
-        if (this.stars && this.stars.length > 0) {
+        if (this.stars && this.stars.length > 0 && this.fxRandom) {
             this.initStars();
         }
     }
@@ -820,19 +1936,21 @@ class Game {
         window.addEventListener('resize', () => this.resize());
 
         window.addEventListener('mousemove', (e) => {
-            if (this.gameOver) return;
+            if (this.gameOver || this.replay) return;
             const dx = e.clientX - this.centerX;
             const dy = e.clientY - this.centerY;
-            this.paddle.angle = Math.atan2(dy, dx);
+            const player = this.localPlayer;
+            this.paddleView(player).angle = this.sim.clampPaddleAngle(Math.atan2(dy, dx), player);
         });
 
         window.addEventListener('mousedown', (e) => {
             // Don't reset if clicking on game over UI elements
-            if (e.target.closest('#game-over-screen')) return;
+            if (e.target.closest('#game-over-screen, #stats-panel, #stats-toggle, #tutorial, #tutorial-toggle, #mode-select, #versus-target, #difficulty-select, #custom-physics, #online-panel')) return;
+            if (this.replay || this.isStatsOpen() || this.isTutorialOpen()) return;
 
             if (this.gameOver) {
-                this.resetGame();
-            } else if (this.ballAttached) {
+                this.restart();
+            } else if (this.canServe(this.localPlayer)) {
                 this.launchBall();
             }
         });
@@ -841,212 +1959,1184 @@ class Game {
             // Don't handle space if typing in input
             if (e.target.tagName === 'INPUT') return;
 
+            // The stats panel takes the keyboard while it's open
+            if (this.isStatsOpen()) {
+                if (e.key === 'Escape') this.closeStats();
+                return;
+            }
+            if (this.isTutorialOpen()) {
+                if (e.key === 'Escape' || e.code === 'Space') {
+                    e.preventDefault();
+                    this.closeTutorial();
+                }
+                return;
+            }
+
+            // Space pauses a replay instead of controlling the game
+            if (this.replay) {
+                if (e.code === 'Space') {
+                    e.preventDefault();
+                    this.toggleReplayPause();
+                }
+                return;
+            }
+
             if (e.code === 'Space') {
                 if (this.gameOver) {
-                    this.resetGame();
-                } else if (this.ballAttached) {
+                    this.restart();
+                } else if (this.canServe(this.localPlayer)) {
+                    this.launchBall();
+                }
+            }
+
+            // Local versus: the keyboard belongs to player two
+            if (this.sim.versus && !this.online) {
+                const key = this.rivalKey(e);
+                if (key === 'serve' && !this.gameOver && this.canServe(1)) {
                     this.launchBall();
+                } else if (key) {
+                    this.rivalKeys.add(key);
                 }
+                if (key) e.preventDefault();
+                return;
             }
 
             const speed = 0.08;
-            if (e.key === 'ArrowLeft') this.paddle.angle -= speed;
-            if (e.key === 'ArrowRight') this.paddle.angle += speed;
+            const player = this.localPlayer;
+            const paddle = this.paddleView(player);
+            if (e.key === 'ArrowLeft') paddle.angle = this.sim.clampPaddleAngle(paddle.angle - speed, player);
+            if (e.key === 'ArrowRight') paddle.angle = this.sim.clampPaddleAngle(paddle.angle + speed, player);
         });
 
+        window.addEventListener('keyup', (e) => {
+            const key = this.rivalKey(e);
+            if (key) this.rivalKeys.delete(key);
+        });
+        window.addEventListener('blur', () => this.rivalKeys.clear());
+
         // Touch events for mobile
         window.addEventListener('touchstart', (e) => {
             // Allow touch on interactive elements (links, buttons, inputs)
-            if (e.target.tagName === 'A' || e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT') {
+            if (e.target.tagName === 'A' || e.target.tagName === 'BUTTON' ||
+                e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') {
                 return;
             }
 
-            // Don't reset if touching game over UI elements
-            if (e.target.closest('#game-over-screen')) return;
+            // Don't reset if touching game over, stats, tutorial or custom physics UI elements
+            if (e.target.closest('#game-over-screen, #stats-panel, #tutorial, #custom-physics')) return;
+            if (this.replay || this.isStatsOpen() || this.isTutorialOpen()) return;
 
             e.preventDefault();
 
             // Start music on touch (mobile needs this)
             this.startMusic();
 
+            // On a shared screen, only a touch on the server's half serves
+            const touch = e.changedTouches && e.changedTouches[0];
+            const player = touch ? this.touchPlayer(touch) : this.localPlayer;
             if (this.gameOver) {
-                this.resetGame();
-            } else if (this.ballAttached) {
+                this.restart();
+            } else if (this.canServe(player)) {
                 this.launchBall();
             }
 
             // Also update paddle position on touch start
-            if (e.touches.length > 0) {
-                const touch = e.touches[0];
-                const dx = touch.clientX - this.centerX;
-                const dy = touch.clientY - this.centerY;
-                this.paddle.angle = Math.atan2(dy, dx);
-            }
+            this.steerByTouch(e.touches);
         }, { passive: false });
 
         window.addEventListener('touchmove', (e) => {
+            // Let the replay scrubber, the physics sliders and the stats panel's scrolling handle their own drag
+            if (e.target.closest('#replay-controls, #custom-physics, #stats-panel')) return;
+
             e.preventDefault();
-            if (this.gameOver) return;
+            if (this.gameOver || this.replay) return;
 
-            if (e.touches.length > 0) {
-                const touch = e.touches[0];
-                const dx = touch.clientX - this.centerX;
-                const dy = touch.clientY - this.centerY;
-                this.paddle.angle = Math.atan2(dy, dx);
-            }
+            this.steerByTouch(e.touches);
         }, { passive: false });
+
+        // Drop a downloaded replay file anywhere on the page to watch it
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) this.loadReplayFile(file);
+        });
+    }
+
+    // Versus keys for player two: 'left', 'right', 'serve', or null
+    rivalKey(e) {
+        if (e.key === 'ArrowLeft' || e.code === 'KeyA') return 'left';
+        if (e.key === 'ArrowRight' || e.code === 'KeyD') return 'right';
+        if (e.key === 'ArrowUp' || e.key === 'Enter') return 'serve';
+        return null;
+    }
+
+    // The first touch steers the paddle; in local versus, each touch steers
+    // the paddle on its half of the ring, so two players can share a screen
+    steerByTouch(touches) {
+        if (touches.length === 0) return;
+
+        const count = this.sim.versus && !this.online ? touches.length : 1;
+        for (let i = 0; i < count; i++) {
+            const dx = touches[i].clientX - this.centerX;
+            const dy = touches[i].clientY - this.centerY;
+            const player = this.touchPlayer(touches[i]);
+            this.paddleView(player).angle = this.sim.clampPaddleAngle(Math.atan2(dy, dx), player);
+        }
+    }
+
+    // Whose paddle a touch steers: by half of the ring in local versus
+    touchPlayer(touch) {
+        if (!this.sim.versus || this.online) return this.localPlayer;
+        return touch.clientY - this.centerY >= 0 ? 1 : 0;
+    }
+
+    // A waiting ball is launched by the player serving it, in versus
+    canServe(player) {
+        return this.sim.attached && (!this.sim.versus || this.sim.server === player);
+    }
+
+    // The player this browser steers: player two when it joined an online match
+    get localPlayer() {
+        return this.online ? this.online.player : 0;
     }
 
-    resetGame() {
+    paddleView(player) {
+        return player === 1 ? this.rivalPaddle : this.paddle;
+    }
+
+    nextSeed() {
+        return this.fixedSeed !== null ? this.fixedSeed : Random.randomSeed();
+    }
+
+    resetGame(seed = this.nextSeed()) {
         this.score = 0;
-        this.speedMultiplier = 1.0;
         this.gameOver = false;
-        this.ballAttached = true;
-        this.ballEscaping = false;
+        this.launchRequested = false;
         this.shakeAmount = 0;
+        this.shieldFlash = 0;
+        this.sim.setDifficulty(this.difficulty, this.customPhysics);
+        this.sim.reset(seed, this.mode, this.online ? this.online.target : this.versusTarget);
+        this.speedTier = 0;
+        this.fxRandom = this.sim.random.fork('cosmetic');
+        this.recorder = this.createRecorder();
+        if (this.sim.versus) this.rivalPaddle.angle = this.sim.rival.angle;
+        this.accumulator = 0;
+
+        this.events.emit('reset', { replay: false, seed: this.sim.seed });
+    }
 
-        this.updateScore();
-        this.showStartMessage();
+    createRecorder() {
+        return new ReplayRecorder(
+            this.sim.seed, this.mode, this.sim.targetScore, this.sim.difficulty, this.sim.physics
+        );
+    }
+
+    // Start the next run after a game over. Online, the host starts the
+    // next match and the guest asks it to.
+    restart() {
+        if (!this.online) {
+            this.resetGame();
+        } else if (this.online.role === 'host') {
+            if (this.online.connected) this.startOnlineMatch();
+        } else {
+            this.sendOnline({ type: 'rematch' });
+        }
+    }
+
+    // The mode can only change before a launch, so no run ever mixes two.
+    // An online match keeps its mode until the player leaves.
+    canChangeMode() {
+        return !this.online && !this.replay && (this.gameOver || this.sim.attached);
+    }
+
+    setMode(mode) {
+        if (!isValidMode(mode) || mode === this.mode || !this.canChangeMode()) {
+            if (this.modeSelect) this.modeSelect.value = this.mode;
+            return;
+        }
+
+        this.mode = mode;
+        this.savePreference('spacePongMode', mode);
+        this.highScore = HighScoreManager.load(mode, this.difficulty);
+        this.updateHighScore();
         this.hideGameOver();
-        this.initTrailParticles();
+        this.resetGame();
+        this.updateModeUI();
     }
 
-    launchBall() {
-        this.ballAttached = false;
-        this.hideStartMessage();
+    // Difficulty changes follow the same rule as the mode
+    setDifficulty(difficulty) {
+        if (!isValidDifficulty(difficulty) || difficulty === this.difficulty || !this.canChangeMode()) {
+            if (this.difficultySelect) this.difficultySelect.value = this.difficulty;
+            return;
+        }
+
+        this.difficulty = difficulty;
+        this.savePreference('spacePongDifficulty', difficulty);
+        this.highScore = HighScoreManager.load(this.mode, difficulty);
+        this.updateHighScore();
+        this.hideGameOver();
+        this.resetGame();
+        this.updateModeUI();
+    }
 
-        // Start music on first launch
-        this.startMusic();
+    setCustomPhysics(key, value) {
+        const physics = validatePhysics(Object.assign({}, this.customPhysics, { [key]: value }));
+        if (physics && this.canChangeMode()) {
+            this.customPhysics = physics;
+            this.savePreference('spacePongCustomPhysics', JSON.stringify(physics));
+            this.hideGameOver();
+            this.resetGame();
+        }
+        this.updateModeUI();
+    }
 
-        // Request game token from leaderboard API
-        LeaderboardAPI.startGame();
+    // Saved custom physics, or normal's if there are none (or they no longer validate)
+    loadCustomPhysics() {
+        try {
+            const saved = validatePhysics(JSON.parse(localStorage.getItem('spacePongCustomPhysics')));
+            if (saved) return saved;
+        } catch (e) {
+            // Fall through to the defaults
+        }
+        return defaultPhysics();
+    }
 
-        // Launch with tangential velocity for orbital motion
-        const nx = -Math.cos(this.paddle.angle);
-        const ny = -Math.sin(this.paddle.angle);
-        const tx = ny;
-        const ty = -nx;
+    // A custom physics value as a multiple of normal's
+    formatPhysics(key, value) {
+        return `×${(value / SIM_CONFIG[key]).toFixed(2)}`;
+    }
 
-        const inwardSpeed = 3;
-        const sideSpeed = 1.4;
-        const sideDir = Math.random() > 0.5 ? 1 : -1;
+    // Classic runs on a difficulty preset go on the leaderboard
+    isRankedRun() {
+        return this.sim.mode === DEFAULT_MODE && this.sim.difficulty !== 'custom';
+    }
 
-        this.ball.vx = nx * inwardSpeed + tx * sideSpeed * sideDir;
-        this.ball.vy = ny * inwardSpeed + ty * sideSpeed * sideDir;
+    // The boards to show after a run: its difficulty's, or normal's after custom physics
+    leaderboardDifficulty() {
+        return this.sim.difficulty === 'custom' ? DEFAULT_DIFFICULTY : this.sim.difficulty;
     }
 
-    updatePhysics(deltaTime) {
-        if (this.gameOver) return;
+    setVersusTarget(target) {
+        if (!CONFIG.VERSUS_TARGETS.includes(target) || !this.canChangeMode()) {
+            if (this.versusTargetSelect) this.versusTargetSelect.value = this.versusTarget;
+            return;
+        }
 
-        // Increase game speed over time
-        if (!this.ballAttached) {
-            this.speedMultiplier += CONFIG.SPEED_INCREMENT * deltaTime;
+        this.versusTarget = target;
+        this.savePreference('spacePongVersusTarget', String(target));
+        if (this.sim.versus) {
+            this.hideGameOver();
+            this.resetGame();
         }
+    }
 
-        if (this.ballAttached) {
-            // Stick ball to paddle
-            this.ball.x = Math.cos(this.paddle.angle) * (this.arenaRadius - 20);
-            this.ball.y = Math.sin(this.paddle.angle) * (this.arenaRadius - 20);
+    // Pickers, subtitle and instructions for the current mode
+    updateModeUI() {
+        const versus = Boolean(GAME_MODES[this.mode].versus);
+        if (this.modeSelect) this.modeSelect.value = this.mode;
+        if (this.versusTargetSelect) {
+            this.versusTargetSelect.value = this.versusTarget;
+            this.versusTargetSelect.style.display = versus ? 'inline-block' : 'none';
+        }
+        if (this.difficultySelect) this.difficultySelect.value = this.difficulty;
+        if (this.customPhysicsPanel) {
+            this.customPhysicsPanel.style.display = this.difficulty === 'custom' && !this.online ? 'flex' : 'none';
+            Object.keys(this.physicsSliders).forEach(key => {
+                const { slider, value } = this.physicsSliders[key];
+                slider.value = this.customPhysics[key];
+                value.textContent = this.formatPhysics(key, this.customPhysics[key]);
+            });
+        }
+        if (this.subtitleEl) {
+            const difficulty = this.difficulty !== DEFAULT_DIFFICULTY && !this.online
+                ? ` • ${DIFFICULTIES[this.difficulty].name.toUpperCase()}` : '';
+            this.subtitleEl.textContent = (this.online ? 'EVENT HORIZON • ONLINE VERSUS'
+                : versus ? 'EVENT HORIZON • LOCAL VERSUS' : 'EVENT HORIZON • SINGLE PLAYER') + difficulty;
+        }
+        if (this.msgEl) {
+            this.msgEl.classList.toggle('versus', versus);
+            this.msgEl.classList.toggle('online', Boolean(this.online));
+        }
+        if (this.onlinePanel) {
+            this.onlinePanel.style.display = versus ? 'flex' : 'none';
+            [this.onlineHostBtn, this.onlineCodeInput, this.onlineJoinBtn].forEach(el => {
+                el.style.display = this.online ? 'none' : '';
+            });
+            this.onlineLeaveBtn.style.display = this.online ? '' : 'none';
+        }
+    }
+
+    launchBall() {
+        // The launch itself happens on the next simulation tick, which
+        // raises the launch event
+        this.launchRequested = true;
+    }
+
+    // Advance the simulation by one fixed tick and apply its side effects
+    tick() {
+        if (this.replay) {
+            this.replayTick();
+            return;
+        }
+        if (this.online && this.online.role === 'guest') {
+            this.guestTick();
             return;
         }
+        if (this.gameOver) return;
+
+        // An online host waits for its guest
+        if (this.online && !this.online.connected) return;
+
+        const input = {
+            angle: this.paddle.angle,
+            launch: this.launchRequested
+        };
+        if (this.online) {
+            // Each player serves their own ball
+            const remoteServe = this.online.remote.takeServe();
+            input.launch = this.sim.server === 0 ? this.launchRequested : remoteServe;
+            input.rivalStep = this.online.remote.step;
+        } else if (this.sim.versus) {
+            this.steerRival();
+            input.rivalAngle = this.rivalPaddle.angle;
+        }
 
-        // Gravity from black hole
-        const dx = -this.ball.x;
-        const dy = -this.ball.y;
-        const distSq = dx * dx + dy * dy;
-        const dist = Math.sqrt(distSq);
+        const events = this.sim.step(input);
+        this.launchRequested = false;
+        this.recorder.record(this.sim.paddleStep, events, this.sim.versus ? this.sim.rival.step : undefined);
 
-        const fx = dx / dist;
-        const fy = dy / dist;
+        if (this.online) {
+            this.rivalPaddle.angle = this.sim.rival.angle;
+            if (events.length > 0 || this.sim.tick % SNAPSHOT_EVERY === 0) {
+                this.sendOnline(createSnapshot(this.sim, this.online.remote.seq, events));
+            }
+        }
 
-        const safeDist = Math.max(distSq, 400);
-        const force = CONFIG.GRAVITY_STRENGTH / safeDist;
+        this.updateTrails();
 
-        // Scale gravity MORE than speed to keep tight orbits at high speed
-        const gravityScale = Math.pow(this.speedMultiplier, 1.3);
-        this.ball.vx += fx * force * 0.09 * gravityScale;
-        this.ball.vy += fy * force * 0.09 * gravityScale;
+        this.dispatchSimEvents(events);
+    }
 
-        // Move ball
-        this.ball.x += this.ball.vx * this.speedMultiplier;
-        this.ball.y += this.ball.vy * this.speedMultiplier;
+    // Versus: numbers for the match summary, or null outside versus
+    resetMatch() {
+        this.match = this.sim.versus ? { returns: [0, 0], rally: 0, longestRally: 0, points: 0 } : null;
+    }
 
-        // Spawn trail particles
-        if (Math.random() < 0.4) {
-            this.spawnTrailParticle();
+    // Versus: held keys turn the rival paddle a fixed amount per tick.
+    // Left and right are as seen from the bottom of the ring, where it plays.
+    steerRival() {
+        let direction = 0;
+        if (this.rivalKeys.has('left')) direction += 1;
+        if (this.rivalKeys.has('right')) direction -= 1;
+        if (direction !== 0) {
+            this.rivalPaddle.angle = this.sim.clampPaddleAngle(
+                this.rivalPaddle.angle + direction * CONFIG.RIVAL_KEY_SPEED, 1
+            );
         }
+    }
 
-        // Black hole collision (slingshot if too close)
-        if (dist < CONFIG.BLACK_HOLE_RADIUS + 5) {
-            this.ball.vx = -this.ball.vx * 1.4;
-            this.ball.vy = -this.ball.vy * 1.4;
-            this.shakeAmount = 10;
+    // Apply a tick's simulation events to the game state and announce them
+    dispatchSimEvents(events) {
+        const replay = this.replay !== null;
+        this.events.emit('tick', { replay, events });
+
+        events.forEach(event => {
+            switch (event.type) {
+                case 'launch':
+                    this.events.emit('launch', { replay, seed: this.sim.seed });
+                    break;
+
+                case 'hit':
+                    this.score = event.score;
+                    this.events.emit('hit', {
+                        replay, score: event.score, points: event.points, ball: event.ball, player: event.player,
+                        aim: event.aim, spin: event.spin
+                    });
+                    break;
+
+                case 'miss':
+                    this.events.emit('miss', { replay, ball: event.ball, player: event.player });
+                    break;
+
+                case 'blackHoleBounce':
+                case 'ballSpawn':
+                case 'ballLost':
+                    this.events.emit(event.type, { replay, ball: event.ball });
+                    break;
+
+                case 'point':
+                    this.events.emit('point', { replay, player: event.player, scores: event.scores });
+                    break;
+
+                case 'pickupSpawn':
+                case 'pickupExpire':
+                    this.events.emit(event.type, { replay, pickup: event.pickup, kind: event.kind });
+                    break;
+
+                case 'powerUp':
+                    this.events.emit('powerUp', { replay, pickup: event.pickup, kind: event.kind, ball: event.ball });
+                    break;
+
+                case 'powerUpEnd':
+                    this.events.emit('powerUpEnd', { replay, kind: event.kind });
+                    break;
+
+                case 'shieldSave':
+                    this.events.emit('shieldSave', { replay, ball: event.ball });
+                    break;
+
+                case 'hazardSpawn':
+                    this.events.emit('hazardSpawn', { replay, hazard: event.hazard, size: event.size });
+                    break;
+
+                case 'hazardHit':
+                    this.events.emit('hazardHit', { replay, ball: event.ball, hazard: event.hazard });
+                    break;
+
+                case 'hazardBreak':
+                    this.events.emit('hazardBreak', { replay, hazard: event.hazard, pieces: event.pieces });
+                    break;
+
+                case 'hazardLost':
+                    this.events.emit('hazardLost', { replay, hazard: event.hazard });
+                    break;
+
+                case 'paddleKnock':
+                    this.events.emit('paddleKnock', { replay, player: event.player, hazard: event.hazard });
+                    break;
+
+                case 'gameOver':
+                    if (replay) {
+                        this.setReplayPaused(true);
+                    } else {
+                        this.gameOver = true;
+                        this.lastReplay = this.recorder.finish(this.score);
+                    }
+                    this.events.emit('gameOver', { replay, score: this.score, winner: event.winner });
+                    break;
+            }
+        });
+
+        const tier = Math.floor((this.sim.speedMultiplier - 1) / SPEED_TIER_STEP);
+        if (tier > this.speedTier) {
+            this.speedTier = tier;
+            this.events.emit('speedTier', { replay, tier, speed: this.sim.speedMultiplier });
+        } else if (tier < this.speedTier) {
+            // Versus serves start back at the base speed
+            this.speedTier = tier;
         }
+    }
+
+    // ============================================
+    // GAME EVENT LISTENERS
+    // ============================================
+
+    subscribeToGameEvents() {
+        const on = (name, listener) => this.events.on(name, listener);
+
+        // HUD
+        on('hit', () => this.updateScore());
+        on('point', ({ replay }) => {
+            this.updateScore();
+            if (!replay && !this.sim.over) this.showStartMessage();
+        });
+        ['hit', 'miss', 'ballSpawn', 'ballLost', 'reset'].forEach(name => on(name, () => this.updateMultiplier()));
+        on('launch', ({ replay }) => {
+            if (!replay) this.hideStartMessage();
+        });
+        on('gameOver', ({ replay }) => {
+            if (!replay) this.showGameOver();
+        });
+        on('reset', () => {
+            this.updateScore();
+            this.showStartMessage();
+            this.hideGameOver();
+        });
+        on('speedTier', () => this.pulseEnergyBar());
+
+        // Screen shake and particles
+        on('hit', ({ ball, player, spin }) => {
+            this.paddleView(player).onHit();
+            this.shakeAmount = 8;
+            // Spun returns throw off more sparks
+            const sparks = 5 + Math.round(Math.abs(spin) / SIM_CONFIG.MAX_SPIN * 5);
+            for (let i = 0; i < sparks; i++) {
+                this.spawnTrailParticle(this.sim.balls[ball]);
+            }
+        });
+        on('blackHoleBounce', () => {
+            this.shakeAmount = 10;
+        });
+        on('powerUp', ({ ball }) => {
+            for (let i = 0; i < 8; i++) {
+                this.spawnTrailParticle(this.sim.balls[ball]);
+            }
+        });
+        on('shieldSave', ({ ball }) => {
+            this.shakeAmount = 6;
+            this.shieldFlash = 1;
+            for (let i = 0; i < 5; i++) {
+                this.spawnTrailParticle(this.sim.balls[ball]);
+            }
+        });
+        on('hazardHit', () => {
+            this.shakeAmount = Math.max(this.shakeAmount, 4);
+        });
+        on('hazardBreak', ({ hazard }) => this.spawnDebris(hazard));
+        on('paddleKnock', ({ player }) => {
+            this.paddleView(player).onHit();
+            this.shakeAmount = 12;
+        });
+        on('reset', () => this.initTrailParticles());
 
-        // Arena boundary collision - skip if ball is already escaping
-        const ballDist = Math.sqrt(this.ball.x * this.ball.x + this.ball.y * this.ball.y);
+        // Audio: music starts with the first launch
+        on('launch', ({ replay }) => {
+            if (!replay) this.startMusic();
+        });
+
+        // Leaderboard: a game token for this run's seed (only ranked runs need one)
+        on('launch', ({ replay, seed }) => {
+            if (!replay && this.isRankedRun()) LeaderboardAPI.startGame(seed);
+        });
+
+        // Career stats and achievements, for single player runs
+        on('reset', () => {
+            this.runMetrics = new RunMetrics();
+        });
+        on('tick', ({ replay, events }) => {
+            if (replay || this.sim.versus) return;
+            this.runMetrics.observe(this.sim, events);
+            this.queueAchievementToasts(AchievementStore.check(this.runMetrics, null));
+        });
+        on('gameOver', ({ replay }) => {
+            if (replay || this.sim.versus) return;
+            StatsStore.record(StatsStore.runRecord(this.sim, this.runMetrics));
+            this.queueAchievementToasts(AchievementStore.recordRun(this.runMetrics));
+        });
 
-        if (!this.ballEscaping && ballDist >= this.arenaRadius - this.ball.radius) {
-            let ballAngle = Math.atan2(this.ball.y, this.ball.x);
-            let paddleAngle = this.paddle.angle;
+        // Versus match summary
+        on('reset', () => this.resetMatch());
+        on('hit', ({ replay, player }) => {
+            if (replay || !this.match) return;
+            this.match.returns[player]++;
+            this.match.rally++;
+            this.match.longestRally = Math.max(this.match.longestRally, this.match.rally);
+        });
+        on('point', ({ replay }) => {
+            if (replay || !this.match) return;
+            this.match.points++;
+            this.match.rally = 0;
+        });
 
-            // Normalize angles
-            while (ballAngle <= -Math.PI) ballAngle += Math.PI * 2;
-            while (ballAngle > Math.PI) ballAngle -= Math.PI * 2;
-            while (paddleAngle <= -Math.PI) paddleAngle += Math.PI * 2;
-            while (paddleAngle > Math.PI) paddleAngle -= Math.PI * 2;
+        // Analytics (the page's Umami tracker, when it loaded)
+        on('gameOver', ({ replay, score }) => {
+            if (!replay && window.umami) window.umami.track('game-over', { score });
+        });
+    }
 
-            let diff = Math.abs(ballAngle - paddleAngle);
-            if (diff > Math.PI) diff = Math.PI * 2 - diff;
+    // ============================================
+    // ONLINE VERSUS
+    // ============================================
 
-            if (diff < CONFIG.PADDLE_ARC_LENGTH / 2) {
-                // HIT!
-                this.score++;
-                this.updateScore();
-                this.speedMultiplier += CONFIG.HIT_SPEED_BOOST;
-                this.paddle.onHit();
-                this.shakeAmount = 8;
+    // Online matches start from the versus picker, between runs
+    canGoOnline() {
+        return !this.online && !this.replay && (this.gameOver || this.sim.attached);
+    }
 
-                // Reflect
-                const nx = -this.ball.x / ballDist;
-                const ny = -this.ball.y / ballDist;
-                const dot = this.ball.vx * nx + this.ball.vy * ny;
+    async hostOnline() {
+        if (!this.canGoOnline()) return;
+        this.setOnlineStatus('OPENING LOBBY...');
+        const lobby = await OnlineAPI.createLobby();
+        if (lobby.error) {
+            this.setOnlineStatus(lobby.error.toUpperCase(), true);
+            return;
+        }
+        this.connectOnline(lobby.code, 'host');
+    }
 
-                this.ball.vx = this.ball.vx - 2 * dot * nx;
-                this.ball.vy = this.ball.vy - 2 * dot * ny;
+    joinOnline(code) {
+        code = code.trim().toUpperCase();
+        if (!/^[A-Z0-9]{5}$/.test(code)) {
+            this.setOnlineStatus('ENTER THE 5-CHARACTER CODE', true);
+            return;
+        }
+        this.connectOnline(code, 'guest');
+    }
 
-                // Add energy
-                this.ball.vx *= 1.08;
-                this.ball.vy *= 1.08;
+    connectOnline(code, role) {
+        if (!this.canGoOnline()) return;
+        this.setMode('versus');
+
+        const socket = OnlineAPI.connect(code, role);
+        const online = {
+            code,
+            role,
+            socket,
+            player: role === 'host' ? 0 : 1,
+            target: this.versusTarget,
+            joined: false, // the lobby took us
+            connected: false, // both players are in
+            remote: null, // host: the guest's latest input
+            predictor: null, // guest: its own paddle
+            snapshots: null // guest: the host's states
+        };
+        this.online = online;
+
+        socket.addEventListener('message', (e) => {
+            if (this.online !== online) return;
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            this.onOnlineMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.online !== online) return;
+            this.leaveOnline(online.joined ? 'CONNECTION LOST' : `COULD NOT JOIN ${code}`, true);
+        });
 
-                // Push out of collision
-                const overlap = ballDist - (this.arenaRadius - this.ball.radius);
-                this.ball.x += nx * overlap * 1.2;
-                this.ball.y += ny * overlap * 1.2;
+        this.setOnlineStatus(role === 'host' ? `CODE ${code}` : `JOINING ${code}...`);
+        this.hideGameOver();
+        this.resetGame();
+        this.updateModeUI();
+    }
 
-                // Spawn impact particles
-                for (let i = 0; i < 5; i++) {
-                    this.spawnTrailParticle();
+    onOnlineMessage(message) {
+        const online = this.online;
+        const host = online.role === 'host';
+
+        switch (message.type) {
+            case 'welcome':
+                online.joined = true;
+                if (host && message.peer) this.startOnlineMatch();
+                else this.setOnlineStatus(host ? `CODE ${online.code} • WAITING` : 'WAITING FOR HOST');
+                this.showStartMessage();
+                break;
+
+            case 'peer':
+                if (!message.connected && !host) {
+                    this.leaveOnline('HOST LEFT', true);
+                } else if (message.connected && host) {
+                    this.startOnlineMatch();
+                } else if (host) {
+                    // Back to waiting; the next guest gets a fresh match
+                    online.connected = false;
+                    this.hideGameOver();
+                    this.resetGame();
+                    this.setOnlineStatus(`OPPONENT LEFT • CODE ${online.code}`);
                 }
-            } else {
-                // MISS - Mark ball as escaping and start timer
-                if (!this.ballEscaping) {
-                    this.ballEscaping = true;
-                    this.escapeTime = Date.now();
+                break;
+
+            case 'start':
+                if (host) break;
+                if (message.v !== PROTOCOL_VERSION) {
+                    this.leaveOnline('HOST IS ON ANOTHER VERSION', true);
+                    break;
                 }
-            }
+                if (!Number.isInteger(message.target) || message.target < 1 || message.target > MAX_TARGET_SCORE) break;
+                online.connected = true;
+                online.target = message.target;
+                online.predictor = new PaddlePredictor();
+                online.snapshots = new SnapshotBuffer();
+                this.resetGame(message.seed);
+                this.setOnlineStatus(`PLAYING • FIRST TO ${online.target}`);
+                break;
+
+            case 'state':
+                if (!host && online.snapshots) online.snapshots.push(message);
+                break;
+
+            case 'input':
+                if (host && online.remote) online.remote.receive(message);
+                break;
+
+            case 'rematch':
+                if (host && online.connected && this.gameOver) this.startOnlineMatch();
+                break;
+        }
+    }
+
+    // Host: a fresh match with whoever is in the lobby
+    startOnlineMatch() {
+        const online = this.online;
+        online.connected = true;
+        this.hideGameOver();
+        this.resetGame();
+        online.remote = new RemoteInput(this.sim.rival.step);
+        this.sendOnline({ type: 'start', v: PROTOCOL_VERSION, seed: this.sim.seed, target: online.target });
+        this.setOnlineStatus(`PLAYING • FIRST TO ${online.target}`);
+    }
+
+    leaveOnline(reason, isError = false) {
+        const online = this.online;
+        if (!online) return;
+        this.online = null;
+        online.socket.close();
+
+        this.hideGameOver();
+        this.resetGame();
+        this.updateModeUI();
+        this.setOnlineStatus(reason, isError);
+    }
+
+    sendOnline(message) {
+        const socket = this.online && this.online.socket;
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
         }
+    }
+
+    /**
+     * Guest: send the paddle to the host, and draw the host's match a few
+     * ticks behind, with this player's paddle where they have put it.
+     */
+    guestTick() {
+        const online = this.online;
+        if (!online.connected) return;
 
-        // Check if escaping ball timer has elapsed (300ms delay)
-        if (this.ballEscaping && !this.gameOver) {
-            if (Date.now() - this.escapeTime > 300) {
-                this.gameOver = true;
-                this.showGameOver();
+        const step = this.sim.clampPaddleStep(quantizeAngle(this.rivalPaddle.angle), 1);
+        const serve = this.launchRequested && !this.gameOver && this.sim.attached && this.sim.server === 1;
+        this.launchRequested = false;
+        const input = online.predictor.input(step, serve);
+        if (input) this.sendOnline(input);
+
+        const frame = online.snapshots.advance();
+        if (!frame) return;
+
+        applySnapshot(this.sim, frame.state);
+        this.paddle.angle = this.sim.paddleAngle;
+
+        // Keep the predicted paddle unless the host has put it elsewhere
+        const shown = online.predictor.reconcile(frame.state.ack, frame.state.rival);
+        this.sim.setRivalStep(shown);
+        if (shown !== step) this.rivalPaddle.angle = this.sim.rival.angle;
+
+        this.updateTrails();
+
+        this.dispatchSimEvents(frame.events);
+    }
+
+    onlineServeText() {
+        const online = this.online;
+        if (!online.connected) {
+            return online.role === 'host' ? `CODE ${online.code} • WAITING FOR OPPONENT` : 'WAITING FOR HOST';
+        }
+        return this.sim.server === online.player ? 'YOUR SERVE' : 'OPPONENT SERVES';
+    }
+
+    setOnlineStatus(text, isError = false) {
+        if (!this.onlineStatusEl) return;
+        this.onlineStatusEl.textContent = text;
+        this.onlineStatusEl.classList.toggle('error', isError);
+    }
+
+    // ============================================
+    // REPLAY PLAYBACK
+    // ============================================
+
+    startReplay(log) {
+        // Online, the match has to keep running for the other player
+        if (!log || this.online) return;
+
+        let player;
+        try {
+            player = decodeReplay(log);
+        } catch (e) {
+            console.warn('Could not load replay:', e);
+            return;
+        }
+
+        this.replay = {
+            player,
+            speed: 1,
+            paused: false,
+            returnScore: this.score
+        };
+
+        this.gameOver = false;
+        this.launchRequested = false;
+        this.hideGameOver();
+        this.hideStartMessage();
+        this.seekReplay(0);
+
+        if (this.replayScrubber) {
+            this.replayScrubber.max = player.length;
+        }
+        if (this.replaySpeedSelect) {
+            this.replaySpeedSelect.value = '1';
+        }
+        if (this.replayControls) {
+            this.replayControls.style.display = 'flex';
+        }
+        this.setReplayPaused(false);
+    }
+
+    replayTick() {
+        const player = this.replay.player;
+        if (this.sim.tick >= player.length) {
+            this.setReplayPaused(true);
+            return;
+        }
+
+        const events = this.sim.step(player.inputAt(this.sim.tick));
+        this.paddle.angle = this.sim.paddleAngle;
+        if (this.sim.versus) this.rivalPaddle.angle = this.sim.rival.angle;
+
+        this.updateTrails();
+
+        this.dispatchSimEvents(events);
+        this.updateReplayProgress();
+    }
+
+    // Jump to a tick by re-simulating from the seed; runs are deterministic
+    seekReplay(targetTick) {
+        const player = this.replay.player;
+        const target = Math.max(0, Math.min(targetTick, player.length));
+
+        this.sim.setDifficulty(player.difficulty, player.physics);
+        this.sim.reset(player.seed, player.mode, player.targetScore);
+        this.fxRandom = this.sim.random.fork('cosmetic');
+        while (this.sim.tick < target && !this.sim.over) {
+            this.sim.step(player.inputAt(this.sim.tick));
+        }
+
+        this.paddle.angle = this.sim.paddleAngle;
+        if (this.sim.versus) this.rivalPaddle.angle = this.sim.rival.angle;
+        this.score = this.sim.score;
+        this.speedTier = Math.floor((this.sim.speedMultiplier - 1) / SPEED_TIER_STEP);
+        this.updateScore();
+        this.updateMultiplier();
+        this.initTrailParticles();
+        this.accumulator = 0;
+        this.updateReplayProgress();
+    }
+
+    toggleReplayPause() {
+        if (!this.replay) return;
+
+        // Restart from the beginning if playback already reached the end
+        if (this.replay.paused && (this.sim.over || this.sim.tick >= this.replay.player.length)) {
+            this.seekReplay(0);
+        }
+        this.setReplayPaused(!this.replay.paused);
+    }
+
+    setReplayPaused(paused) {
+        this.replay.paused = paused;
+        if (this.replayPlayBtn) {
+            this.replayPlayBtn.textContent = paused ? '▶' : '❚❚';
+        }
+    }
+
+    updateReplayProgress() {
+        const tick = this.sim.tick;
+        const length = this.replay.player.length;
+
+        if (this.replayScrubber) {
+            this.replayScrubber.value = tick;
+        }
+        if (this.replayTimeEl) {
+            this.replayTimeEl.textContent = `${this.formatTicks(tick)} / ${this.formatTicks(length)}`;
+        }
+    }
+
+    exitReplay() {
+        if (!this.replay) return;
+
+        this.score = this.replay.returnScore;
+        this.replay = null;
+        this.updateScore();
+        this.initTrailParticles();
+
+        if (this.replayControls) {
+            this.replayControls.style.display = 'none';
+        }
+
+        // Return to the game over screen; the next click starts a new run
+        this.gameOver = true;
+        if (this.gameOverScreen) {
+            this.gameOverScreen.style.display = 'flex';
+        }
+        if (this.matchSummaryEl && this.match) {
+            this.matchSummaryEl.style.display = 'grid';
+        }
+    }
+
+    downloadReplay(log) {
+        if (!log) return;
+
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `space-pong-replay-${log.seed}-${log.score}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async loadReplayFile(file) {
+        try {
+            this.startReplay(JSON.parse(await file.text()));
+        } catch (e) {
+            console.warn('Could not read replay file:', e);
+        }
+    }
+
+    formatTicks(ticks) {
+        const seconds = Math.floor(ticks / SIM_CONFIG.TICK_RATE);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // ============================================
+    // CAREER STATS
+    // ============================================
+
+    // Only between runs: the panel covers the arena
+    canOpenStats() {
+        return this.gameOver || this.replay !== null || this.sim.attached;
+    }
+
+    openStats() {
+        if (!this.statsPanel || !this.canOpenStats()) return;
+        if (this.replay) this.setReplayPaused(true);
+
+        if (this.isTutorialOpen()) this.closeTutorial();
+        this.setStatsStatus('');
+        this.renderStats();
+        this.statsPanel.style.display = 'flex';
+    }
+
+    closeStats() {
+        if (this.statsPanel) this.statsPanel.style.display = 'none';
+    }
+
+    isStatsOpen() {
+        return !!this.statsPanel && this.statsPanel.style.display === 'flex';
+    }
+
+    // Same rule as the stats panel: it covers the arena
+    openTutorial() {
+        if (!this.tutorialPanel || !this.canOpenStats()) return;
+        if (this.replay) this.setReplayPaused(true);
+        this.closeStats();
+        this.tutorialPanel.style.display = 'flex';
+    }
+
+    closeTutorial() {
+        if (!this.tutorialPanel) return;
+        this.tutorialPanel.style.display = 'none';
+        this.savePreference('spacePongTutorialSeen', 'true');
+    }
+
+    isTutorialOpen() {
+        return !!this.tutorialPanel && this.tutorialPanel.style.display === 'flex';
+    }
+
+    setStatsStatus(text, isError = false) {
+        if (!this.statsStatusEl) return;
+        this.statsStatusEl.textContent = text;
+        this.statsStatusEl.classList.toggle('error', isError);
+    }
+
+    renderStats() {
+        const stats = StatsStore.summary();
+        const items = [
+            ['Runs', stats.runs],
+            ['Best Score', stats.bestScore],
+            ['Total Score', stats.totalScore],
+            ['Avg Score', stats.averageScore.toFixed(1)],
+            ['Time Played', this.formatDuration(stats.totalTime)],
+            ['Avg Run', this.formatDuration(stats.averageDuration)],
+            ['Slingshots', stats.totalSlingshots],
+            ['Avg Slingshots', stats.averageSlingshots.toFixed(1)],
+            ['Longest Streak', stats.longestStreak],
+            ['Avg Streak', stats.averageStreak.toFixed(1)],
+            ['Top Speed', `${stats.topSpeed.toFixed(2)}x`],
+            ['Avg Peak Speed', `${stats.averagePeakSpeed.toFixed(2)}x`]
+        ];
+        this.statsSummaryEl.innerHTML = items.map(([label, value]) => `
+            <div class="stats-item">
+                <div class="stats-item-label">${label}</div>
+                <div class="stats-item-value">${value}</div>
+            </div>
+        `).join('');
+
+        const scores = StatsStore.load().map(run => run.score);
+        this.drawScoreChart(this.statsChartCanvas, scores);
+        this.drawScoreHistogram(this.statsHistogramCanvas, scores);
+        this.renderAchievements();
+    }
+
+    // Every achievement: unlock date, career progress, or locked
+    renderAchievements() {
+        if (!this.statsAchievementsEl) return;
+
+        const career = AchievementStore.load().career;
+        this.statsAchievementsEl.innerHTML = ACHIEVEMENTS.map(achievement => {
+            const at = AchievementStore.unlockedAt(achievement.id);
+            let state = '';
+            if (at) {
+                state = new Date(at).toLocaleDateString();
+            } else if (achievement.scope === 'career') {
+                state = `${progress(achievement, null, career)} / ${achievement.goal}`;
             }
+            return `
+                <div class="achievement-row ${at ? '' : 'locked'}">
+                    <span class="achievement-row-icon">${achievement.icon}</span>
+                    <span class="achievement-row-text">
+                        <div class="achievement-row-title">${achievement.title}</div>
+                        <div>${achievement.description}</div>
+                    </span>
+                    <span class="achievement-row-state">${state}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ============================================
+    // ACHIEVEMENT TOASTS
+    // ============================================
+
+    queueAchievementToasts(achievements) {
+        if (achievements.length === 0) return;
+        this.toastQueue.push(...achievements);
+        if (!this.toastTimer) this.showNextToast();
+    }
+
+    showNextToast() {
+        const achievement = this.toastQueue.shift();
+        if (!achievement || !this.achievementToast) {
+            this.toastTimer = null;
+            return;
         }
 
-        // Update ball visual properties
-        this.ball.update(this.speedMultiplier);
+        document.getElementById('achievement-toast-icon').textContent = achievement.icon;
+        document.getElementById('achievement-toast-title').textContent = achievement.title;
+        document.getElementById('achievement-toast-description').textContent = achievement.description;
+        this.achievementToast.classList.add('show');
+
+        // Slide out, then leave a moment before the next one slides in
+        this.toastTimer = setTimeout(() => {
+            this.achievementToast.classList.remove('show');
+            this.toastTimer = setTimeout(() => this.showNextToast(), 500);
+        }, 3000);
+    }
+
+    // Clear a chart canvas; returns its context, or null if there's nothing to plot
+    beginChart(canvas, scores) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (scores.length > 0) return ctx;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '14px Rajdhani, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No runs yet', canvas.width / 2, canvas.height / 2);
+        return null;
+    }
+
+    // Every run's score in order, with the best so far
+    drawScoreChart(canvas, scores) {
+        const ctx = this.beginChart(canvas, scores);
+        if (!ctx) return;
+
+        const pad = 24;
+        const width = canvas.width - pad * 2;
+        const height = canvas.height - pad * 2;
+        const top = Math.max(1, ...scores);
+        const x = i => pad + (scores.length === 1 ? width / 2 : (i / (scores.length - 1)) * width);
+        const y = score => pad + height - (score / top) * height;
+
+        const plot = (values, color, lineWidth) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            values.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(x(i), y(value));
+                else ctx.lineTo(x(i), y(value));
+            });
+            ctx.stroke();
+        };
+
+        let best = 0;
+        plot(scores.map(score => (best = Math.max(best, score))), 'rgba(255, 107, 53, 0.7)', 1);
+        plot(scores, '#00f0ff', 1.5);
+        if (scores.length === 1) {
+            ctx.fillStyle = '#00f0ff';
+            ctx.fillRect(x(0) - 2, y(scores[0]) - 2, 4, 4);
+        }
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '11px Rajdhani, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        ctx.fillText(String(top), pad - 4, pad);
+        ctx.fillText('0', pad - 4, pad + height);
+        ctx.textAlign = 'left';
+        ctx.fillText(`${scores.length} runs`, pad, canvas.height - pad / 2);
+    }
+
+    // Number of runs per score range
+    drawScoreHistogram(canvas, scores) {
+        const ctx = this.beginChart(canvas, scores);
+        if (!ctx) return;
+
+        const binCount = 10;
+        const binSize = Math.max(1, Math.ceil((Math.max(...scores) + 1) / binCount));
+        const bins = new Array(binCount).fill(0);
+        scores.forEach(score => bins[Math.min(binCount - 1, Math.floor(score / binSize))]++);
+
+        const pad = 20;
+        const slot = (canvas.width - pad * 2) / binCount;
+        const height = canvas.height - pad * 2;
+        const most = Math.max(...bins);
+
+        ctx.font = '11px Rajdhani, sans-serif';
+        ctx.textAlign = 'center';
+        bins.forEach((count, i) => {
+            const barHeight = (count / most) * height;
+            const left = pad + i * slot;
+            ctx.fillStyle = 'rgba(123, 66, 246, 0.8)';
+            ctx.fillRect(left + 2, pad + height - barHeight, slot - 4, barHeight);
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            if (count > 0) ctx.fillText(String(count), left + slot / 2, pad + height - barHeight - 4);
+            ctx.fillText(String(i * binSize), left + slot / 2, canvas.height - 6);
+        });
+    }
+
+    exportStats() {
+        const blob = new Blob([StatsStore.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `space-pong-stats-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importStatsFile(file) {
+        try {
+            const { added } = StatsStore.importJSON(await file.text());
+            this.renderStats();
+            this.setStatsStatus(`IMPORTED ${added} ${added === 1 ? 'RUN' : 'RUNS'}`);
+        } catch (e) {
+            console.warn('Could not import stats:', e);
+            this.setStatsStatus(e instanceof SyntaxError ? 'Not a valid JSON file' : e.message, true);
+        }
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds / 60) % 60;
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
     }
 
     update(deltaTime) {
@@ -1066,22 +3156,45 @@ class Game {
 
         // Update game objects
         this.paddle.update(this.time, deltaTime);
+        this.rivalPaddle.update(this.time, deltaTime);
         this.blackHole.update(this.time, deltaTime);
 
         // Update stars
         this.stars.forEach(star => star.update(this.time, deltaTime));
 
-        // Update trail particles
-        this.trailParticles.forEach(p => p.update());
-
-        // Update physics
-        this.updatePhysics(deltaTime);
-
         // Update energy bar
-        const energy = Math.min(100, (this.speedMultiplier - 1) * 100 + 20);
+        const energy = Math.min(100, (this.sim.speedMultiplier - 1) * 100 + 20);
         if (this.energyBar) {
             this.energyBar.style.width = `${energy}%`;
         }
+        this.updatePowerUpTimers();
+        if (this.shieldFlash > 0) {
+            this.shieldFlash = Math.max(0, this.shieldFlash - deltaTime * 0.003);
+        }
+
+        if (this.statsToggle) {
+            this.statsToggle.disabled = !this.canOpenStats();
+        }
+        if (this.tutorialToggle) {
+            this.tutorialToggle.disabled = !this.canOpenStats();
+        }
+        if (this.modeSelect) {
+            this.modeSelect.disabled = !this.canChangeMode();
+        }
+        if (this.difficultySelect) {
+            this.difficultySelect.disabled = !this.canChangeMode();
+        }
+        if (this.customPhysicsPanel) {
+            Object.values(this.physicsSliders).forEach(({ slider }) => {
+                slider.disabled = !this.canChangeMode();
+            });
+        }
+        if (this.versusTargetSelect) {
+            this.versusTargetSelect.disabled = !this.canChangeMode();
+        }
+        if (this.onlinePanel) {
+            this.onlineHostBtn.disabled = this.onlineJoinBtn.disabled = !this.canGoOnline();
+        }
     }
 
     drawBackground() {
@@ -1093,6 +3206,65 @@ class Game {
         this.stars.forEach(star => star.draw(this.bgCtx, this.centerX, this.centerY));
     }
 
+    // Place the ball between the last two simulation ticks
+    syncBallViews(alpha) {
+        this.sim.balls.forEach(ball => {
+            let view = this.ballViews[ball.id];
+            if (!view) {
+                view = this.ballViews[ball.id] = new Ball(this.ballColor(ball.id).hue);
+            }
+
+            if (this.sim.attached) {
+                // Follow the serving paddle directly so the ball doesn't lag behind it
+                const paddle = this.paddleView(this.sim.server);
+                const dist = SIM_CONFIG.ARENA_RADIUS - SIM_CONFIG.LAUNCH_OFFSET;
+                view.x = Math.cos(paddle.angle) * dist;
+                view.y = Math.sin(paddle.angle) * dist;
+            } else {
+                view.x = ball.prevX + (ball.x - ball.prevX) * alpha;
+                view.y = ball.prevY + (ball.y - ball.prevY) * alpha;
+            }
+
+            view.vx = ball.vx;
+            view.vy = ball.vy;
+            view.radius = ball.radius;
+            view.update(this.sim.speedMultiplier);
+        });
+        this.ballViews.length = this.sim.balls.length;
+    }
+
+    // Gravity sources between their last two ticks, in arena coordinates
+    syncSourceViews(alpha) {
+        this.sourceViews = this.sim.sources.map(source => ({
+            x: source.prevX + (source.x - source.prevX) * alpha,
+            y: source.prevY + (source.y - source.prevY) * alpha,
+            radius: source.radius
+        }));
+    }
+
+    // Power-up pickups between their last two ticks
+    syncPickupViews(alpha) {
+        this.pickupViews = this.sim.pickups.map(pickup => new PowerUpPickup(
+            pickup.kind,
+            pickup.prevX + (pickup.x - pickup.prevX) * alpha,
+            pickup.prevY + (pickup.y - pickup.prevY) * alpha,
+            pickup.radius,
+            pickup.ticksLeft
+        ));
+    }
+
+    // Asteroids between their last two ticks; each view lives as long as its asteroid
+    syncHazardViews(alpha) {
+        const views = new Map();
+        this.sim.hazards.forEach(hazard => {
+            const view = this.hazardViews.get(hazard.id) || new Asteroid(hazard.id, hazard.radius, hazard.breakable);
+            view.x = hazard.prevX + (hazard.x - hazard.prevX) * alpha;
+            view.y = hazard.prevY + (hazard.y - hazard.prevY) * alpha;
+            views.set(hazard.id, view);
+        });
+        this.hazardViews = views;
+    }
+
     drawGame() {
         const ctx = this.ctx;
 
@@ -1104,20 +3276,38 @@ class Game {
         // Apply screen shake
         if (this.shakeAmount > 0) {
             ctx.translate(
-                (Math.random() - 0.5) * this.shakeAmount,
-                (Math.random() - 0.5) * this.shakeAmount
+                (this.fxRandom.next() - 0.5) * this.shakeAmount,
+                (this.fxRandom.next() - 0.5) * this.shakeAmount
             );
         }
 
         ctx.translate(this.centerX, this.centerY);
+        ctx.scale(this.viewScale, this.viewScale);
+
+        const arenaRadius = SIM_CONFIG.ARENA_RADIUS;
 
         // Draw arena boundary
         ctx.beginPath();
         ctx.strokeStyle = 'rgba(41, 182, 246, 0.3)';
         ctx.lineWidth = 2;
-        ctx.arc(0, 0, this.arenaRadius, 0, Math.PI * 2);
+        ctx.arc(0, 0, arenaRadius, 0, Math.PI * 2);
         ctx.stroke();
 
+        // Versus: tint each player's half of the ring in their colour
+        if (this.sim.versus) {
+            ctx.save();
+            ctx.lineWidth = 4;
+            CONFIG.PADDLE_COLORS.forEach((colors, player) => {
+                ctx.beginPath();
+                ctx.strokeStyle = `rgba(${colors.glow}, 0.35)`;
+                ctx.arc(0, 0, arenaRadius, player === 0 ? Math.PI : 0, player === 0 ? Math.PI * 2 : Math.PI);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        this.drawPowerUpEffects(ctx, arenaRadius);
+
         // Draw grid lines for sci-fi feel
         ctx.save();
         ctx.globalAlpha = 0.1;
@@ -1127,7 +3317,7 @@ class Game {
             const angle = (i / 12) * Math.PI * 2;
             ctx.beginPath();
             ctx.moveTo(0, 0);
-            ctx.lineTo(Math.cos(angle) * this.arenaRadius, Math.sin(angle) * this.arenaRadius);
+            ctx.lineTo(Math.cos(angle) * arenaRadius, Math.sin(angle) * arenaRadius);
             ctx.stroke();
         }
         ctx.restore();
@@ -1135,21 +3325,86 @@ class Game {
         // Draw trail particles (behind black hole)
         this.trailParticles.forEach(p => p.draw(ctx, 0, 0));
 
-        // Draw black hole
-        this.blackHole.draw(ctx);
+        // Draw a black hole at every gravity source
+        this.sourceViews.forEach(source => {
+            const scale = source.radius / SIM_CONFIG.BLACK_HOLE_RADIUS;
+            ctx.save();
+            ctx.translate(source.x, source.y);
+            ctx.scale(scale, scale);
+            this.blackHole.draw(ctx);
+            ctx.restore();
+        });
 
-        // Draw ball
+        // Draw asteroids, pickups and balls still in the arena
         if (!this.gameOver) {
-            this.ball.draw(ctx);
+            this.hazardViews.forEach(hazard => hazard.draw(ctx, this.time));
+            this.pickupViews.forEach(pickup => pickup.draw(ctx, this.time));
+
+            this.sim.balls.forEach(ball => {
+                if (!ball.lost) this.ballViews[ball.id].draw(ctx);
+            });
         }
 
         // Draw paddle
-        this.paddle.draw(ctx, this.arenaRadius, CONFIG.PADDLE_ARC_LENGTH);
+        this.paddle.draw(ctx, arenaRadius, this.sim.paddleArc);
+        if (this.sim.versus) {
+            this.rivalPaddle.draw(ctx, arenaRadius, SIM_CONFIG.PADDLE_ARC_LENGTH);
+        }
 
         ctx.restore();
     }
 
-    render() {
+    // Running power-ups that show in the arena; a widened paddle shows itself
+    drawPowerUpEffects(ctx, arenaRadius) {
+        const effects = this.sim.effects;
+        const styles = CONFIG.POWER_UP_STYLES;
+
+        // Time slow: a violet wash over the arena
+        if (effects.slow) {
+            ctx.beginPath();
+            ctx.fillStyle = `rgba(${styles.slow.color}, 0.07)`;
+            ctx.arc(0, 0, arenaRadius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Shield: a second ring just inside the boundary, flaring when it saves a ball
+        if (effects.shield || this.shieldFlash > 0) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.strokeStyle = `rgba(${styles.shield.color}, ${0.35 + Math.sin(this.time * 3) * 0.1 + this.shieldFlash * 0.6})`;
+            ctx.lineWidth = 3 + this.shieldFlash * 6;
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = `rgb(${styles.shield.color})`;
+            ctx.arc(0, 0, arenaRadius - 6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Gravity flip: rings rippling outwards from every source
+        if (effects.flip) {
+            ctx.save();
+            ctx.lineWidth = 2;
+            this.sourceViews.forEach(source => {
+                for (let i = 0; i < 3; i++) {
+                    const spread = (this.time * 80 + i * 40) % 120;
+                    ctx.beginPath();
+                    ctx.strokeStyle = `rgba(${styles.flip.color}, ${0.5 * (1 - spread / 120)})`;
+                    ctx.arc(source.x, source.y, source.radius + 10 + spread, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            });
+            ctx.restore();
+        }
+    }
+
+    render(alpha) {
+        this.syncBallViews(alpha);
+        this.syncSourceViews(alpha);
+        this.syncPickupViews(alpha);
+        this.syncHazardViews(alpha);
+        this.paddle.knock = this.sim.knockAngle(0);
+        this.rivalPaddle.knock = this.sim.knockAngle(1);
+
         // Draw stars to background canvas
         this.drawBackground();
 
@@ -1157,9 +3412,11 @@ class Game {
         if (this.lensShader && this.lensShader.enabled) {
             this.lensShader.render(
                 this.bgCanvas,
-                this.centerX,
-                this.centerY,
-                CONFIG.BLACK_HOLE_RADIUS * 2.5,
+                this.sourceViews.map(source => ({
+                    x: this.centerX + source.x * this.viewScale,
+                    y: this.centerY + source.y * this.viewScale,
+                    radius: source.radius * 2.5 * this.viewScale
+                })),
                 this.time
             );
         }
@@ -1170,11 +3427,21 @@ class Game {
 
     gameLoop() {
         const now = performance.now();
-        const deltaTime = Math.min(now - this.lastTime, 50); // Cap at 50ms
+        const deltaTime = Math.min(now - this.lastTime, CONFIG.MAX_FRAME_TIME);
         this.lastTime = now;
 
+        // Run as many fixed ticks as real time allows, carrying the remainder.
+        // Replays scale real time by the playback speed (0 while paused).
+        const tickMs = this.sim.tickMs;
+        const timeScale = this.replay ? (this.replay.paused ? 0 : this.replay.speed) : 1;
+        const steps = fixedSteps(this.accumulator + deltaTime * timeScale, tickMs);
+        for (let i = 0; i < steps.ticks; i++) {
+            this.tick();
+        }
+        this.accumulator = steps.remainder;
+
         this.update(deltaTime);
-        this.render();
+        this.render(this.accumulator / tickMs);
 
         requestAnimationFrame(() => this.gameLoop());
     }
@@ -1182,20 +3449,107 @@ class Game {
     // UI Helpers
     updateScore() {
         if (this.scoreEl) {
-            this.scoreEl.textContent = this.score;
+            this.scoreEl.textContent = this.sim.versus ? this.sim.scores.join(' : ') : this.score;
             this.scoreEl.style.animation = 'none';
             this.scoreEl.offsetHeight; // Trigger reflow
             this.scoreEl.style.animation = 'scorePulse 0.3s ease-out';
         }
     }
 
+    // Multi-ball: hits are worth one point per ball in play
+    updateMultiplier() {
+        if (!this.multiplierEl) return;
+        const multiplier = this.sim.multiplier;
+        this.multiplierEl.textContent = `×${multiplier}`;
+        this.multiplierEl.style.display = multiplier > 1 ? 'block' : 'none';
+    }
+
+    /**
+     * One HUD row per running power-up, with a bar for the time it has
+     * left. Runs every frame, so replay seeks that jump past a power-up
+     * starting or ending still show the right rows.
+     */
+    updatePowerUpTimers() {
+        if (!this.powerUpTimersEl) return;
+        const effects = this.sim.effects;
+        const kinds = Object.keys(effects);
+
+        const shown = kinds.join(',');
+        if (shown !== this.powerUpTimerKinds) {
+            this.powerUpTimerKinds = shown;
+            this.powerUpTimersEl.innerHTML = kinds.map(kind => {
+                const style = CONFIG.POWER_UP_STYLES[kind];
+                return `
+                    <div class="powerup-timer" style="--powerup-color: ${style.color}">
+                        <span class="powerup-icon">${style.icon}</span>
+                        <span class="powerup-label">${style.label}</span>
+                        <div class="powerup-bar"><div class="powerup-fill" data-kind="${kind}"></div></div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        this.powerUpTimersEl.querySelectorAll('.powerup-fill').forEach(fill => {
+            const kind = fill.dataset.kind;
+            fill.style.width = `${effects[kind] / POWER_UPS[kind].duration * 100}%`;
+        });
+    }
+
+    // Flash the energy bar when the game speeds up another tier
+    pulseEnergyBar() {
+        if (!this.energyBar) return;
+        this.energyBar.classList.remove('surge');
+        void this.energyBar.offsetWidth; // restart the animation
+        this.energyBar.classList.add('surge');
+    }
+
     updateHighScore() {
         if (this.highScoreEl) {
             this.highScoreEl.textContent = this.highScore;
         }
     }
 
+    updateUploadStatus(event) {
+        if (!this.uploadStatusEl) return;
+
+        // Queued runs that finished uploading get a short-lived notice
+        if (event.type === 'submitted' || event.type === 'rejected') {
+            const score = event.item.submission.score;
+            this.uploadStatusEl.textContent = event.type === 'submitted'
+                ? `QUEUED SCORE ${score} UPLOADED`
+                : `QUEUED SCORE ${score} REJECTED: ${event.result.error || 'Failed to submit'}`;
+            this.uploadStatusEl.classList.toggle('error', event.type === 'rejected');
+            this.uploadStatusEl.style.display = 'block';
+
+            clearTimeout(this.uploadNoticeTimer);
+            this.uploadNoticeTimer = setTimeout(() => {
+                this.uploadNoticeTimer = null;
+                this.updateUploadStatus({ type: 'idle' });
+            }, 5000);
+
+            if (event.type === 'submitted' && this.gameOver) this.fetchLeaderboard();
+            return;
+        }
+        // A newly queued run replaces the notice; anything else waits for it
+        if (this.uploadNoticeTimer) {
+            if (event.type !== 'queued') return;
+            clearTimeout(this.uploadNoticeTimer);
+            this.uploadNoticeTimer = null;
+        }
+
+        const pending = ScoreQueue.items.length;
+        const scores = pending === 1 ? 'SCORE' : 'SCORES';
+        this.uploadStatusEl.classList.remove('error');
+        this.uploadStatusEl.textContent = ScoreQueue.sending
+            ? `UPLOADING ${pending} ${scores}...`
+            : `${pending} ${scores} WAITING TO UPLOAD`;
+        this.uploadStatusEl.style.display = pending > 0 ? 'block' : 'none';
+    }
+
     showStartMessage() {
+        if (this.serveTextEl && this.sim.versus) {
+            this.serveTextEl.textContent = this.online ? this.onlineServeText() : `PLAYER ${this.sim.server + 1} SERVES`;
+        }
         if (this.msgEl) {
             this.msgEl.style.display = 'block';
         }
@@ -1208,12 +3562,17 @@ class Game {
     }
 
     showGameOver() {
+        if (this.sim.versus) {
+            this.showMatchSummary();
+            return;
+        }
+
         // Check for new high score
         const isNewHighScore = this.score > this.highScore;
 
         if (isNewHighScore && this.score > 0) {
             this.highScore = this.score;
-            HighScoreManager.save(this.highScore);
+            HighScoreManager.save(this.highScore, this.sim.mode, this.sim.difficulty);
             this.updateHighScore();
         }
 
@@ -1229,11 +3588,24 @@ class Game {
         if (this.newHighScoreEl) {
             this.newHighScoreEl.style.display = isNewHighScore && this.score > 0 ? 'block' : 'none';
         }
+        if (this.leaderboardContainer) {
+            this.leaderboardContainer.style.display = '';
+        }
+
+        this.updateReplayButtons();
 
-        // Show name input if score > 0 OR if high score exists (allows submitting best)
-        if (this.nameInputContainer && (this.score > 0 || this.highScore > 0)) {
+        // Only the run that just ended has a replay the leaderboard can verify
+        const ranked = this.isRankedRun();
+        if (this.modeNotRankedEl) {
+            this.modeNotRankedEl.textContent = this.sim.mode !== DEFAULT_MODE
+                ? 'Only classic runs go on the leaderboard'
+                : 'Custom physics runs aren\'t ranked';
+            this.modeNotRankedEl.style.display = ranked ? 'none' : 'block';
+        }
+        if (this.nameInputContainer && this.score > 0 && ranked) {
             this.nameInputContainer.style.display = 'flex';
             this.scoreSubmitted = false;
+            this.pendingSubmission = null;
             if (this.submitStatus) this.submitStatus.textContent = '';
             if (this.submitScoreBtn) this.submitScoreBtn.disabled = false;
         }
@@ -1242,6 +3614,52 @@ class Game {
         this.fetchLeaderboard();
     }
 
+    // Replay buttons only make sense once the ball was actually launched
+    updateReplayButtons() {
+        const hasReplay = !this.online && this.lastReplay && this.lastReplay.events.length > 0;
+        [this.watchReplayBtn, this.downloadReplayBtn].forEach(btn => {
+            if (btn) btn.style.display = hasReplay ? 'inline-block' : 'none';
+        });
+    }
+
+    // Versus: the winner, final score and how the match went, in place of
+    // the high score and leaderboard
+    showMatchSummary() {
+        const match = this.match;
+        if (this.gameOverScreen) {
+            this.gameOverScreen.style.display = 'flex';
+        }
+        if (this.gameOverTitleEl) {
+            const winner = this.sim.scores[0] > this.sim.scores[1] ? 0 : 1;
+            this.gameOverTitleEl.textContent = !this.online ? `PLAYER ${winner + 1} WINS`
+                : winner === this.online.player ? 'YOU WIN' : 'YOU LOSE';
+        }
+        if (this.finalScoreEl) {
+            this.finalScoreEl.textContent = this.sim.scores.join(' : ');
+        }
+        if (this.leaderboardContainer) {
+            this.leaderboardContainer.style.display = 'none';
+        }
+        if (this.matchSummaryEl && match) {
+            const items = [
+                ['Points Played', match.points],
+                ['Longest Rally', match.longestRally],
+                ['P1 Returns', match.returns[0]],
+                ['P2 Returns', match.returns[1]],
+                ['Match Time', this.formatDuration(this.sim.tick * this.sim.tickMs)]
+            ];
+            this.matchSummaryEl.innerHTML = items.map(([label, value]) => `
+                <div class="stats-item">
+                    <div class="stats-item-label">${label}</div>
+                    <div class="stats-item-value">${value}</div>
+                </div>
+            `).join('');
+            this.matchSummaryEl.style.display = 'grid';
+        }
+
+        this.updateReplayButtons();
+    }
+
     hideGameOver() {
         if (this.gameOverScreen) {
             this.gameOverScreen.style.display = 'none';
@@ -1252,28 +3670,58 @@ class Game {
         if (this.nameInputContainer) {
             this.nameInputContainer.style.display = 'none';
         }
+        if (this.modeNotRankedEl) {
+            this.modeNotRankedEl.style.display = 'none';
+        }
+        if (this.matchSummaryEl) {
+            this.matchSummaryEl.style.display = 'none';
+        }
     }
 
     async submitToLeaderboard() {
         if (this.scoreSubmitted || !this.playerNameInput) return;
 
-        const name = this.playerNameInput.value.trim() || 'Anonymous';
+        // Same rules the worker applies (names.js), so what's saved matches the board
+        const name = normalizeName(this.playerNameInput.value) || 'Anonymous';
 
-        // Use current score, or high score if current is 0 (allows submitting best score)
-        const scoreToSubmit = this.score > 0 ? this.score : this.highScore;
-
-        if (scoreToSubmit <= 0) {
+        if (this.score <= 0 || !this.lastReplay) {
             if (this.submitStatus) this.submitStatus.textContent = 'No score to submit';
             return;
         }
 
+        // The run's token is taken once; if the name is refused, the player
+        // can fix it and send the same submission again
+        if (!this.pendingSubmission) {
+            this.pendingSubmission = LeaderboardAPI.createSubmission(this.score, this.lastReplay);
+        }
+        if (!this.pendingSubmission) {
+            if (this.submitStatus) this.submitStatus.textContent = 'This run has no game token (started offline?)';
+            return;
+        }
+        const submission = Object.assign({}, this.pendingSubmission, {
+            name,
+            showAchievements: AchievementStore.isSharing()
+        });
+
         if (this.submitScoreBtn) this.submitScoreBtn.disabled = true;
         if (this.submitStatus) this.submitStatus.textContent = 'Submitting...';
 
-        const result = await LeaderboardAPI.submitScore(name, scoreToSubmit);
+        const result = await LeaderboardAPI.submitScore(submission);
 
-        if (result.success) {
+        if (result.retryable) {
+            // Keep the run; it goes up once the connection comes back
+            ScoreQueue.add(submission);
             this.scoreSubmitted = true;
+            localStorage.setItem('spacePongName', name);
+            if (this.submitStatus) {
+                this.submitStatus.textContent = 'Offline - saved, will submit when back online';
+            }
+            if (this.nameInputContainer) {
+                this.nameInputContainer.style.display = 'none';
+            }
+        } else if (result.success) {
+            this.scoreSubmitted = true;
+            localStorage.setItem('spacePongName', name);
             if (this.submitStatus) {
                 this.submitStatus.textContent = result.message || 'Score submitted!';
             }
@@ -1296,22 +3744,83 @@ class Game {
 
         this.leaderboardList.innerHTML = '<div class="leaderboard-loading">Loading...</div>';
 
-        const leaderboard = await LeaderboardAPI.getLeaderboard();
+        if (this.leaderboardAroundMe) {
+            await this.fetchAroundMe();
+            return;
+        }
+
+        if (this.leaderboardTitle) this.leaderboardTitle.textContent = `🏆 TOP 10${this.leaderboardSuffix()}`;
+        const leaderboard = await LeaderboardAPI.getLeaderboard(this.leaderboardWindow, this.leaderboardDifficulty());
 
         if (leaderboard.length === 0) {
             this.leaderboardList.innerHTML = '<div class="leaderboard-loading">No scores yet. Be the first!</div>';
             return;
         }
 
-        this.leaderboardList.innerHTML = leaderboard.map((entry, i) => `
-            <div class="leaderboard-entry ${i < 3 ? 'top-3' : ''}">
-                <span class="leaderboard-rank">#${i + 1}</span>
-                <span class="leaderboard-name">${this.escapeHtml(entry.name)}</span>
+        this.renderLeaderboard(leaderboard, this.getPlayerName());
+    }
+
+    async fetchAroundMe() {
+        if (this.leaderboardTitle) this.leaderboardTitle.textContent = `📍 AROUND YOU${this.leaderboardSuffix()}`;
+
+        const name = this.getPlayerName();
+        if (!name) {
+            this.leaderboardList.innerHTML = '<div class="leaderboard-loading">Submit a score to find yourself</div>';
+            return;
+        }
+
+        const result = await LeaderboardAPI.getRank(name, this.leaderboardWindow, this.leaderboardDifficulty());
+        if (!result) {
+            this.leaderboardList.innerHTML = '<div class="leaderboard-loading">Not ranked on this board yet</div>';
+            return;
+        }
+
+        this.renderLeaderboard(result.nearby, name);
+    }
+
+    // Boards off normal say whose they are
+    leaderboardSuffix() {
+        const difficulty = this.leaderboardDifficulty();
+        return difficulty === DEFAULT_DIFFICULTY ? '' : ` • ${DIFFICULTIES[difficulty].name.toUpperCase()}`;
+    }
+
+    renderLeaderboard(entries, highlightName) {
+        const me = highlightName ? highlightName.toLowerCase() : null;
+
+        this.leaderboardList.innerHTML = entries.map(entry => `
+            <div class="leaderboard-entry ${entry.rank <= 3 ? 'top-3' : ''} ${entry.name.toLowerCase() === me ? 'me' : ''}">
+                <span class="leaderboard-rank">#${entry.rank}</span>
+                <span class="leaderboard-name" dir="auto">${this.escapeHtml(entry.name)}</span>
+                ${this.renderBadges(entry.badges)}
                 <span class="leaderboard-score">${entry.score}</span>
             </div>
         `).join('');
     }
 
+    // The last few (hardest) badges, with the full list on hover
+    renderBadges(ids) {
+        const badges = (Array.isArray(ids) ? ids : []).map(getAchievement).filter(Boolean);
+        if (badges.length === 0) return '';
+
+        const shown = badges.slice(-3).map(a => a.icon).join('');
+        const more = badges.length > 3 ? `+${badges.length - 3}` : '';
+        const title = this.escapeHtml(badges.map(a => a.title).join(', '));
+        return `<span class="leaderboard-badges" title="${title}">${shown}${more}</span>`;
+    }
+
+    // Name typed in the box, or the one last submitted from this device
+    getPlayerName() {
+        const typed = this.playerNameInput ? normalizeName(this.playerNameInput.value) : '';
+        return typed || localStorage.getItem('spacePongName') || '';
+    }
+
+    limitNameInput() {
+        const chars = graphemes(this.playerNameInput.value);
+        if (chars.length > MAX_NAME_GRAPHEMES) {
+            this.playerNameInput.value = chars.slice(0, MAX_NAME_GRAPHEMES).join('');
+        }
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -0,0 +1,138 @@
+/**
+ * SPACE PONG - Player Names
+ * Name rules shared by the browser game (window.SpacePongNames) and the
+ * worker, so the name box accepts exactly what the leaderboard will store.
+ *
+ * - Letters, marks and digits of any script, plus space, "_" and "-"
+ * - NFKC-normalized, so fullwidth and styled letters become plain ones
+ * - At most MAX_NAME_GRAPHEMES user-perceived characters
+ *
+ * nameSkeleton() reduces a name to how it looks rather than how it is
+ * spelled, so "Neo", "Nеo" (Cyrillic е) and "Ne0" can be treated as the
+ * same name.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpacePongNames = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_NAME_GRAPHEMES = 20;
+
+    // Upper bound for the raw input in UTF-16 units (the name box's maxlength).
+    // Generous, since one grapheme can take several units in many scripts.
+    const MAX_NAME_INPUT_LENGTH = 80;
+
+    // Combining marks kept per character; more is "zalgo" text that draws
+    // over its neighbours
+    const MAX_MARKS_PER_GRAPHEME = 3;
+
+    // Zero-width (non-)joiners are needed to spell words in several scripts
+    const DISALLOWED = /[^\p{L}\p{M}\p{N} _\-\u200C\u200D]/gu;
+    const MARK = /\p{M}/u;
+    const MARKS_AND_JOINERS = /[\p{M}\u200C\u200D]/gu;
+    const JOINERS = /[\u200C\u200D]/g;
+
+    // Accents on letters that have Latin lookalikes. Marks in other scripts
+    // are often vowels, and dropping them would merge different names.
+    const LOOKALIKE_ACCENTS = /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu;
+
+    // Characters that look like a Latin letter, after lowercasing. Only the
+    // common lookalikes: Cyrillic, Greek, Armenian and a few Latin extras.
+    const CONFUSABLES = {
+        'а': 'a', 'в': 'b', 'е': 'e', 'һ': 'h', 'н': 'h', 'і': 'i', 'ј': 'j', 'к': 'k',
+        'ӏ': 'l', 'м': 'm', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'т': 't', 'с': 'c',
+        'у': 'y', 'х': 'x', 'ԁ': 'd', 'ԝ': 'w', 'ь': 'b', 'п': 'n',
+        'α': 'a', 'β': 'b', 'ε': 'e', 'ζ': 'z', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v',
+        'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'γ': 'y', 'ω': 'w',
+        'օ': 'o', 'ո': 'n', 'ս': 'u', 'ց': 'g',
+        'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ŧ': 't', 'ɡ': 'g', 'ß': 'ss'
+    };
+
+    // Digits that pass for letters in a name
+    const DIGIT_LOOKALIKES = { 0: 'o', 1: 'l' };
+
+    // Letter pairs that read as one letter at a glance
+    const PAIR_LOOKALIKES = [[/rn/g, 'm'], [/vv/g, 'w']];
+
+    let segmenter = null;
+
+    /**
+     * Split text into user-perceived characters.
+     * Falls back to code points where Intl.Segmenter is missing.
+     */
+    function graphemes(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            segmenter = segmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            return Array.from(segmenter.segment(text), s => s.segment);
+        }
+        return Array.from(text);
+    }
+
+    function limitMarks(grapheme) {
+        let marks = 0;
+        return Array.from(grapheme).filter(c => !MARK.test(c) || ++marks <= MAX_MARKS_PER_GRAPHEME).join('');
+    }
+
+    /**
+     * Clean up a typed name.
+     * @returns {string} the name as stored and shown, or '' if nothing is left
+     */
+    function normalizeName(raw) {
+        const cleaned = String(raw)
+            .slice(0, MAX_NAME_INPUT_LENGTH * 2)
+            .normalize('NFKC')
+            .replace(DISALLOWED, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const kept = graphemes(cleaned).map(limitMarks);
+
+        // A name can't start with a lone mark or joiner
+        while (kept.length > 0 && kept[0].replace(MARKS_AND_JOINERS, '') === '') {
+            kept.shift();
+        }
+        return kept.slice(0, MAX_NAME_GRAPHEMES).join('').trim();
+    }
+
+    /**
+     * Lowercase, accent-free, Latin-lookalike form of a name. Used where
+     * spelling tricks must not matter, like the name blocklist.
+     */
+    function foldName(name) {
+        return String(name)
+            .normalize('NFKD')
+            .replace(LOOKALIKE_ACCENTS, '$1')
+            .replace(JOINERS, '')
+            .toLowerCase()
+            .replace(/./gu, c => CONFUSABLES[c] || c);
+    }
+
+    /**
+     * Visual identity of a name: two names with the same skeleton are too
+     * easy to mistake for each other to belong to different players.
+     */
+    function nameSkeleton(name) {
+        let skeleton = foldName(name)
+            .replace(/[01]/g, d => DIGIT_LOOKALIKES[d])
+            .replace(/[\s_-]+/g, ' ')
+            .trim();
+        PAIR_LOOKALIKES.forEach(([pair, letter]) => {
+            skeleton = skeleton.replace(pair, letter);
+        });
+        return skeleton;
+    }
+
+    return {
+        MAX_NAME_GRAPHEMES,
+        MAX_NAME_INPUT_LENGTH,
+        graphemes,
+        normalizeName,
+        foldName,
+        nameSkeleton
+    };
+});
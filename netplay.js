@@ -0,0 +1,291 @@
+/**
+ * SPACE PONG - Online Play
+ * Versus between two browsers, through a lobby on the worker's relay
+ * (worker/relay.js). The host's browser runs the only real simulation; the
+ * guest's draws what the host sends it:
+ *
+ * - The guest sends its paddle position whenever it changes, as numbered
+ *   inputs, and moves its own paddle straight away (prediction).
+ * - The host steps the match with the newest guest input it has and sends
+ *   back state snapshots, each acknowledging the last input it applied.
+ * - On each snapshot the guest drops the inputs the host has applied and
+ *   keeps showing the newest one still in flight (reconciliation). The ball
+ *   and the host's paddle are drawn a few ticks in the past, between two
+ *   snapshots, so they move smoothly however the packets arrive.
+ *
+ * Messages between the players (the relay passes them on untouched):
+ *   host → guest  { type: 'start', v, seed, target }  a new match
+ *                 { type: 'state', ...snapshot }      every SNAPSHOT_EVERY ticks, and with events
+ *   guest → host  { type: 'input', seq, step, serve }
+ *                 { type: 'rematch' }                 start another match once this one is over
+ *
+ * Used by the browser game (window.SpacePongNet); loaded after simulation.js.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation.js'));
+    } else {
+        root.SpacePongNet = factory(root.SpacePongSim);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SpacePongSim) {
+    'use strict';
+
+    const { ANGLE_STEPS } = SpacePongSim;
+
+    // Bumped whenever a message changes shape; both players must agree
+    const PROTOCOL_VERSION = 1;
+
+    // Host snapshot rate: every other tick is 30 a second
+    const SNAPSHOT_EVERY = 2;
+
+    // How far behind the newest snapshot the guest draws, in ticks
+    const INTERPOLATION_TICKS = 4;
+
+    // Further behind than this and the guest skips ahead instead of catching up
+    const MAX_LAG_TICKS = 30;
+
+    // Snapshots kept for interpolation
+    const BUFFER_SIZE = 32;
+
+    const HALF_STEPS = ANGLE_STEPS / 2;
+
+    // Positions go over the wire to a hundredth of a unit
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function isStep(step) {
+        return Number.isInteger(step) && step >= 0 && step < ANGLE_STEPS;
+    }
+
+    // Paddle steps blend the short way round the ring
+    function blendStep(from, to, t) {
+        const delta = ((to - from + HALF_STEPS + ANGLE_STEPS) % ANGLE_STEPS) - HALF_STEPS;
+        return (Math.round(from + delta * t) + ANGLE_STEPS) % ANGLE_STEPS;
+    }
+
+    // ============================================
+    // HOST
+    // ============================================
+
+    /**
+     * The match as the host sees it after a tick, for the guest to draw.
+     * @param {Simulation} sim - a versus match
+     * @param {number} ack - last guest input applied
+     * @param {Array<Object>} events - simulation events of this tick
+     */
+    function createSnapshot(sim, ack, events) {
+        return {
+            type: 'state',
+            tick: sim.tick,
+            ack,
+            paddle: sim.paddleStep,
+            rival: sim.rival.step,
+            server: sim.server,
+            attached: sim.attached,
+            speed: sim.speedMultiplier,
+            scores: sim.scores.slice(),
+            over: sim.over,
+            balls: sim.balls.map(ball => [round(ball.x), round(ball.y), round(ball.vx), round(ball.vy), ball.lost ? 1 : 0]),
+            events
+        };
+    }
+
+    /**
+     * The guest's paddle on the host: the newest input received, and a
+     * serve request held until the simulation takes it.
+     */
+    class RemoteInput {
+        constructor(step) {
+            this.seq = 0;
+            this.step = step;
+            this.serve = false;
+        }
+
+        // Apply an input message; stale or malformed ones are ignored
+        receive(message) {
+            if (!Number.isInteger(message.seq) || message.seq <= this.seq || !isStep(message.step)) return;
+            this.seq = message.seq;
+            this.step = message.step;
+            if (message.serve === true) this.serve = true;
+        }
+
+        takeServe() {
+            const serve = this.serve;
+            this.serve = false;
+            return serve;
+        }
+    }
+
+    // ============================================
+    // GUEST
+    // ============================================
+
+    /**
+     * Client-side prediction for the guest's own paddle.
+     */
+    class PaddlePredictor {
+        constructor() {
+            this.seq = 0;
+            this.pending = [];
+            this.lastStep = null;
+        }
+
+        /**
+         * Record a local input.
+         * @returns {Object | null} the message to send, or null if nothing changed
+         */
+        input(step, serve) {
+            if (step === this.lastStep && !serve) return null;
+            this.seq++;
+            this.lastStep = step;
+            this.pending.push({ seq: this.seq, step });
+            return { type: 'input', seq: this.seq, step, serve };
+        }
+
+        /**
+         * Settle against a snapshot.
+         * @param {number} ack - last input the host applied
+         * @param {number} hostStep - where the host put the paddle
+         * @returns {number} where the paddle should be shown
+         */
+        reconcile(ack, hostStep) {
+            this.pending = this.pending.filter(input => input.seq > ack);
+            return this.pending.length > 0 ? this.pending[this.pending.length - 1].step : hostStep;
+        }
+    }
+
+    /**
+     * Snapshots from the host, replayed INTERPOLATION_TICKS behind the
+     * newest one at one tick per local tick.
+     */
+    class SnapshotBuffer {
+        constructor() {
+            this.snapshots = [];
+            this.renderTick = null;
+            this.dispatchedTick = -1;
+        }
+
+        get latest() {
+            return this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1] : null;
+        }
+
+        push(snapshot) {
+            const latest = this.latest;
+            if (latest && snapshot.tick <= latest.tick) return;
+            this.snapshots.push(snapshot);
+        }
+
+        /**
+         * Move the render clock on one tick.
+         * @returns {{state: Object, events: Array<Object>} | null} the state
+         *   to draw and the events whose tick it just passed, or null before
+         *   the first snapshot
+         */
+        advance() {
+            const latest = this.latest;
+            if (!latest) return null;
+
+            const target = latest.tick - INTERPOLATION_TICKS;
+            const behind = this.renderTick === null ? Infinity : target - this.renderTick;
+            if (behind > MAX_LAG_TICKS) {
+                this.renderTick = target;
+            } else {
+                // Catch up at double speed when a burst arrives, but never
+                // run ahead of what has arrived
+                const step = behind > INTERPOLATION_TICKS ? 2 : 1;
+                this.renderTick = Math.min(this.renderTick + step, latest.tick);
+            }
+
+            const events = [];
+            this.snapshots.forEach(snapshot => {
+                if (snapshot.tick > this.dispatchedTick && snapshot.tick <= this.renderTick) {
+                    events.push(...snapshot.events);
+                }
+            });
+            this.dispatchedTick = Math.max(this.dispatchedTick, this.renderTick);
+
+            const state = this.sample(this.renderTick);
+            this.trim();
+            return { state, events };
+        }
+
+        // The state at `tick`, blended between the snapshots either side of it
+        sample(tick) {
+            let from = this.snapshots[0];
+            let to = from;
+            for (const snapshot of this.snapshots) {
+                if (snapshot.tick > tick) {
+                    to = snapshot;
+                    break;
+                }
+                from = snapshot;
+            }
+            // Nothing newer yet: hold the last state
+            if (to.tick <= from.tick) return from;
+
+            // Serves and points move the ball at once; don't smear it across
+            const t = (tick - from.tick) / (to.tick - from.tick);
+            if (from.attached || to.attached || from.balls.length !== to.balls.length) {
+                return t < 0.5 ? from : to;
+            }
+
+            return Object.assign({}, to, {
+                tick,
+                paddle: blendStep(from.paddle, to.paddle, t),
+                rival: blendStep(from.rival, to.rival, t),
+                speed: from.speed + (to.speed - from.speed) * t,
+                balls: to.balls.map((ball, i) => ball.map((value, j) =>
+                    j < 4 ? from.balls[i][j] + (value - from.balls[i][j]) * t : value
+                ))
+            });
+        }
+
+        // Keep the snapshot the render clock starts from, and everything after
+        trim() {
+            while (this.snapshots.length > BUFFER_SIZE ||
+                (this.snapshots.length > 1 && this.snapshots[1].tick <= this.renderTick)) {
+                this.snapshots.shift();
+            }
+        }
+    }
+
+    /**
+     * Put a snapshot's state into the guest's simulation, which only draws.
+     * The previous positions become the ones to interpolate frames from.
+     * The guest's own paddle is left to the predictor.
+     */
+    function applySnapshot(sim, state) {
+        sim.tick = state.tick;
+        sim.setPaddleStep(state.paddle);
+        sim.server = state.server;
+        sim.attached = state.attached;
+        sim.speedMultiplier = state.speed;
+        sim.scores = state.scores.slice();
+        sim.over = state.over;
+
+        state.balls.forEach(([x, y, vx, vy, lost], i) => {
+            const ball = sim.balls[i];
+            if (!ball) return;
+            ball.prevX = ball.x;
+            ball.prevY = ball.y;
+            ball.x = x;
+            ball.y = y;
+            ball.vx = vx;
+            ball.vy = vy;
+            ball.lost = lost === 1;
+        });
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        SNAPSHOT_EVERY,
+        INTERPOLATION_TICKS,
+        createSnapshot,
+        applySnapshot,
+        RemoteInput,
+        PaddlePredictor,
+        SnapshotBuffer
+    };
+});
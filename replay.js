@@ -0,0 +1,302 @@
+/**
+ * SPACE PONG - Replay Recording
+ * Compact input logs (seed + per-tick paddle position + launch events) that
+ * reproduce a run exactly when fed back through the simulation. Versus
+ * matches also log the rival paddle and the target score, and runs on
+ * another difficulty than normal log it (custom ones with their physics).
+ * Shared by the browser game (window.SpacePongReplay) and the worker.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation.js'));
+    } else {
+        root.SpacePongReplay = factory(root.SpacePongSim);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SpacePongSim) {
+    'use strict';
+
+    const {
+        Simulation, GAME_MODES, DEFAULT_MODE, MAX_TARGET_SCORE, DEFAULT_DIFFICULTY,
+        isValidMode, isValidDifficulty, validatePhysics, ANGLE_STEPS
+    } = SpacePongSim;
+
+    // Bumped whenever the physics change so older runs no longer replay:
+    // 2 capped the ball's speed at MAX_SPEED, 3 sweeps its collisions,
+    // 4 aims hits by where they land on the paddle and its spin, 5 caps how
+    // far anything moves in a tick at MAX_SPEED
+    const REPLAY_VERSION = 5;
+
+    // One hour at 60 ticks per second
+    const MAX_REPLAY_TICKS = 216000;
+
+    const HALF_STEPS = ANGLE_STEPS / 2;
+
+    const EVENT_TYPES = ['launch'];
+
+    class ReplayError extends Error {
+        constructor(code, message) {
+            super(message);
+            this.name = 'ReplayError';
+            this.code = code;
+        }
+    }
+
+    // ============================================
+    // PADDLE TRACK ENCODING
+    // ============================================
+
+    // Paddle steps are stored as run-length encoded deltas: [delta, count, ...].
+    // A paddle held still costs two numbers no matter how long it stays put.
+
+    function encodeSteps(steps) {
+        const runs = [];
+        let prev = 0;
+        for (let i = 0; i < steps.length; i++) {
+            let delta = steps[i] - prev;
+            if (delta >= HALF_STEPS) delta -= ANGLE_STEPS;
+            if (delta < -HALF_STEPS) delta += ANGLE_STEPS;
+            prev = steps[i];
+
+            const last = runs.length - 2;
+            if (last >= 0 && runs[last] === delta) {
+                runs[last + 1]++;
+            } else {
+                runs.push(delta, 1);
+            }
+        }
+        return runs;
+    }
+
+    function decodeSteps(runs, ticks) {
+        if (!Array.isArray(runs) || runs.length % 2 !== 0) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Paddle track is malformed');
+        }
+
+        const steps = new Array(ticks);
+        let step = 0;
+        let tick = 0;
+        for (let i = 0; i < runs.length; i += 2) {
+            const delta = runs[i];
+            const count = runs[i + 1];
+            if (!Number.isInteger(delta) || Math.abs(delta) > HALF_STEPS ||
+                !Number.isInteger(count) || count < 1 || tick + count > ticks) {
+                throw new ReplayError('REPLAY_MALFORMED', 'Paddle track is malformed');
+            }
+            for (let j = 0; j < count; j++) {
+                step = (step + delta + ANGLE_STEPS) % ANGLE_STEPS;
+                steps[tick++] = step;
+            }
+        }
+
+        if (tick !== ticks) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Paddle track length does not match tick count');
+        }
+        return steps;
+    }
+
+    // ============================================
+    // RECORDER
+    // ============================================
+
+    /**
+     * Collects the inputs of one run as the simulation consumes them.
+     * Call record() once per tick, after Simulation.step().
+     */
+    class ReplayRecorder {
+        /**
+         * @param {number} seed
+         * @param {string} [mode]
+         * @param {number | null} [targetScore] - versus matches only
+         * @param {string} [difficulty]
+         * @param {Object | null} [physics] - custom difficulty only
+         */
+        constructor(seed, mode = DEFAULT_MODE, targetScore = null, difficulty = DEFAULT_DIFFICULTY, physics = null) {
+            this.seed = seed;
+            this.mode = mode;
+            this.targetScore = targetScore;
+            this.difficulty = difficulty;
+            this.physics = physics;
+            this.steps = [];
+            this.rivalSteps = [];
+            this.events = [];
+        }
+
+        /**
+         * @param {number} paddleStep
+         * @param {Object[]} simEvents
+         * @param {number} [rivalStep] - the rival paddle, in versus
+         */
+        record(paddleStep, simEvents, rivalStep) {
+            const tick = this.steps.length;
+            this.steps.push(paddleStep);
+            if (rivalStep !== undefined) this.rivalSteps.push(rivalStep);
+            simEvents.forEach(event => {
+                if (EVENT_TYPES.includes(event.type)) {
+                    this.events.push([tick, event.type]);
+                }
+            });
+        }
+
+        finish(score) {
+            const log = {
+                v: REPLAY_VERSION,
+                seed: this.seed,
+                ticks: this.steps.length,
+                score,
+                paddle: encodeSteps(this.steps),
+                events: this.events.slice()
+            };
+            // Classic logs stay exactly as they were before modes existed
+            if (this.mode !== DEFAULT_MODE) log.mode = this.mode;
+            if (this.difficulty !== DEFAULT_DIFFICULTY) log.difficulty = this.difficulty;
+            if (this.difficulty === 'custom') log.physics = Object.assign({}, this.physics);
+            if (GAME_MODES[this.mode].versus) {
+                log.target = this.targetScore;
+                log.rival = encodeSteps(this.rivalSteps);
+            }
+            return log;
+        }
+    }
+
+    // ============================================
+    // PLAYBACK
+    // ============================================
+
+    /**
+     * Validate a replay log and expand it into per-tick inputs.
+     * @throws {ReplayError} if the log is malformed or from another version
+     */
+    function decodeReplay(log) {
+        if (!log || typeof log !== 'object') {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay is not an object');
+        }
+        if (log.v !== REPLAY_VERSION) {
+            throw new ReplayError('REPLAY_VERSION', 'Unsupported replay version');
+        }
+        if (!Number.isInteger(log.seed) || log.seed < 0 || log.seed > 0xFFFFFFFF) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay seed is invalid');
+        }
+        if (log.mode !== undefined && !isValidMode(log.mode)) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay game mode is unknown');
+        }
+        if (log.difficulty !== undefined && !isValidDifficulty(log.difficulty)) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay difficulty is unknown');
+        }
+        if (log.difficulty === 'custom' ? !validatePhysics(log.physics) : log.physics !== undefined) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay physics are invalid');
+        }
+        if (!Number.isInteger(log.ticks) || log.ticks < 0 || log.ticks > MAX_REPLAY_TICKS) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay length is invalid');
+        }
+
+        const steps = decodeSteps(log.paddle, log.ticks);
+
+        let rivalSteps = null;
+        if (log.mode !== undefined && GAME_MODES[log.mode].versus) {
+            if (!Number.isInteger(log.target) || log.target < 1 || log.target > MAX_TARGET_SCORE) {
+                throw new ReplayError('REPLAY_MALFORMED', 'Replay target score is invalid');
+            }
+            rivalSteps = decodeSteps(log.rival, log.ticks);
+        }
+
+        const launches = new Set();
+        if (!Array.isArray(log.events)) {
+            throw new ReplayError('REPLAY_MALFORMED', 'Replay events are malformed');
+        }
+        log.events.forEach(event => {
+            if (!Array.isArray(event) || !Number.isInteger(event[0]) ||
+                event[0] < 0 || event[0] >= log.ticks || !EVENT_TYPES.includes(event[1])) {
+                throw new ReplayError('REPLAY_MALFORMED', 'Replay events are malformed');
+            }
+            if (event[1] === 'launch') launches.add(event[0]);
+        });
+
+        return new ReplayPlayer(log, steps, launches, rivalSteps);
+    }
+
+    class ReplayPlayer {
+        constructor(log, steps, launches, rivalSteps = null) {
+            this.log = log;
+            this.seed = log.seed;
+            this.mode = log.mode || DEFAULT_MODE;
+            this.targetScore = rivalSteps ? log.target : null;
+            this.difficulty = log.difficulty || DEFAULT_DIFFICULTY;
+            this.physics = this.difficulty === 'custom' ? validatePhysics(log.physics) : null;
+            this.length = log.ticks;
+            this.score = log.score;
+            this.steps = steps;
+            this.rivalSteps = rivalSteps;
+            this.launches = launches;
+            this.launchTick = -1;
+            launches.forEach(tick => {
+                if (this.launchTick < 0 || tick < this.launchTick) this.launchTick = tick;
+            });
+        }
+
+        // Simulation input for the given tick
+        inputAt(tick) {
+            const input = {
+                paddleStep: this.steps[tick],
+                launch: this.launches.has(tick)
+            };
+            if (this.rivalSteps) input.rivalStep = this.rivalSteps[tick];
+            return input;
+        }
+    }
+
+    // ============================================
+    // VERIFICATION
+    // ============================================
+
+    /**
+     * Re-run a replay headless from its seed and report what actually
+     * happened. The claimed score in the log is never trusted.
+     * @param {{config?: Object, observe?: (sim: Simulation, events: Object[]) => void}} [options] -
+     *   `observe` is called after every tick, e.g. to collect run metrics
+     * @throws {ReplayError} if the log is malformed or does not describe a
+     *   complete run (launched, ended in a miss, no trailing input)
+     * @returns {{score: number, ticks: number, activeTicks: number, mode: string, difficulty: string}}
+     */
+    function verifyReplay(log, options = {}) {
+        const player = decodeReplay(log);
+        if (player.launchTick < 0) {
+            throw new ReplayError('REPLAY_INCOMPLETE', 'Ball was never launched');
+        }
+
+        const sim = new Simulation({
+            seed: player.seed,
+            mode: player.mode,
+            targetScore: player.targetScore,
+            difficulty: player.difficulty,
+            physics: player.physics,
+            config: options.config
+        });
+        while (sim.tick < player.length && !sim.over) {
+            const events = sim.step(player.inputAt(sim.tick));
+            if (options.observe) options.observe(sim, events);
+        }
+
+        if (!sim.over || sim.tick !== player.length) {
+            throw new ReplayError('REPLAY_INCOMPLETE', 'Replay does not end when the run ends');
+        }
+
+        return {
+            score: sim.score,
+            ticks: sim.tick,
+            activeTicks: sim.tick - player.launchTick,
+            mode: player.mode,
+            difficulty: player.difficulty
+        };
+    }
+
+    return {
+        REPLAY_VERSION,
+        MAX_REPLAY_TICKS,
+        ReplayError,
+        ReplayRecorder,
+        ReplayPlayer,
+        decodeReplay,
+        verifyReplay
+    };
+});
@@ -1,8 +1,12 @@
 /**
  * SPACE PONG - WebGL Gravitational Lensing Shader
  * Creates realistic black hole light-bending effect with Einstein ring
+ * around every gravity source (up to MAX_LENS_SOURCES)
  */
 
+// Must match the array size in the fragment shader
+const MAX_LENS_SOURCES = 4;
+
 // Vertex Shader - Simply passes coordinates through
 const vertexShaderSource = `
     attribute vec2 a_position;
@@ -23,11 +27,13 @@ const fragmentShaderSource = `
     
     uniform sampler2D u_texture;
     uniform vec2 u_resolution;
-    uniform vec2 u_blackHolePos;
-    uniform float u_blackHoleRadius;
-    uniform float u_time;
-    
     #define PI 3.14159265359
+    #define MAX_SOURCES 4
+    
+    uniform vec2 u_sourcePos[MAX_SOURCES];
+    uniform float u_sourceMass[MAX_SOURCES];
+    uniform int u_sourceCount;
+    uniform float u_time;
     
     // Schwarzschild-inspired lensing - bends space around black hole
     vec2 gravitationalLens(vec2 uv, vec2 center, float mass, float aspect) {
@@ -66,40 +72,17 @@ const fragmentShaderSource = `
         return bentUV;
     }
     
-    void main() {
-        vec2 uv = v_texCoord;
-        vec2 center = u_blackHolePos;
-        float mass = u_blackHoleRadius;
-        float aspect = u_resolution.x / u_resolution.y;
-        
-        // Calculate distance in aspect-corrected space
-        vec2 uvCorrected = vec2(uv.x * aspect, uv.y);
-        vec2 centerCorrected = vec2(center.x * aspect, center.y);
-        vec2 delta = uvCorrected - centerCorrected;
-        float dist = length(delta);
-        
-        // Event horizon - complete darkness
+    // Photon sphere glow and accretion disk around one source
+    vec3 sourceLight(vec3 color, vec2 delta, float dist, float mass) {
         float eventHorizon = mass * 0.4;
         
-        if (dist < eventHorizon) {
-            gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
-            return;
-        }
-        
-        // Apply gravitational lensing
-        vec2 lensedUV = gravitationalLens(uv, center, mass, aspect);
-        
-        // Clamp and sample
-        lensedUV = clamp(lensedUV, 0.0, 1.0);
-        vec4 color = texture2D(u_texture, lensedUV);
-        
         // Photon sphere glow (1.5x event horizon) - subtle white/blue
         float photonSphere = eventHorizon * 1.5;
         float photonDist = abs(dist - photonSphere);
         if (dist > eventHorizon && dist < photonSphere * 1.8) {
             float glowIntensity = exp(-photonDist * photonDist / (mass * mass * 0.02));
             vec3 photonGlow = vec3(0.7, 0.85, 1.0) * glowIntensity * 0.3;
-            color.rgb += photonGlow;
+            color += photonGlow;
         }
         
         // Accretion disk simulation - subtle monochrome with time-based hue shift
@@ -134,8 +117,44 @@ const fragmentShaderSource = `
             
             // Combine disk (more subtle alpha)
             float diskAlpha = radialFalloff * doppler * spiral * 0.35;
-            color.rgb = mix(color.rgb, diskColor, diskAlpha);
-            color.rgb += diskColor * diskAlpha * 0.15;
+            color = mix(color, diskColor, diskAlpha);
+            color += diskColor * diskAlpha * 0.15;
+        }
+        
+        return color;
+    }
+    
+    void main() {
+        vec2 uv = v_texCoord;
+        float aspect = u_resolution.x / u_resolution.y;
+        vec2 uvCorrected = vec2(uv.x * aspect, uv.y);
+        
+        // Each source bends light on its own; the bends add up
+        vec2 lensedUV = uv;
+        for (int i = 0; i < MAX_SOURCES; i++) {
+            if (i >= u_sourceCount) break;
+            
+            vec2 centerCorrected = vec2(u_sourcePos[i].x * aspect, u_sourcePos[i].y);
+            float dist = length(uvCorrected - centerCorrected);
+            
+            // Event horizon - complete darkness
+            if (dist < u_sourceMass[i] * 0.4) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+            
+            lensedUV += gravitationalLens(uv, u_sourcePos[i], u_sourceMass[i], aspect) - uv;
+        }
+        
+        // Clamp and sample
+        lensedUV = clamp(lensedUV, 0.0, 1.0);
+        vec4 color = texture2D(u_texture, lensedUV);
+        
+        for (int i = 0; i < MAX_SOURCES; i++) {
+            if (i >= u_sourceCount) break;
+            
+            vec2 delta = uvCorrected - vec2(u_sourcePos[i].x * aspect, u_sourcePos[i].y);
+            color.rgb = sourceLight(color.rgb, delta, length(delta), u_sourceMass[i]);
         }
         
         // Edge darkening near event horizon
@@ -194,8 +213,9 @@ class GravitationalLensShader {
         this.positionLocation = gl.getAttribLocation(this.program, 'a_position');
         this.texCoordLocation = gl.getAttribLocation(this.program, 'a_texCoord');
         this.resolutionLocation = gl.getUniformLocation(this.program, 'u_resolution');
-        this.blackHolePosLocation = gl.getUniformLocation(this.program, 'u_blackHolePos');
-        this.blackHoleRadiusLocation = gl.getUniformLocation(this.program, 'u_blackHoleRadius');
+        this.sourcePosLocation = gl.getUniformLocation(this.program, 'u_sourcePos');
+        this.sourceMassLocation = gl.getUniformLocation(this.program, 'u_sourceMass');
+        this.sourceCountLocation = gl.getUniformLocation(this.program, 'u_sourceCount');
         this.timeLocation = gl.getUniformLocation(this.program, 'u_time');
         this.textureLocation = gl.getUniformLocation(this.program, 'u_texture');
 
@@ -246,7 +266,13 @@ class GravitationalLensShader {
         }
     }
 
-    render(sourceCanvas, blackHoleX, blackHoleY, blackHoleRadius, time) {
+    /**
+     * @param {HTMLCanvasElement} sourceCanvas - the scene to lens
+     * @param {{x: number, y: number, radius: number}[]} sources - lensing
+     *   centres and radii in canvas pixels; only the first MAX_LENS_SOURCES count
+     * @param {number} time
+     */
+    render(sourceCanvas, sources, time) {
         if (!this.enabled) return;
 
         const gl = this.gl;
@@ -262,8 +288,17 @@ class GravitationalLensShader {
 
         // Set uniforms - scale radius for more dramatic effect
         gl.uniform2f(this.resolutionLocation, width, height);
-        gl.uniform2f(this.blackHolePosLocation, blackHoleX / width, 1.0 - blackHoleY / height);
-        gl.uniform1f(this.blackHoleRadiusLocation, (blackHoleRadius * 1.5) / Math.min(width, height));
+        const count = Math.min(sources.length, MAX_LENS_SOURCES);
+        const positions = new Float32Array(MAX_LENS_SOURCES * 2);
+        const masses = new Float32Array(MAX_LENS_SOURCES);
+        for (let i = 0; i < count; i++) {
+            positions[i * 2] = sources[i].x / width;
+            positions[i * 2 + 1] = 1.0 - sources[i].y / height;
+            masses[i] = (sources[i].radius * 1.5) / Math.min(width, height);
+        }
+        gl.uniform2fv(this.sourcePosLocation, positions);
+        gl.uniform1fv(this.sourceMassLocation, masses);
+        gl.uniform1i(this.sourceCountLocation, count);
         gl.uniform1f(this.timeLocation, time);
         gl.uniform1i(this.textureLocation, 0);
 
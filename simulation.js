@@ -0,0 +1,1514 @@
+/**
+ * SPACE PONG - Deterministic Simulation Core
+ * Fixed-timestep ball, gravity and paddle physics with no DOM dependencies.
+ * Loaded as a plain script in the browser (window.SpacePongSim) and via
+ * require/import under Node and the leaderboard worker.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpacePongSim = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // SIMULATION CONFIGURATION
+    // ============================================
+
+    // All distances are in simulation units. The renderer scales the arena to
+    // fit the screen, so the physics never depends on the viewport size.
+    const SIM_CONFIG = {
+        // Timing
+        TICK_RATE: 60,
+
+        // Arena
+        ARENA_RADIUS: 400,
+        LAUNCH_OFFSET: 20,
+
+        // Physics (DIFFICULTIES presets change some of these)
+        GRAVITY_STRENGTH: 18000,
+        GRAVITY_FACTOR: 0.09,
+        GRAVITY_EXPONENT: 1.3,
+        MIN_GRAVITY_DIST_SQ: 400,
+        MAX_SPEED: 12, // furthest anything moves in a tick, however fast the game has got
+        SPEED_INCREMENT: 0.000015,
+        HIT_SPEED_BOOST: 0.002,
+        HIT_ENERGY: 1.08,
+        SLINGSHOT_ENERGY: 1.4,
+
+        // Launch
+        LAUNCH_INWARD_SPEED: 3,
+        LAUNCH_SIDE_SPEED: 1.4,
+
+        // Paddle
+        PADDLE_ARC_LENGTH: 0.5,
+
+        // Aiming: a hit bends the ball along the ring, towards the end of
+        // the arc it landed on and with the paddle's turn
+        HIT_AIM: 0.35, // along-ring speed an edge hit adds, as a share of the ball's speed
+        SPIN_TRANSFER: 0.12, // share of the paddle's surface speed the ball picks up
+        MAX_SPIN: 0.1, // radians per tick; faster turns count as this
+        MAX_AIM_SLOPE: 1.5, // along-ring over inward speed after a hit (about 56°), so it never skims the ring
+
+        // Ball
+        BALL_RADIUS: 8,
+
+        // Black Hole
+        BLACK_HOLE_RADIUS: 30,
+        BLACK_HOLE_MARGIN: 5,
+
+        // Miss grace period before the run ends (300ms at 60Hz)
+        ESCAPE_TICKS: 18,
+
+        // Power-up pickups orbit the centre between these radii
+        PICKUP_RADIUS: 14,
+        PICKUP_ORBIT_MIN: 120,
+        PICKUP_ORBIT_MAX: 300,
+        PICKUP_ORBIT_PERIOD: 900,
+
+        // Hazards: asteroid radii by size (small, medium, large), the band
+        // they start orbiting in, and how far (radians) one knocks a paddle
+        HAZARD_RADII: [7, 12, 18],
+        HAZARD_ORBIT_MIN: 150,
+        HAZARD_ORBIT_MAX: 320,
+        HAZARD_SPLIT_SPEED: 0.8,
+        HAZARD_KNOCK: 0.35,
+        HAZARD_KNOCK_DECAY: 0.94,
+
+        // Broad-phase collision grid cell size
+        COLLISION_CELL: 64
+    };
+
+    // Paddle angles are quantized so a recorded input reproduces the exact
+    // same physics on every device
+    const ANGLE_STEPS = 65536;
+    const HALF_STEPS = ANGLE_STEPS / 2;
+
+    // ============================================
+    // DETERMINISTIC MATH
+    // ============================================
+
+    // Math.sin/cos/pow are not required to be correctly rounded, so browsers
+    // can disagree in the last bit. These only use + - * / and floor, which
+    // IEEE 754 pins down exactly, so every engine gets the same answer.
+
+    const PI = 3.141592653589793;
+    const TWO_PI = 6.283185307179586;
+    const HALF_PI = 1.5707963267948966;
+    const LN2 = 0.6931471805599453;
+
+    function wrapAngle(angle) {
+        return angle - TWO_PI * Math.floor((angle + PI) / TWO_PI);
+    }
+
+    function sin(angle) {
+        let x = wrapAngle(angle);
+        if (x > HALF_PI) x = PI - x;
+        else if (x < -HALF_PI) x = -PI - x;
+
+        // Taylor series, accurate to ~1e-16 on [-PI/2, PI/2]
+        const x2 = x * x;
+        let term = x;
+        let sum = x;
+        for (let n = 1; n <= 11; n++) {
+            term *= -x2 / ((2 * n) * (2 * n + 1));
+            sum += term;
+        }
+        return sum;
+    }
+
+    function cos(angle) {
+        return sin(angle + HALF_PI);
+    }
+
+    function ln(value) {
+        let x = value;
+        let exponent = 0;
+        while (x >= 2) { x /= 2; exponent++; }
+        while (x < 1) { x *= 2; exponent--; }
+
+        // ln(x) = 2 * atanh((x - 1) / (x + 1)) with x in [1, 2)
+        const s = (x - 1) / (x + 1);
+        const s2 = s * s;
+        let term = s;
+        let sum = 0;
+        for (let k = 1; k < 40; k += 2) {
+            sum += term / k;
+            term *= s2;
+        }
+        return 2 * sum + exponent * LN2;
+    }
+
+    function exp(value) {
+        const n = Math.floor(value / LN2 + 0.5);
+        const r = value - n * LN2;
+
+        let term = 1;
+        let sum = 1;
+        for (let k = 1; k < 20; k++) {
+            term *= r / k;
+            sum += term;
+        }
+
+        for (let i = 0; i < n; i++) sum *= 2;
+        for (let i = 0; i > n; i--) sum /= 2;
+        return sum;
+    }
+
+    function pow(base, exponent) {
+        if (base <= 0) return 0;
+        return exp(exponent * ln(base));
+    }
+
+    function quantizeAngle(angle) {
+        const step = Math.round(wrapAngle(angle) / TWO_PI * ANGLE_STEPS);
+        return ((step % ANGLE_STEPS) + ANGLE_STEPS) % ANGLE_STEPS;
+    }
+
+    function angleFromStep(step) {
+        return wrapAngle(step * TWO_PI / ANGLE_STEPS);
+    }
+
+    // Signed turn from one step to another, the short way round
+    function stepDelta(from, to) {
+        return ((to - from + HALF_STEPS + ANGLE_STEPS) % ANGLE_STEPS) - HALF_STEPS;
+    }
+
+    const DetMath = { sin, cos, ln, exp, pow, wrapAngle };
+
+    // ============================================
+    // FIXED TIMESTEP
+    // ============================================
+
+    /**
+     * Split real time that has not been simulated yet into whole ticks.
+     * The caller runs `ticks` steps and carries `remainder` to the next frame,
+     * so how many ticks run depends only on the total time, never on the
+     * frame rate.
+     * @param {number} accumulator - ms of real time not yet simulated
+     * @param {number} tickMs
+     * @returns {{ticks: number, remainder: number}}
+     */
+    function fixedSteps(accumulator, tickMs) {
+        let ticks = 0;
+        let remainder = accumulator;
+        while (remainder >= tickMs) {
+            remainder -= tickMs;
+            ticks++;
+        }
+        return { ticks, remainder };
+    }
+
+    // ============================================
+    // SEEDED RANDOM
+    // ============================================
+
+    /**
+     * Small seedable PRNG (mulberry32). Uses 32-bit integer math only, so a
+     * seed produces the same sequence everywhere.
+     */
+    class Random {
+        constructor(seed) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+        }
+
+        // Uniform float in [0, 1)
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        range(min, max) {
+            return min + this.next() * (max - min);
+        }
+
+        /**
+         * Derive an independent stream from this seed, so draws on one stream
+         * (e.g. cosmetic particles) never shift the sequence of another.
+         */
+        fork(label) {
+            let hash = this.seed ^ 0x811C9DC5;
+            for (let i = 0; i < label.length; i++) {
+                hash = Math.imul(hash ^ label.charCodeAt(i), 0x01000193);
+            }
+            return new Random(hash);
+        }
+
+        static randomSeed() {
+            if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+                return crypto.getRandomValues(new Uint32Array(1))[0];
+            }
+            return Math.floor(Math.random() * 4294967296);
+        }
+
+        // Accepts a number or numeric string; returns null if it isn't a valid seed
+        static parseSeed(value) {
+            if (value === null || value === undefined || value === '') return null;
+            const seed = Number(value);
+            if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) return null;
+            return seed;
+        }
+    }
+
+    // ============================================
+    // GAME MODES
+    // ============================================
+
+    /**
+     * Game modes: a display name, the gravity sources, and optionally
+     * - multiBall ({every, max}): an extra ball is launched from the paddle
+     *   each time the score passes a multiple of `every`, while fewer than
+     *   `max` are in play.
+     * - versus ({targetScore}): two players share the ring, each defending
+     *   half of it. Player one has the top half, player two (the rival
+     *   paddle) the bottom. A miss is a point for the other player; the
+     *   player who missed serves next, and the first to `targetScore` wins.
+     * - powerUps ({every, lifetime, max}): while the ball is in play a
+     *   pickup (one of POWER_UPS, drawn from the seed) appears every `every`
+     *   ticks, orbits the centre for `lifetime` ticks and is collected by
+     *   the first ball through it. At most `max` are out at once.
+     * - hazards ({base, perSpeed, max, cooldown, breakable}): asteroids
+     *   orbit the sources under the ball's gravity. `base` are out from the
+     *   launch, one more for every `perSpeed` the speed multiplier has
+     *   gained, up to `max`; a new one comes at most every `cooldown` ticks.
+     *   `breakable` is the share that split when the ball hits them.
+     *
+     * Each gravity source has:
+     * - mass: multiplies GRAVITY_STRENGTH
+     * - radius: slingshot radius (defaults to BLACK_HOLE_RADIUS)
+     * - x, y: rest position (defaults to the centre)
+     * - path: optional list of circular motions added to the rest position,
+     *   each {radius, period, phase}. period is in ticks (negative turns
+     *   clockwise); phase is in radians, or drawn from the run's seed if
+     *   omitted. One term is a plain orbit; several make a wandering drift.
+     * The lensing shader draws at most four sources.
+     */
+    const GAME_MODES = {
+        classic: {
+            name: 'Classic',
+            sources: [{ mass: 1 }]
+        },
+        binary: {
+            name: 'Binary',
+            sources: [
+                { mass: 0.6, radius: 22, path: [{ radius: 70, period: 720, phase: 0 }] },
+                { mass: 0.6, radius: 22, path: [{ radius: 70, period: 720, phase: PI }] }
+            ]
+        },
+        wanderer: {
+            name: 'Wanderer',
+            sources: [
+                { mass: 1, path: [{ radius: 80, period: 1900 }, { radius: 45, period: -700 }] }
+            ]
+        },
+        multiball: {
+            name: 'Multi-ball',
+            sources: [{ mass: 1 }],
+            multiBall: { every: 10, max: 4 }
+        },
+        versus: {
+            name: 'Versus',
+            sources: [{ mass: 1 }],
+            versus: { targetScore: 7 }
+        },
+        powerups: {
+            name: 'Power-ups',
+            sources: [{ mass: 1 }],
+            powerUps: { every: 600, lifetime: 720, max: 2 }
+        },
+        asteroids: {
+            name: 'Asteroid Belt',
+            sources: [{ mass: 1 }],
+            hazards: { base: 2, perSpeed: 0.2, max: 10, cooldown: 90, breakable: 0.6 }
+        }
+    };
+
+    /**
+     * What each pickup does once collected, for `duration` ticks. Collecting
+     * a power-up that is already running restarts its timer.
+     * - widen: the paddle's arc is `arcScale` times as long
+     * - slow: the ball moves and falls at `timeScale` of its speed
+     * - shield: the next miss bounces off the ring instead (used up by it)
+     * - flip: gravity is multiplied by `gravity`, pushing the ball outwards
+     */
+    const POWER_UPS = {
+        widen: { duration: 600, arcScale: 1.6 },
+        slow: { duration: 420, timeScale: 0.6 },
+        shield: { duration: 900 },
+        flip: { duration: 240, gravity: -0.5 }
+    };
+
+    const POWER_UP_KINDS = Object.keys(POWER_UPS);
+
+    // Highest versus target score a replay may ask for
+    const MAX_TARGET_SCORE = 99;
+
+    // ============================================
+    // DIFFICULTY
+    // ============================================
+
+    /**
+     * Difficulty presets: a display name and the SIM_CONFIG values they
+     * change. Custom takes the player's own values for every PHYSICS_LIMITS
+     * key instead.
+     */
+    const DIFFICULTIES = {
+        chill: {
+            name: 'Chill',
+            physics: { GRAVITY_STRENGTH: 14000, MAX_SPEED: 9, SPEED_INCREMENT: 0.000008, HIT_SPEED_BOOST: 0.001 }
+        },
+        normal: {
+            name: 'Normal',
+            physics: {}
+        },
+        singularity: {
+            name: 'Singularity',
+            physics: { GRAVITY_STRENGTH: 24000, MAX_SPEED: 16, SPEED_INCREMENT: 0.00003, HIT_SPEED_BOOST: 0.004 }
+        },
+        custom: {
+            name: 'Custom',
+            physics: null
+        }
+    };
+
+    const DEFAULT_DIFFICULTY = 'normal';
+
+    // The physics a custom difficulty may set, and the range each must stay in
+    const PHYSICS_LIMITS = {
+        GRAVITY_STRENGTH: { min: 6000, max: 36000, step: 1000 },
+        MAX_SPEED: { min: 4, max: 24, step: 0.5 },
+        SPEED_INCREMENT: { min: 0, max: 0.0001, step: 0.000001 },
+        HIT_SPEED_BOOST: { min: 0, max: 0.01, step: 0.0005 }
+    };
+
+    function isValidDifficulty(difficulty) {
+        return Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty);
+    }
+
+    /**
+     * Check custom physics against PHYSICS_LIMITS.
+     * @returns {Object | null} a copy with every limited key, or null if one
+     *   is missing, out of range or not a limited key at all
+     */
+    function validatePhysics(physics) {
+        if (!physics || typeof physics !== 'object') return null;
+        const keys = Object.keys(PHYSICS_LIMITS);
+        if (Object.keys(physics).some(key => !keys.includes(key))) return null;
+
+        const valid = {};
+        for (const key of keys) {
+            const value = physics[key];
+            const limit = PHYSICS_LIMITS[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < limit.min || value > limit.max) {
+                return null;
+            }
+            valid[key] = value;
+        }
+        return valid;
+    }
+
+    // Custom physics to start from: the normal values
+    function defaultPhysics() {
+        const physics = {};
+        Object.keys(PHYSICS_LIMITS).forEach(key => { physics[key] = SIM_CONFIG[key]; });
+        return physics;
+    }
+
+    const DEFAULT_MODE = 'classic';
+
+    function isValidMode(mode) {
+        return Object.prototype.hasOwnProperty.call(GAME_MODES, mode);
+    }
+
+    /**
+     * Live sources for a run of `mode`, placed for tick 0. Random phases come
+     * from their own stream, so adding a mode never changes the launch of another.
+     */
+    function createSources(mode, config, random) {
+        const phases = random.fork('gravity');
+        return GAME_MODES[mode].sources.map(def => {
+            const source = {
+                mass: def.mass,
+                radius: def.radius !== undefined ? def.radius : config.BLACK_HOLE_RADIUS,
+                restX: def.x || 0,
+                restY: def.y || 0,
+                path: (def.path || []).map(term => ({
+                    radius: term.radius,
+                    period: term.period,
+                    phase: term.phase !== undefined ? term.phase : phases.next() * TWO_PI
+                })),
+                x: 0,
+                y: 0
+            };
+            placeSource(source, 0);
+            source.prevX = source.x;
+            source.prevY = source.y;
+            return source;
+        });
+    }
+
+    function createBall(id, config) {
+        return {
+            id,
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+            prevX: 0,
+            prevY: 0,
+            radius: config.BALL_RADIUS,
+            // Missed balls get a grace period before they count as lost
+            escaping: false,
+            escapeTicks: 0,
+            lost: false
+        };
+    }
+
+    // Versus: which player defends the part of the ring at (x, y)
+    function versusSide(x, y) {
+        return y < 0 ? 0 : 1;
+    }
+
+    /**
+     * Broad phase for circle collisions: bodies are filed under every grid
+     * cell their circle touches, so a query only looks at nearby ones instead
+     * of every pair.
+     */
+    class SpatialGrid {
+        constructor(cellSize) {
+            this.cellSize = cellSize;
+            this.cells = new Map();
+        }
+
+        cellRange(x, y, radius) {
+            const size = this.cellSize;
+            return {
+                minX: Math.floor((x - radius) / size),
+                maxX: Math.floor((x + radius) / size),
+                minY: Math.floor((y - radius) / size),
+                maxY: Math.floor((y + radius) / size)
+            };
+        }
+
+        /**
+         * @param {Array<{x: number, y: number, radius: number}>} bodies -
+         *   filed by index, replacing whatever the grid held
+         */
+        build(bodies) {
+            this.cells.clear();
+            bodies.forEach((body, index) => {
+                const range = this.cellRange(body.x, body.y, body.radius);
+                for (let cx = range.minX; cx <= range.maxX; cx++) {
+                    for (let cy = range.minY; cy <= range.maxY; cy++) {
+                        const key = `${cx},${cy}`;
+                        const cell = this.cells.get(key);
+                        if (cell) cell.push(index);
+                        else this.cells.set(key, [index]);
+                    }
+                }
+            });
+        }
+
+        /**
+         * Indices of the bodies that might overlap a circle, in ascending
+         * order so collisions resolve the same way everywhere.
+         */
+        query(x, y, radius) {
+            const found = new Set();
+            const range = this.cellRange(x, y, radius);
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                for (let cy = range.minY; cy <= range.maxY; cy++) {
+                    const cell = this.cells.get(`${cx},${cy}`);
+                    if (cell) cell.forEach(index => found.add(index));
+                }
+            }
+            return Array.from(found).sort((a, b) => a - b);
+        }
+    }
+
+    // ============================================
+    // SWEPT COLLISIONS
+    // ============================================
+
+    // A fast ball can move further in one tick than the horizon is wide, or
+    // end a tick far past the ring. Collisions are judged along the move
+    // instead of only where it ends.
+
+    // How far short of a horizon a body that ran into one mid-move stops, as
+    // a fraction of the move, so it starts the next tick outside it
+    const SWEEP_BACKOFF = 1e-6;
+
+    /**
+     * When a move from (x0, y0) by (dx, dy) first comes within `reach` of
+     * (cx, cy).
+     * @returns {number | null} the fraction of the move done by then, or null
+     *   if it never does; a move that starts within reach returns 0
+     */
+    function sweepIntoCircle(x0, y0, dx, dy, cx, cy, reach) {
+        const px = x0 - cx;
+        const py = y0 - cy;
+        const c = px * px + py * py - reach * reach;
+        if (c < 0) return 0;
+
+        const a = dx * dx + dy * dy;
+        const b = px * dx + py * dy;
+        if (a === 0 || b >= 0) return null;
+        const disc = b * b - a * c;
+        if (disc < 0) return null;
+        const t = (-b - Math.sqrt(disc)) / a;
+        return t <= 1 ? t : null;
+    }
+
+    /**
+     * Where a body's move this tick, from (prevX, prevY), first reached
+     * `radius` from the centre. One that started there reached it at once.
+     * @returns {{x: number, y: number, dist: number}}
+     */
+    function ringContact(body, radius) {
+        const x0 = body.prevX;
+        const y0 = body.prevY;
+        const dx = body.x - x0;
+        const dy = body.y - y0;
+        const c = x0 * x0 + y0 * y0 - radius * radius;
+
+        let t = 0;
+        if (c < 0) {
+            const a = dx * dx + dy * dy;
+            const b = x0 * dx + y0 * dy;
+            t = Math.min(1, (-b + Math.sqrt(b * b - a * c)) / a);
+        }
+        const x = x0 + dx * t;
+        const y = y0 + dy * t;
+        return { x, y, dist: Math.sqrt(x * x + y * y) };
+    }
+
+    // Unit normal from b to a and their overlap, or null if apart
+    function circleContact(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const reach = a.radius + b.radius;
+        const distSq = dx * dx + dy * dy;
+        if (distSq >= reach * reach || distSq === 0) return null;
+        const dist = Math.sqrt(distSq);
+        return { nx: dx / dist, ny: dy / dist, overlap: reach - dist };
+    }
+
+    // Elastic bounce between two circles in contact, heavier (bigger) ones
+    // moving less
+    function collideBodies(a, b, { nx, ny, overlap }) {
+        const massA = a.radius * a.radius;
+        const massB = b.radius * b.radius;
+        const total = massA + massB;
+
+        const closing = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+        if (closing < 0) {
+            const impulse = 2 * closing / total;
+            a.vx -= impulse * massB * nx;
+            a.vy -= impulse * massB * ny;
+            b.vx += impulse * massA * nx;
+            b.vy += impulse * massA * ny;
+        }
+
+        a.x += nx * overlap * massB / total;
+        a.y += ny * overlap * massB / total;
+        b.x -= nx * overlap * massA / total;
+        b.y -= ny * overlap * massA / total;
+    }
+
+    function createPaddle(angle) {
+        const paddle = { step: 0, angle: 0, x: 0, y: 0 };
+        setPaddle(paddle, quantizeAngle(angle));
+        return paddle;
+    }
+
+    // `knock` (in steps) moves where the paddle really is away from where
+    // its player holds it
+    function setPaddle(paddle, step, knock = 0) {
+        paddle.step = step;
+        paddle.angle = angleFromStep(step);
+        const angle = knock ? angleFromStep(step + knock) : paddle.angle;
+        paddle.x = cos(angle);
+        paddle.y = sin(angle);
+    }
+
+    function placePickup(pickup) {
+        pickup.x = cos(pickup.angle) * pickup.orbit;
+        pickup.y = sin(pickup.angle) * pickup.orbit;
+    }
+
+    function placeSource(source, tick) {
+        let x = source.restX;
+        let y = source.restY;
+        source.path.forEach(term => {
+            const angle = term.phase + TWO_PI * tick / term.period;
+            x += cos(angle) * term.radius;
+            y += sin(angle) * term.radius;
+        });
+        source.x = x;
+        source.y = y;
+    }
+
+    // ============================================
+    // SIMULATION
+    // ============================================
+
+    /**
+     * One run of the game, advanced one fixed tick at a time.
+     * step() returns the gameplay events that happened during that tick so
+     * the caller can drive score, sound and effects without touching physics.
+     */
+    class Simulation {
+        /**
+         * @param {{seed?: number, mode?: string, targetScore?: number,
+         *   difficulty?: string, physics?: Object, config?: Object}} [options] -
+         *   mode is a GAME_MODES key, classic by default; targetScore only
+         *   applies to versus and defaults to the mode's. difficulty is a
+         *   DIFFICULTIES key, normal by default; physics holds the custom
+         *   difficulty's values. config overrides both.
+         */
+        constructor(options = {}) {
+            this.configOverrides = options.config;
+            this.setDifficulty(options.difficulty, options.physics);
+
+            this.mode = DEFAULT_MODE;
+            this.targetScore = null;
+            this.reset(
+                options.seed !== undefined ? options.seed : Random.randomSeed(),
+                options.mode || DEFAULT_MODE,
+                options.targetScore
+            );
+        }
+
+        get tickMs() {
+            return 1000 / this.config.TICK_RATE;
+        }
+
+        /**
+         * Pick the physics. Call between runs, before reset().
+         * @param {string} [difficulty] - a DIFFICULTIES key
+         * @param {Object} [physics] - custom only: a value for every PHYSICS_LIMITS key
+         */
+        setDifficulty(difficulty = DEFAULT_DIFFICULTY, physics = null) {
+            if (!isValidDifficulty(difficulty)) throw new Error(`Unknown difficulty: ${difficulty}`);
+            const custom = difficulty === 'custom' ? validatePhysics(physics) : null;
+            if (difficulty === 'custom' && !custom) throw new Error('Invalid custom physics');
+
+            this.difficulty = difficulty;
+            this.physics = custom;
+            this.config = Object.assign({}, SIM_CONFIG, custom || DIFFICULTIES[difficulty].physics, this.configOverrides);
+            this.hitCosine = cos(this.config.PADDLE_ARC_LENGTH / 2);
+            this.widenedHitCosine = cos(this.config.PADDLE_ARC_LENGTH * POWER_UPS.widen.arcScale / 2);
+
+            // Versus paddles keep their whole arc inside their half of the ring
+            this.halfArcSteps = Math.ceil(this.config.PADDLE_ARC_LENGTH / 2 / TWO_PI * ANGLE_STEPS);
+        }
+
+        /**
+         * Start a fresh run. All gameplay randomness comes from the seed, so
+         * the same seed and inputs always replay the same run.
+         * @param {number} [seed] - defaults to the current run's seed
+         * @param {string} [mode] - defaults to the current run's mode
+         * @param {number} [targetScore] - versus only; defaults to the current
+         *   match's, or the mode's
+         */
+        reset(seed = this.seed, mode = this.mode, targetScore = this.targetScore) {
+            if (!isValidMode(mode)) throw new Error(`Unknown game mode: ${mode}`);
+            this.seed = seed >>> 0;
+            this.mode = mode;
+
+            const versus = GAME_MODES[mode].versus;
+            this.targetScore = versus ? (targetScore || versus.targetScore) : null;
+            this.scores = versus ? [0, 0] : null;
+            this.rival = versus ? createPaddle(HALF_PI) : null;
+            this.server = 0;
+
+            this.random = new Random(this.seed);
+            this.sources = createSources(mode, this.config, this.random);
+
+            // Extra balls draw from their own stream, so modes without them
+            // keep the main sequence untouched
+            this.ballRandom = this.random.fork('balls');
+            this.pickupRandom = this.random.fork('powerUps');
+
+            // Pickups out in the arena, and running power-ups (kind -> ticks left)
+            this.pickups = [];
+            this.nextPickupId = 0;
+            this.effects = {};
+
+            // Asteroids, and how far each player's paddle has been knocked
+            // off its input (in steps, easing back to 0)
+            this.hazardRandom = this.random.fork('hazards');
+            this.hazards = [];
+            this.nextHazardId = 0;
+            this.nextHazardTick = 0;
+            this.hazardGrid = new SpatialGrid(this.config.COLLISION_CELL);
+            this.knocks = [0, 0];
+
+            // How far each player turned their paddle last tick, in steps
+            this.spins = [0, 0];
+
+            this.tick = 0;
+            this.score = 0;
+            this.speedMultiplier = 1.0;
+            this.attached = true;
+            this.over = false;
+
+            // Balls stay in the list once lost (flagged `lost`); `ball` is
+            // the first one, which starts on the paddle
+            this.ball = createBall(0, this.config);
+            this.balls = [this.ball];
+
+            this.setPaddleAngle(-HALF_PI);
+            this.attachBall();
+            this.ball.prevX = this.ball.x;
+            this.ball.prevY = this.ball.y;
+        }
+
+        get versus() {
+            return this.rival !== null;
+        }
+
+        // Paddle arc in radians, with any widen power-up
+        get paddleArc() {
+            const scale = this.effects.widen ? POWER_UPS.widen.arcScale : 1;
+            return this.config.PADDLE_ARC_LENGTH * scale;
+        }
+
+        // Cosine of half the paddle's arc, for the hit test
+        get paddleHitCosine() {
+            return this.effects.widen ? this.widenedHitCosine : this.hitCosine;
+        }
+
+        // Fraction of a tick the ball moves, slowed by a slow power-up
+        get timeScale() {
+            return this.effects.slow ? POWER_UPS.slow.timeScale : 1;
+        }
+
+        // Move every gravity source to where its path puts it this tick
+        placeSources() {
+            this.sources.forEach(source => {
+                source.prevX = source.x;
+                source.prevY = source.y;
+                placeSource(source, this.tick);
+            });
+        }
+
+        setPaddleAngle(angle) {
+            this.setPaddleStep(quantizeAngle(angle));
+        }
+
+        /**
+         * Set the paddle from a quantized step, as stored in replays.
+         * paddleStep and paddleAngle are where the player holds it;
+         * paddleX and paddleY, where a hazard's knock leaves it.
+         */
+        setPaddleStep(step) {
+            if (this.versus) step = this.clampPaddleStep(step, 0);
+            this.paddleStep = step;
+            this.paddleAngle = angleFromStep(step);
+            const knock = this.knocks[0];
+            const angle = knock ? angleFromStep(step + knock) : this.paddleAngle;
+            this.paddleX = cos(angle);
+            this.paddleY = sin(angle);
+        }
+
+        // Versus: the rival paddle, player two's
+        setRivalStep(step) {
+            setPaddle(this.rival, this.clampPaddleStep(step, 1), this.knocks[1]);
+        }
+
+        // How far a player's paddle is knocked off where they hold it, in radians
+        knockAngle(player) {
+            return this.knocks[player] * TWO_PI / ANGLE_STEPS;
+        }
+
+        /**
+         * Keep a versus paddle in its player's half of the ring, moving it to
+         * the nearer end if it's outside.
+         * @param {number} step - quantized paddle angle
+         * @param {number} player - 0 defends the top half, 1 the bottom
+         */
+        clampPaddleStep(step, player) {
+            const start = player === 0 ? HALF_STEPS : 0;
+            const offset = (step - start + ANGLE_STEPS) % ANGLE_STEPS;
+            const min = this.halfArcSteps;
+            const max = HALF_STEPS - this.halfArcSteps;
+
+            let clamped = offset;
+            if (offset > max && offset < HALF_STEPS + HALF_STEPS / 2) clamped = max;
+            else if (offset < min || offset >= HALF_STEPS + HALF_STEPS / 2) clamped = min;
+            return (start + clamped) % ANGLE_STEPS;
+        }
+
+        /**
+         * The angle a paddle ends up at, so the game can draw the mouse or
+         * keyboard target where the simulation will put it. Unchanged outside
+         * versus.
+         */
+        clampPaddleAngle(angle, player) {
+            if (!this.versus) return angle;
+            return angleFromStep(this.clampPaddleStep(quantizeAngle(angle), player));
+        }
+
+        // The paddle the ball waits on before a launch
+        servingPaddle() {
+            return this.server === 1 ? this.rival : { x: this.paddleX, y: this.paddleY };
+        }
+
+        attachBall() {
+            const paddle = this.servingPaddle();
+            const dist = this.config.ARENA_RADIUS - this.config.LAUNCH_OFFSET;
+            this.ball.x = paddle.x * dist;
+            this.ball.y = paddle.y * dist;
+        }
+
+        launch() {
+            this.attached = false;
+            this.launchFromPaddle(this.ball, this.random);
+        }
+
+        launchFromPaddle(ball, random) {
+            const cfg = this.config;
+            const paddle = this.servingPaddle();
+
+            // Launch with tangential velocity for orbital motion
+            const nx = -paddle.x;
+            const ny = -paddle.y;
+            const tx = ny;
+            const ty = -nx;
+            const sideDir = random.next() > 0.5 ? 1 : -1;
+
+            ball.vx = nx * cfg.LAUNCH_INWARD_SPEED + tx * cfg.LAUNCH_SIDE_SPEED * sideDir;
+            ball.vy = ny * cfg.LAUNCH_INWARD_SPEED + ty * cfg.LAUNCH_SIDE_SPEED * sideDir;
+        }
+
+        // Balls still in play: not lost and not already past the paddle
+        get ballsInPlay() {
+            return this.balls.filter(ball => !ball.lost && !ball.escaping).length;
+        }
+
+        // Points a hit is worth right now: one per ball in play
+        get multiplier() {
+            return Math.max(1, this.ballsInPlay);
+        }
+
+        // Multi-ball modes add a ball each time the score passes a threshold
+        maybeSpawnBall(scoreBefore, events) {
+            const multiBall = GAME_MODES[this.mode].multiBall;
+            if (!multiBall || this.ballsInPlay >= multiBall.max) return;
+            if (Math.floor(scoreBefore / multiBall.every) === Math.floor(this.score / multiBall.every)) return;
+
+            const ball = createBall(this.balls.length, this.config);
+            const dist = this.config.ARENA_RADIUS - this.config.LAUNCH_OFFSET;
+            ball.x = ball.prevX = this.paddleX * dist;
+            ball.y = ball.prevY = this.paddleY * dist;
+            this.launchFromPaddle(ball, this.ballRandom);
+            this.balls.push(ball);
+            events.push({ type: 'ballSpawn', ball: ball.id });
+        }
+
+        /**
+         * Advance one tick.
+         * @param {{angle?: number, paddleStep?: number, rivalAngle?: number,
+         *   rivalStep?: number, launch?: boolean}} input - paddle positions
+         *   (radians or quantized step; the rival's only in versus) and
+         *   launch request, applied at the start of the tick
+         * @returns {Array<{type: string}>} events raised during the tick
+         */
+        step(input = {}) {
+            const events = [];
+            if (this.over) return events;
+
+            const cfg = this.config;
+            const held = [this.paddleStep, this.versus ? this.rival.step : 0];
+
+            if (input.paddleStep !== undefined) {
+                this.setPaddleStep(input.paddleStep);
+            } else if (input.angle !== undefined) {
+                this.setPaddleAngle(input.angle);
+            }
+            if (this.versus) {
+                if (input.rivalStep !== undefined) {
+                    this.setRivalStep(input.rivalStep);
+                } else if (input.rivalAngle !== undefined) {
+                    this.setRivalStep(quantizeAngle(input.rivalAngle));
+                }
+            }
+            this.spins = [stepDelta(held[0], this.paddleStep), this.versus ? stepDelta(held[1], this.rival.step) : 0];
+            if (input.launch && this.attached) {
+                this.launch();
+                events.push({ type: 'launch' });
+            }
+
+            this.tick++;
+            this.balls.forEach(ball => {
+                ball.prevX = ball.x;
+                ball.prevY = ball.y;
+            });
+            this.placeSources();
+
+            if (this.attached) {
+                // Stick ball to paddle
+                this.attachBall();
+                return events;
+            }
+
+            // Increase game speed over time
+            this.speedMultiplier += cfg.SPEED_INCREMENT * this.tickMs;
+
+            // Scale gravity MORE than speed to keep tight orbits at high speed
+            let gravityScale = pow(this.speedMultiplier, cfg.GRAVITY_EXPONENT);
+
+            const powerUps = GAME_MODES[this.mode].powerUps;
+            if (powerUps) {
+                this.stepPowerUps(powerUps, events);
+                if (this.effects.flip) gravityScale *= POWER_UPS.flip.gravity;
+            }
+
+            const hazards = GAME_MODES[this.mode].hazards;
+            if (hazards) this.stepHazards(hazards, gravityScale, events);
+
+            // Balls spawned during this tick start moving on the next one
+            this.balls.filter(ball => !ball.lost)
+                .forEach(ball => this.stepBall(ball, gravityScale, events));
+
+            if (powerUps) this.collectPickups(events);
+            if (hazards) this.collideHazards(events);
+
+            // The run ends once every ball is lost
+            if (!this.over && this.balls.every(ball => ball.lost)) {
+                this.over = true;
+                events.push({ type: 'gameOver', score: this.score });
+            }
+
+            return events;
+        }
+
+        /**
+         * Count down running power-ups, then move, expire and spawn pickups.
+         * Only runs while a ball is in play.
+         */
+        stepPowerUps(powerUps, events) {
+            Object.keys(this.effects).forEach(kind => {
+                this.effects[kind]--;
+                if (this.effects[kind] <= 0) {
+                    delete this.effects[kind];
+                    events.push({ type: 'powerUpEnd', kind });
+                }
+            });
+
+            this.pickups = this.pickups.filter(pickup => {
+                pickup.prevX = pickup.x;
+                pickup.prevY = pickup.y;
+                pickup.angle += pickup.spin;
+                placePickup(pickup);
+                pickup.ticksLeft--;
+                if (pickup.ticksLeft > 0) return true;
+                events.push({ type: 'pickupExpire', pickup: pickup.id, kind: pickup.kind });
+                return false;
+            });
+
+            if (this.tick % powerUps.every === 0 && this.pickups.length < powerUps.max) {
+                this.spawnPickup(powerUps, events);
+            }
+        }
+
+        spawnPickup(powerUps, events) {
+            const cfg = this.config;
+            const random = this.pickupRandom;
+            const pickup = {
+                id: this.nextPickupId++,
+                kind: POWER_UP_KINDS[Math.floor(random.next() * POWER_UP_KINDS.length)],
+                orbit: random.range(cfg.PICKUP_ORBIT_MIN, cfg.PICKUP_ORBIT_MAX),
+                angle: random.next() * TWO_PI,
+                spin: (random.next() > 0.5 ? 1 : -1) * TWO_PI / cfg.PICKUP_ORBIT_PERIOD,
+                radius: cfg.PICKUP_RADIUS,
+                lifetime: powerUps.lifetime,
+                ticksLeft: powerUps.lifetime,
+                x: 0,
+                y: 0
+            };
+            placePickup(pickup);
+            pickup.prevX = pickup.x;
+            pickup.prevY = pickup.y;
+            this.pickups.push(pickup);
+            events.push({ type: 'pickupSpawn', pickup: pickup.id, kind: pickup.kind });
+        }
+
+        // The first ball in play to touch a pickup collects it
+        collectPickups(events) {
+            this.pickups = this.pickups.filter(pickup => {
+                const ball = this.balls.find(b => {
+                    if (b.lost || b.escaping) return false;
+                    const dx = b.x - pickup.x;
+                    const dy = b.y - pickup.y;
+                    const reach = b.radius + pickup.radius;
+                    return dx * dx + dy * dy < reach * reach;
+                });
+                if (!ball) return true;
+
+                this.effects[pickup.kind] = POWER_UPS[pickup.kind].duration;
+                events.push({ type: 'powerUp', pickup: pickup.id, kind: pickup.kind, ball: ball.id });
+                return false;
+            });
+        }
+
+        /**
+         * Ease knocked paddles back, move the asteroids and bounce them off
+         * the ring and each other, then add one if the speed calls for more.
+         * Only runs while a ball is in play.
+         */
+        stepHazards(hazards, gravityScale, events) {
+            const cfg = this.config;
+
+            // Knocked paddles ease back to where their players hold them
+            this.knocks.forEach((knock, player) => {
+                if (knock === 0) return;
+                this.knocks[player] = Math.trunc(knock * cfg.HAZARD_KNOCK_DECAY);
+                this.placePaddle(player);
+            });
+
+            // Asteroids that fall into a source are gone
+            this.hazards = this.hazards.filter(hazard => {
+                hazard.prevX = hazard.x;
+                hazard.prevY = hazard.y;
+                if (this.applyGravity(hazard, gravityScale)) {
+                    events.push({ type: 'hazardLost', hazard: hazard.id });
+                    return false;
+                }
+                this.bounceHazardOffRing(hazard, events);
+                return true;
+            });
+
+            this.hazardGrid.build(this.hazards);
+            this.hazards.forEach((a, i) => {
+                this.hazardGrid.query(a.x, a.y, a.radius).forEach(j => {
+                    if (j <= i) return;
+                    const b = this.hazards[j];
+                    const contact = circleContact(a, b);
+                    if (contact) collideBodies(a, b, contact);
+                });
+            });
+
+            // More asteroids as the run speeds up
+            const target = Math.min(
+                hazards.max,
+                hazards.base + Math.floor((this.speedMultiplier - 1) / hazards.perSpeed)
+            );
+            if (this.hazards.length < target && this.tick >= this.nextHazardTick) {
+                this.spawnHazard(hazards, gravityScale, events);
+                this.nextHazardTick = this.tick + hazards.cooldown;
+            }
+        }
+
+        // Re-place a paddle after its knock changed
+        placePaddle(player) {
+            if (player === 0) this.setPaddleStep(this.paddleStep);
+            else if (this.versus) this.setRivalStep(this.rival.step);
+        }
+
+        /**
+         * A new asteroid on a roughly circular orbit around the centre,
+         * started away from the balls.
+         */
+        spawnHazard(hazards, gravityScale, events) {
+            const cfg = this.config;
+            const random = this.hazardRandom;
+            const size = random.next() < 0.5 ? 2 : 1;
+            const radius = cfg.HAZARD_RADII[size];
+            const orbit = random.range(cfg.HAZARD_ORBIT_MIN, cfg.HAZARD_ORBIT_MAX);
+            let angle = random.next() * TWO_PI;
+            const direction = random.next() > 0.5 ? 1 : -1;
+            const breakable = random.next() < hazards.breakable;
+
+            const x = cos(angle) * orbit;
+            const y = sin(angle) * orbit;
+            const crowded = this.balls.some(ball => !ball.lost &&
+                (ball.x - x) * (ball.x - x) + (ball.y - y) * (ball.y - y) < (orbit / 2) * (orbit / 2));
+            if (crowded) angle += PI;
+
+            // Speed for a circular orbit around every source's mass at the centre
+            const mass = this.sources.reduce((sum, source) => sum + source.mass, 0);
+            const pull = cfg.GRAVITY_STRENGTH * mass / (orbit * orbit) * cfg.GRAVITY_FACTOR * Math.abs(gravityScale);
+            const speed = Math.sqrt(pull * orbit / this.speedMultiplier);
+
+            const hazard = {
+                id: this.nextHazardId++,
+                size,
+                radius,
+                breakable,
+                x: cos(angle) * orbit,
+                y: sin(angle) * orbit,
+                vx: -sin(angle) * speed * direction,
+                vy: cos(angle) * speed * direction
+            };
+            hazard.prevX = hazard.x;
+            hazard.prevY = hazard.y;
+            this.hazards.push(hazard);
+            events.push({ type: 'hazardSpawn', hazard: hazard.id, size });
+        }
+
+        /**
+         * Asteroids stay in the arena, bouncing off the ring. One that lands
+         * on a paddle knocks it along the way the asteroid was going.
+         */
+        bounceHazardOffRing(hazard, events) {
+            const cfg = this.config;
+            const dist = Math.sqrt(hazard.x * hazard.x + hazard.y * hazard.y);
+            const contactDist = cfg.ARENA_RADIUS - hazard.radius;
+            if (dist < contactDist) return;
+
+            const contact = ringContact(hazard, contactDist);
+            const player = this.versus ? versusSide(contact.x, contact.y) : 0;
+            const paddle = player === 1 ? this.rival : { x: this.paddleX, y: this.paddleY };
+            const facing = (contact.x * paddle.x + contact.y * paddle.y) / contact.dist;
+            if (facing > this.paddleHitCosine) {
+                // Along the ring, positive steps turn towards (-y, x)
+                const along = hazard.vy * paddle.x - hazard.vx * paddle.y;
+                const steps = Math.round(cfg.HAZARD_KNOCK * (hazard.size + 1) / cfg.HAZARD_RADII.length / TWO_PI * ANGLE_STEPS);
+                this.knocks[player] = along >= 0 ? steps : -steps;
+                this.placePaddle(player);
+                events.push({ type: 'paddleKnock', player, hazard: hazard.id });
+            }
+
+            this.reflectOffRing(hazard, contact, contactDist);
+        }
+
+        /**
+         * Balls bounce off asteroids they run into; a breakable asteroid
+         * splits in two, or shatters if it is already the smallest size.
+         */
+        collideHazards(events) {
+            if (this.hazards.length === 0) return;
+            this.hazardGrid.build(this.hazards);
+
+            const broken = new Set();
+            this.balls.forEach(ball => {
+                if (ball.lost || ball.escaping) return;
+                const index = this.hazardGrid.query(ball.x, ball.y, ball.radius)
+                    .find(i => !broken.has(i) && circleContact(ball, this.hazards[i]));
+                if (index === undefined) return;
+
+                // Reflect off the asteroid's surface, as seen moving with it
+                const hazard = this.hazards[index];
+                const { nx, ny, overlap } = circleContact(ball, hazard);
+                const dot = (ball.vx - hazard.vx) * nx + (ball.vy - hazard.vy) * ny;
+                if (dot < 0) {
+                    ball.vx -= 2 * dot * nx;
+                    ball.vy -= 2 * dot * ny;
+                }
+                ball.x += nx * overlap;
+                ball.y += ny * overlap;
+
+                events.push({ type: 'hazardHit', ball: ball.id, hazard: hazard.id });
+                if (hazard.breakable) broken.add(index);
+            });
+            if (broken.size === 0) return;
+
+            const pieces = [];
+            this.hazards = this.hazards.filter((hazard, index) => {
+                if (!broken.has(index)) return true;
+                const split = hazard.size > 0 ? this.splitHazard(hazard) : [];
+                pieces.push(...split);
+                events.push({ type: 'hazardBreak', hazard: hazard.id, pieces: split.map(piece => piece.id) });
+                return false;
+            });
+            this.hazards.push(...pieces);
+        }
+
+        // Two asteroids a size down, flying apart across the parent's path
+        splitHazard(hazard) {
+            const cfg = this.config;
+            const size = hazard.size - 1;
+            const radius = cfg.HAZARD_RADII[size];
+            const speed = Math.sqrt(hazard.vx * hazard.vx + hazard.vy * hazard.vy);
+            const px = speed > 0 ? -hazard.vy / speed : 1;
+            const py = speed > 0 ? hazard.vx / speed : 0;
+
+            return [1, -1].map(side => {
+                const piece = {
+                    id: this.nextHazardId++,
+                    size,
+                    radius,
+                    breakable: true,
+                    x: hazard.x + px * radius * side,
+                    y: hazard.y + py * radius * side,
+                    vx: hazard.vx + px * cfg.HAZARD_SPLIT_SPEED * side,
+                    vy: hazard.vy + py * cfg.HAZARD_SPLIT_SPEED * side
+                };
+                piece.prevX = hazard.prevX;
+                piece.prevY = hazard.prevY;
+                return piece;
+            });
+        }
+
+        /**
+         * Pull a ball or asteroid towards every source, then move it. A body
+         * that runs into a source's horizon on the way stops at its edge.
+         *
+         * Nothing moves further than MAX_SPEED in a tick. A faster body runs
+         * on a shorter step instead, gravity and all, so it keeps to the same
+         * path and the same energy, only slower. Capping its velocity would
+         * throw energy away, and a ball that loses some on the way into a
+         * well can't climb back out.
+         * @returns {Object | null} the first source it was too close to, or
+         *   else the first one it ran into
+         */
+        applyGravity(body, gravityScale) {
+            const cfg = this.config;
+            const x0 = body.x;
+            const y0 = body.y;
+
+            let timeScale = this.timeScale;
+            const speed = Math.sqrt(body.vx * body.vx + body.vy * body.vy) * this.speedMultiplier * timeScale;
+            if (speed > cfg.MAX_SPEED) timeScale *= cfg.MAX_SPEED / speed;
+
+            let slingshot = null;
+            this.sources.forEach(source => {
+                const dx = source.x - body.x;
+                const dy = source.y - body.y;
+                const distSq = dx * dx + dy * dy;
+                const dist = Math.sqrt(distSq);
+
+                const fx = dx / dist;
+                const fy = dy / dist;
+
+                const safeDist = Math.max(distSq, cfg.MIN_GRAVITY_DIST_SQ);
+                const force = cfg.GRAVITY_STRENGTH * source.mass / safeDist;
+
+                body.vx += fx * force * cfg.GRAVITY_FACTOR * gravityScale * timeScale;
+                body.vy += fy * force * cfg.GRAVITY_FACTOR * gravityScale * timeScale;
+
+                if (!slingshot && dist < source.radius + cfg.BLACK_HOLE_MARGIN) {
+                    slingshot = source;
+                }
+            });
+
+            // This tick's pull can take it a little past the cap again
+            let move = this.speedMultiplier * timeScale;
+            const moved = Math.sqrt(body.vx * body.vx + body.vy * body.vy) * move;
+            if (moved > cfg.MAX_SPEED) move *= cfg.MAX_SPEED / moved;
+
+            const dx = body.vx * move;
+            const dy = body.vy * move;
+            body.x += dx;
+            body.y += dy;
+            if (slingshot) return slingshot;
+
+            let firstT = Infinity;
+            this.sources.forEach(source => {
+                const t = sweepIntoCircle(x0, y0, dx, dy, source.x, source.y, source.radius + cfg.BLACK_HOLE_MARGIN);
+                if (t !== null && t < firstT) {
+                    firstT = t;
+                    slingshot = source;
+                }
+            });
+            if (slingshot) {
+                const t = Math.max(0, firstT - SWEEP_BACKOFF);
+                body.x = x0 + dx * t;
+                body.y = y0 + dy * t;
+            }
+            return slingshot;
+        }
+
+        stepBall(ball, gravityScale, events) {
+            const cfg = this.config;
+
+            // Gravity from every source, noting the first one the ball is too close to
+            const slingshot = this.applyGravity(ball, gravityScale);
+
+            // Black hole collision (slingshot if too close). One already on
+            // its way out, say knocked inside by an asteroid, is left to climb.
+            const inbound = slingshot &&
+                (slingshot.x - ball.x) * ball.vx + (slingshot.y - ball.y) * ball.vy > 0;
+            if (inbound) {
+                // Thrown back out at least as fast as it fell in, so it can climb out again
+                const fellIn = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+                ball.vx = -ball.vx * cfg.SLINGSHOT_ENERGY;
+                ball.vy = -ball.vy * cfg.SLINGSHOT_ENERGY;
+                this.capSpeed(ball, Math.max(cfg.MAX_SPEED, fellIn));
+                events.push({ type: 'blackHoleBounce', ball: ball.id, source: this.sources.indexOf(slingshot) });
+            }
+
+            // Arena boundary collision - skip if ball is already escaping
+            const ballDist = Math.sqrt(ball.x * ball.x + ball.y * ball.y);
+            const contactDist = cfg.ARENA_RADIUS - ball.radius;
+
+            if (!ball.escaping && ballDist >= contactDist) {
+                // Judged where the ball reached the ring, not where the tick left it
+                const contact = ringContact(ball, contactDist);
+
+                // In versus, the half of the ring the ball reached decides whose paddle counts
+                const player = this.versus ? versusSide(contact.x, contact.y) : 0;
+                const paddle = player === 1 ? this.rival : { x: this.paddleX, y: this.paddleY };
+
+                // Compare directions with a dot product instead of atan2
+                const facing = (contact.x * paddle.x + contact.y * paddle.y) / contact.dist;
+
+                if (facing > this.paddleHitCosine) {
+                    // HIT!
+                    const scoreBefore = this.score;
+                    const points = this.multiplier;
+                    this.score += points;
+                    this.speedMultiplier += cfg.HIT_SPEED_BOOST;
+
+                    this.reflectOffRing(ball, contact, contactDist);
+                    const { aim, spin } = this.aimOffPaddle(ball, contact, paddle, player);
+
+                    // Add energy
+                    ball.vx *= cfg.HIT_ENERGY;
+                    ball.vy *= cfg.HIT_ENERGY;
+                    this.capSpeed(ball, cfg.MAX_SPEED);
+
+                    events.push({ type: 'hit', ball: ball.id, player, score: this.score, points, aim, spin });
+                    this.maybeSpawnBall(scoreBefore, events);
+                } else if (this.effects.shield) {
+                    // The shield takes the miss: bounce back in without a point
+                    delete this.effects.shield;
+                    this.reflectOffRing(ball, contact, contactDist);
+                    events.push({ type: 'shieldSave', ball: ball.id });
+                    events.push({ type: 'powerUpEnd', kind: 'shield' });
+                } else {
+                    // MISS - Mark ball as escaping and start the grace timer
+                    ball.escaping = true;
+                    ball.escapeTicks = 0;
+                    ball.missedBy = player;
+                    events.push({ type: 'miss', ball: ball.id, player });
+                }
+            }
+
+            // Lose the escaping ball once it has had its grace period
+            if (ball.escaping) {
+                ball.escapeTicks++;
+                if (ball.escapeTicks > cfg.ESCAPE_TICKS) {
+                    ball.lost = true;
+                    events.push({ type: 'ballLost', ball: ball.id });
+                    if (this.versus) this.awardPoint(1 - ball.missedBy, events);
+                }
+            }
+        }
+
+        /**
+         * Bend a returned ball along the ring: towards the end of the arc it
+         * landed on, and the way the paddle was turning.
+         * @returns {{aim: number, spin: number}} where it landed on the arc
+         *   (-1 to 1 from end to end, 0 in the centre) and the paddle's turn
+         *   in radians per tick, both positive in the direction of rising steps
+         */
+        aimOffPaddle(ball, contact, paddle, player) {
+            const cfg = this.config;
+            const ux = contact.x / contact.dist;
+            const uy = contact.y / contact.dist;
+
+            const halfArcSine = Math.sqrt(1 - this.paddleHitCosine * this.paddleHitCosine);
+            const aim = Math.max(-1, Math.min(1, (paddle.x * uy - paddle.y * ux) / halfArcSine));
+            const turn = this.spins[player] * TWO_PI / ANGLE_STEPS;
+            const spin = Math.max(-cfg.MAX_SPIN, Math.min(cfg.MAX_SPIN, turn));
+
+            // Along the ring, rising steps turn towards (-y, x)
+            const inward = -(ball.vx * ux + ball.vy * uy);
+            const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+            let along = ball.vy * ux - ball.vx * uy + aim * cfg.HIT_AIM * speed + spin * cfg.ARENA_RADIUS * cfg.SPIN_TRANSFER;
+            let out = inward;
+
+            if (Math.abs(along) > inward * cfg.MAX_AIM_SLOPE) {
+                const bent = Math.sqrt(inward * inward + along * along);
+                out = bent / Math.sqrt(1 + cfg.MAX_AIM_SLOPE * cfg.MAX_AIM_SLOPE);
+                along = (along < 0 ? -out : out) * cfg.MAX_AIM_SLOPE;
+            }
+            ball.vx = -ux * out - uy * along;
+            ball.vy = -uy * out + ux * along;
+            return { aim, spin };
+        }
+
+        // Hits add energy, but never past MAX_SPEED. How far the ball gets
+        // to move each tick is capped separately, in applyGravity.
+        capSpeed(ball, max) {
+            const speedSq = ball.vx * ball.vx + ball.vy * ball.vy;
+            if (speedSq > max * max) {
+                const scale = max / Math.sqrt(speedSq);
+                ball.vx *= scale;
+                ball.vy *= scale;
+            }
+        }
+
+        /**
+         * Bounce a ball or asteroid back off the ring where it reached it
+         * (see ringContact); the rest of its move this tick is mirrored too.
+         */
+        reflectOffRing(body, contact, contactDist) {
+            const nx = -contact.x / contact.dist;
+            const ny = -contact.y / contact.dist;
+            const dot = body.vx * nx + body.vy * ny;
+
+            body.vx = body.vx - 2 * dot * nx;
+            body.vy = body.vy - 2 * dot * ny;
+
+            const rest = (body.x - contact.x) * nx + (body.y - contact.y) * ny;
+            body.x -= 2 * rest * nx;
+            body.y -= 2 * rest * ny;
+
+            // A grazing move can still end past the ring; push out of collision
+            const dist = Math.sqrt(body.x * body.x + body.y * body.y);
+            const overlap = dist - contactDist;
+            if (overlap > 0) {
+                body.x -= body.x / dist * overlap * 1.2;
+                body.y -= body.y / dist * overlap * 1.2;
+            }
+        }
+
+        // Versus: score a point, then end the match or set up the next serve
+        awardPoint(player, events) {
+            this.scores[player]++;
+            events.push({ type: 'point', player, scores: this.scores.slice() });
+
+            if (this.scores[player] >= this.targetScore) {
+                this.over = true;
+                events.push({ type: 'gameOver', score: this.score, winner: player });
+                return;
+            }
+
+            // The player who missed serves, at the starting speed
+            this.server = 1 - player;
+            this.speedMultiplier = 1.0;
+            this.attached = true;
+            const ball = this.ball;
+            ball.escaping = false;
+            ball.escapeTicks = 0;
+            ball.lost = false;
+            ball.vx = 0;
+            ball.vy = 0;
+            this.attachBall();
+            ball.prevX = ball.x;
+            ball.prevY = ball.y;
+        }
+    }
+
+    return {
+        SIM_CONFIG,
+        GAME_MODES,
+        DEFAULT_MODE,
+        MAX_TARGET_SCORE,
+        POWER_UPS,
+        DIFFICULTIES,
+        DEFAULT_DIFFICULTY,
+        PHYSICS_LIMITS,
+        isValidMode,
+        isValidDifficulty,
+        validatePhysics,
+        defaultPhysics,
+        ANGLE_STEPS,
+        quantizeAngle,
+        DetMath,
+        fixedSteps,
+        Random,
+        Simulation
+    };
+});
@@ -0,0 +1,117 @@
+/**
+ * Swept collisions and the MAX_SPEED cap (simulation.js)
+ * The fixtures are bot runs recorded with ReplayRecorder, each built around
+ * one collision the sweeps decide: a full-speed slingshot that starts the
+ * tick outside the horizon, and a hit and a miss where the paddle covers
+ * only one of the contact point and the end of the tick. Judged the old
+ * way, each of them plays out differently and fails to verify.
+ * Re-record them with test/fixtures/record.js after a REPLAY_VERSION bump.
+ *
+ * The trajectories below put the ball where a fast one went wrong before
+ * collisions were swept, with MAX_SPEED raised so it moves as far in one
+ * tick as it could then.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, SIM_CONFIG, quantizeAngle } = require('../simulation.js');
+const { verifyReplay } = require('../replay.js');
+
+// A launched classic run with the ball put in a recorded state
+function setup(ball, paddleAngle, config) {
+    const sim = new Simulation({ seed: 1, config });
+    sim.step({ paddleStep: quantizeAngle(paddleAngle), launch: true });
+    Object.assign(sim.ball, ball, { escaping: false });
+    sim.speedMultiplier = 1;
+    return sim;
+}
+
+function eventTypes(events) {
+    return events.map(event => event.type);
+}
+
+['slingshot', 'hit', 'miss'].forEach(name => {
+    test(`the recorded ${name} run verifies`, () => {
+        const fixture = require(`./fixtures/${name}.json`);
+        const replay = fixture.replay;
+
+        let seen = null;
+        const result = verifyReplay(replay, {
+            observe(sim, events) {
+                if (sim.tick - 1 === fixture.tick) seen = eventTypes(events);
+            }
+        });
+
+        assert.ok(seen.includes(fixture.type), `tick ${fixture.tick} raised ${seen.join(', ')}`);
+        assert.strictEqual(result.score, replay.score);
+        assert.strictEqual(result.ticks, replay.ticks);
+    });
+});
+
+test('a ball crossing the whole horizon in one tick bounces off it', () => {
+    const sim = setup({ x: -60, y: 0.5, vx: 120, vy: 0 }, 0, { MAX_SPEED: 200 });
+    const events = sim.step({ paddleStep: sim.paddleStep });
+
+    assert.ok(eventTypes(events).includes('blackHoleBounce'));
+    // Stopped at the side it came in from, and sent back that way
+    assert.ok(sim.ball.x < -(SIM_CONFIG.BLACK_HOLE_RADIUS + SIM_CONFIG.BLACK_HOLE_MARGIN) + 1);
+    assert.ok(sim.ball.vx < 0);
+});
+
+test('a hit is judged where the ball met the ring, not where the tick ended', () => {
+    // Meets the ring about 0.2 rad round, inside the arc of a paddle at 0,
+    // and would end the tick about 0.28 rad round, outside it
+    const ball = { x: 388 * Math.cos(0.15), y: 388 * Math.sin(0.15) };
+    ball.vx = 10 * Math.cos(0.15) - 50 * Math.sin(0.15);
+    ball.vy = 10 * Math.sin(0.15) + 50 * Math.cos(0.15);
+    const sim = setup(ball, 0, { MAX_SPEED: 60 });
+    const events = sim.step({ paddleStep: sim.paddleStep });
+
+    assert.deepStrictEqual(eventTypes(events), ['hit']);
+    assert.ok(Math.hypot(sim.ball.x, sim.ball.y) < SIM_CONFIG.ARENA_RADIUS - SIM_CONFIG.BALL_RADIUS);
+});
+
+test('a miss is judged where the ball met the ring, not where the tick ended', () => {
+    // Same trajectory; the paddle at 0.5 covers where the tick would end but
+    // not where the ball met the ring
+    const ball = { x: 388 * Math.cos(0.15), y: 388 * Math.sin(0.15) };
+    ball.vx = 10 * Math.cos(0.15) - 50 * Math.sin(0.15);
+    ball.vy = 10 * Math.sin(0.15) + 50 * Math.cos(0.15);
+    const sim = setup(ball, 0.5, { MAX_SPEED: 60 });
+    const events = sim.step({ paddleStep: sim.paddleStep });
+
+    assert.deepStrictEqual(eventTypes(events), ['miss']);
+});
+
+test('a ball knocked inside the horizon on its way out is left to climb', () => {
+    const sim = setup({ x: 5, y: 0, vx: 8, vy: 0 }, 0);
+    const events = sim.step({ paddleStep: sim.paddleStep });
+
+    assert.ok(!eventTypes(events).includes('blackHoleBounce'));
+});
+
+test('nothing moves further than MAX_SPEED in a tick', () => {
+    // A tracking paddle keeps seed 357 going until the speed multiplier has
+    // climbed well past where the ball used to outrun the cap
+    for (const difficulty of ['normal', 'singularity']) {
+        const sim = new Simulation({ seed: 357, difficulty });
+        const max = sim.config.MAX_SPEED;
+        let launch = true;
+        while (!sim.over && sim.tick < 6000) {
+            const ball = sim.ball;
+            sim.step({ paddleStep: quantizeAngle(Math.atan2(ball.y, ball.x)), launch });
+            launch = false;
+            if (sim.attached) continue;
+
+            sim.balls.forEach(b => {
+                const moved = Math.hypot(b.x - b.prevX, b.y - b.prevY);
+                assert.ok(moved <= max + 1e-9, `${difficulty} tick ${sim.tick} moved ${moved}`);
+            });
+        }
+        assert.ok(sim.speedMultiplier > 2);
+    }
+});
@@ -0,0 +1,207 @@
+/**
+ * Replay fixtures for the collision tests
+ * Plays bot runs through ReplayRecorder, each built around one moment a
+ * swept collision decides, and writes their logs next to this file. Run it
+ * again whenever REPLAY_VERSION is bumped: the bots look for the same kind of
+ * moment under the new physics.
+ *
+ *   node test/fixtures/record.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { Simulation, SIM_CONFIG, quantizeAngle } = require('../../simulation.js');
+const { ReplayRecorder } = require('../../replay.js');
+
+const TWO_PI = Math.PI * 2;
+const HALF_ARC = SIM_CONFIG.PADDLE_ARC_LENGTH / 2;
+const CONTACT_DIST = SIM_CONFIG.ARENA_RADIUS - SIM_CONFIG.BALL_RADIUS;
+const ZONE = SIM_CONFIG.BLACK_HOLE_RADIUS + SIM_CONFIG.BLACK_HOLE_MARGIN;
+
+// The paddle is only moved once the ball's bearing is this far off, which
+// keeps the recorded paddle track short
+const TRACK_SLACK = 0.15;
+
+// How far apart, in radians, the contact point and the end of the tick must
+// be for a hit or miss to depend on which of them is judged
+const MIN_SPREAD = 0.01;
+
+const MAX_TICKS = 20000;
+
+function wrap(angle) {
+    return angle - TWO_PI * Math.floor((angle + Math.PI) / TWO_PI);
+}
+
+function bearing(x, y) {
+    return Math.atan2(y, x);
+}
+
+// Where a move from (x0, y0) to (x1, y1) first reaches the ring
+function ringBearing(x0, y0, x1, y1) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const a = dx * dx + dy * dy;
+    const b = x0 * dx + y0 * dy;
+    const c = x0 * x0 + y0 * y0 - CONTACT_DIST * CONTACT_DIST;
+    const t = (-b + Math.sqrt(b * b - a * c)) / a;
+    return bearing(x0 + dx * t, y0 + dy * t);
+}
+
+/**
+ * One classic run being recorded. Candidate paddle positions are tried on a
+ * copy replayed from the seed, so the recording only holds the ones taken.
+ */
+class BotRun {
+    constructor(seed, difficulty) {
+        this.options = { seed, difficulty };
+        this.sim = new Simulation(this.options);
+        this.recorder = new ReplayRecorder(seed, undefined, null, difficulty);
+        this.inputs = [];
+    }
+
+    get ball() {
+        return this.sim.balls[0];
+    }
+
+    step(paddleStep, launch = false) {
+        const input = { paddleStep, launch };
+        const events = this.sim.step(input);
+        this.recorder.record(paddleStep, events);
+        this.inputs.push(input);
+        return events;
+    }
+
+    // This tick played with the paddle at `angle`, on a copy of the run
+    tryStep(angle) {
+        const sim = new Simulation(this.options);
+        this.inputs.forEach(input => sim.step(input));
+        const events = sim.step({ paddleStep: quantizeAngle(angle) });
+        return { ball: sim.balls[0], events };
+    }
+
+    // Keep the paddle roughly under the ball
+    track() {
+        const target = bearing(this.ball.x, this.ball.y);
+        const off = Math.abs(wrap(target - this.sim.paddleAngle));
+        return this.step(off > TRACK_SLACK ? quantizeAngle(target) : this.sim.paddleStep);
+    }
+
+    // Keep the paddle away from the ball until the run ends
+    lose() {
+        while (!this.sim.over) {
+            if (this.sim.tick > MAX_TICKS) throw new Error('Run went on too long');
+            const target = bearing(this.ball.x, this.ball.y);
+            const near = Math.abs(wrap(target - this.sim.paddleAngle)) < 1;
+            this.step(near ? quantizeAngle(target + Math.PI) : this.sim.paddleStep);
+        }
+        return this.recorder.finish(this.sim.score);
+    }
+
+    /**
+     * If the ball reaches the ring this tick, where it does and how far
+     * round from there the tick would leave it, as bearings
+     */
+    ringCrossing() {
+        const away = bearing(this.ball.x, this.ball.y) + Math.PI;
+        const { ball, events } = this.tryStep(away);
+        if (!events.some(event => event.type === 'miss')) return null;
+
+        const contact = ringBearing(ball.prevX, ball.prevY, ball.x, ball.y);
+        return { contact, spread: wrap(bearing(ball.x, ball.y) - contact) };
+    }
+
+    // Return the ball as straight at the black hole as the paddle allows
+    aimAtHole() {
+        const crossing = this.ringCrossing();
+        if (!crossing) return this.track();
+
+        let best = null;
+        for (let offset = -HALF_ARC; offset <= HALF_ARC; offset += HALF_ARC / 8) {
+            const angle = crossing.contact + offset;
+            const { ball, events } = this.tryStep(angle);
+            if (!events.some(event => event.type === 'hit')) continue;
+
+            const inward = -(ball.x * ball.vx + ball.y * ball.vy) /
+                (Math.hypot(ball.x, ball.y) * Math.hypot(ball.vx, ball.vy));
+            if (!best || inward > best.inward) best = { angle, inward };
+        }
+        return best ? this.step(quantizeAngle(best.angle)) : this.track();
+    }
+}
+
+/**
+ * A hit or miss where the paddle covers the end of the tick but not the
+ * contact point (miss), or the other way round (hit).
+ */
+function recordRingCase(type) {
+    const run = new BotRun(1, 'normal');
+    run.step(run.sim.paddleStep, true);
+
+    while (!run.sim.over) {
+        const crossing = run.sim.score >= 3 && run.ringCrossing();
+        if (crossing && Math.abs(crossing.spread) >= MIN_SPREAD) {
+            // Half the spread inside the paddle's edge, or half of it outside
+            const { contact, spread } = crossing;
+            const reach = type === 'hit' ? HALF_ARC - Math.abs(spread) / 2 : HALF_ARC + Math.abs(spread) / 2;
+            const angle = contact + Math.sign(spread) * (type === 'hit' ? -reach : reach);
+
+            if (run.tryStep(angle).events.some(event => event.type === type)) {
+                const events = run.step(quantizeAngle(angle));
+                const tick = run.sim.tick - 1;
+                console.log(`${type}: tick ${tick}, ${events.map(event => event.type).join(' ')}`);
+                return { tick, type, replay: run.lose() };
+            }
+        }
+        run.track();
+    }
+    throw new Error(`No ${type} case found`);
+}
+
+/**
+ * A slingshot on singularity that the horizon sweep caught: the ball started
+ * the tick outside the horizon, after a tick at full speed. Null if a run
+ * launched from `launchAngle` never has one.
+ */
+function recordSlingshot(launchAngle) {
+    const run = new BotRun(1, 'singularity');
+    run.step(quantizeAngle(launchAngle), true);
+    const fullSpeed = run.sim.config.MAX_SPEED * 0.99;
+
+    let moved = 0;
+    while (!run.sim.over && run.sim.tick < MAX_TICKS) {
+        const ball = run.ball;
+        const x = ball.x;
+        const y = ball.y;
+        const events = run.aimAtHole();
+        const swept = Math.hypot(ball.prevX, ball.prevY) >= ZONE;
+        if (moved >= fullSpeed && swept && events.some(event => event.type === 'blackHoleBounce')) {
+            const tick = run.sim.tick - 1;
+            console.log(`blackHoleBounce: tick ${tick}, after moving ${moved.toFixed(2)}`);
+            return { tick, type: 'blackHoleBounce', replay: run.lose() };
+        }
+        moved = Math.hypot(ball.x - x, ball.y - y);
+    }
+    return null;
+}
+
+// Launch from each of 24 points round the ring until one run has a slingshot
+function findSlingshot() {
+    for (let i = 0; i < 24; i++) {
+        const fixture = recordSlingshot(i / 24 * TWO_PI);
+        if (fixture) return fixture;
+    }
+    throw new Error('No slingshot case found');
+}
+
+const fixtures = {
+    slingshot: findSlingshot(),
+    hit: recordRingCase('hit'),
+    miss: recordRingCase('miss')
+};
+
+Object.keys(fixtures).forEach(name => {
+    const file = path.join(__dirname, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(fixtures[name]) + '\n');
+});
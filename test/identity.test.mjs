@@ -0,0 +1,135 @@
+/**
+ * Name ownership (worker/identity.js) and name matching on the boards
+ * (worker/leaderboard.js). Claims made under the old lowercased keys must
+ * move to the skeleton key with their owner, in MemoryNameRegistry and in
+ * NameClaim objects reached through DurableNameRegistry.
+ *
+ *   npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+    MemoryNameRegistry, DurableNameRegistry, NameClaim, nameKey, legacyNameKey
+} from '../worker/identity.js';
+import { recordScore, findRank, matchesTarget, setHidden } from '../worker/leaderboard.js';
+
+// Lowercased "ne0"; its skeleton is "neo"
+const NAME = 'Ne0';
+
+// Durable Object storage as far as NameClaim uses it
+class MemoryStorage {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key) {
+        return this.values.get(key);
+    }
+
+    async put(key, value) {
+        this.values.set(key, value);
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+}
+
+// NAME_CLAIMS binding with one NameClaim per name key
+function claimNamespace() {
+    const objects = new Map();
+    const namespace = {
+        objects,
+        idFromName: name => name,
+        get(id) {
+            if (!objects.has(id)) {
+                objects.set(id, new NameClaim({ storage: new MemoryStorage() }, { NAME_CLAIMS: namespace }));
+            }
+            const claim = objects.get(id);
+            return { fetch: (url, init) => claim.fetch(new Request(url, init)) };
+        }
+    };
+    return namespace;
+}
+
+// Each registry with the name claimed by "alice" before skeleton keys
+const registries = [
+    ['MemoryNameRegistry', () => {
+        const names = new MemoryNameRegistry();
+        names.owners.set(legacyNameKey(NAME), 'alice');
+        return { names, owner: async key => names.owners.get(key) };
+    }],
+    ['DurableNameRegistry', () => {
+        const namespace = claimNamespace();
+        namespace.get(legacyNameKey(NAME));
+        namespace.objects.get(legacyNameKey(NAME)).state.storage.put('owner', 'alice');
+        return {
+            names: new DurableNameRegistry(namespace),
+            owner: async key => namespace.objects.get(key)?.state.storage.get('owner')
+        };
+    }]
+];
+
+registries.forEach(([label, setup]) => {
+    test(`${label}: a legacy claim keeps its owner under the new key`, async () => {
+        const { names, owner } = setup();
+        const key = nameKey(NAME);
+        const legacyKey = legacyNameKey(NAME);
+        assert.notStrictEqual(key, legacyKey);
+
+        assert.strictEqual(await names.claim(key, 'eve', legacyKey), false);
+        assert.strictEqual(await owner(key), 'alice');
+        assert.strictEqual(await owner(legacyKey), undefined);
+
+        assert.strictEqual(await names.claim(key, 'alice', legacyKey), true);
+        assert.strictEqual(await names.claim(nameKey('NEO'), 'eve', legacyNameKey('NEO')), false);
+
+        // Once released, the name is free; the old claim doesn't come back
+        await names.release(key, 'alice', legacyKey);
+        assert.strictEqual(await names.claim(key, 'eve', legacyKey), true);
+    });
+
+    test(`${label}: the owner wins a race on a legacy claim`, async () => {
+        const { names, owner } = setup();
+        const key = nameKey(NAME);
+
+        const claimed = await Promise.all(['eve', 'alice', 'mallory'].map(id => names.claim(key, id, legacyNameKey(NAME))));
+        assert.deepStrictEqual(claimed, [false, true, false]);
+        assert.strictEqual(await owner(key), 'alice');
+    });
+
+    test(`${label}: renaming away frees a name only claimed under its legacy key`, async () => {
+        const { names, owner } = setup();
+
+        await names.release(nameKey(NAME), 'eve', legacyNameKey(NAME));
+        assert.strictEqual(await owner(legacyNameKey(NAME)), 'alice');
+
+        await names.release(nameKey(NAME), 'alice', legacyNameKey(NAME));
+        assert.strictEqual(await owner(legacyNameKey(NAME)), undefined);
+        assert.strictEqual(await names.claim(nameKey(NAME), 'eve', legacyNameKey(NAME)), true);
+    });
+});
+
+test('boards match names by nameKey, so lookalikes are one player', () => {
+    const board = [
+        { name: 'Ne0', score: 30, date: '2024-01-01T00:00:00.000Z' },
+        { id: 'bob', name: 'Bob', score: 20, date: '2026-10-19T00:00:00.000Z' }
+    ];
+
+    assert.strictEqual(findRank(board, 'NEO', 1).entry.name, 'Ne0');
+    assert.ok(matchesTarget(board[0], { name: 'nеo' }));
+    assert.ok(!matchesTarget(board[1], { name: 'Neo' }));
+
+    assert.strictEqual(setHidden(board, { name: 'NEO' }, true).length, 1);
+    assert.strictEqual(findRank(board, 'Ne0', 1), null);
+    setHidden(board, { name: 'NEO' }, false);
+
+    // A pre-identity entry is adopted by whoever submits under a lookalike
+    recordScore(board, 'all', { id: 'alice', name: 'Neo', score: 40, date: '2026-10-19T00:00:00.000Z' });
+    assert.deepStrictEqual(board.map(e => [e.id, e.name, e.score]), [
+        ['alice', 'Neo', 40],
+        ['bob', 'Bob', 20]
+    ]);
+});
@@ -0,0 +1,39 @@
+/**
+ * Name blocklist (worker/moderation.js)
+ * Blocked terms must still be caught through lookalike digits, stretched
+ * letters and separators, without refusing real names that happen to
+ * contain one.
+ *
+ *   npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { loadBlocklist, isNameBlocked } from '../worker/moderation.js';
+
+const blocklist = loadBlocklist({});
+
+test('real names containing a blocked term are allowed', () => {
+    [
+        'Ignazio', 'Nazim', 'Nazir', 'Tina Zimmer', 'Pornchai', 'Scunthorpe',
+        'Hashitani', 'Slutsky', 'Whitler', 'Bitche', 'Dickens', 'Cassandra',
+        'Sexton', 'Grape', 'Hancock', 'Therapist'
+    ].forEach(name => assert.strictEqual(isNameBlocked(name, blocklist), false, name));
+});
+
+test('blocked terms are caught through spelling tricks', () => {
+    [
+        'fuck', 'FUUUCK', 'f u c k', 'xX_fuck_Xx', 'MotherFucker', 'fυck',
+        'n1gga', 'n i g g e r', 'shit', 'SH1T_head', 'b1tch', 'Naziii', 'n4zi 88',
+        'Hitler', 'big ass', 'porn star'
+    ].forEach(name => assert.strictEqual(isNameBlocked(name, blocklist), true, name));
+});
+
+test('NAME_BLOCKLIST adds terms in the same syntax', () => {
+    const extended = loadBlocklist({ NAME_BLOCKLIST: 'badword, =foo,=' });
+    assert.strictEqual(isNameBlocked('xxBadW0rdxx', extended), true);
+    assert.strictEqual(isNameBlocked('foo fighter', extended), true);
+    assert.strictEqual(isNameBlocked('Food', extended), false);
+    assert.strictEqual(isNameBlocked('Ignazio', extended), false);
+});
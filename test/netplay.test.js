@@ -0,0 +1,157 @@
+/**
+ * Online play (netplay.js)
+ * The host takes only fresh, well-formed guest inputs; the guest drops the
+ * inputs the host has acknowledged and draws the host's snapshots a few
+ * ticks behind, blended, skipping ahead when it falls too far back.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ANGLE_STEPS } = require('../simulation.js');
+const { RemoteInput, PaddlePredictor, SnapshotBuffer, INTERPOLATION_TICKS } = require('../netplay.js');
+
+// A snapshot with the ball at (x, 0); `options` overrides any other field
+function snapshot(tick, x, options = {}) {
+    return Object.assign({
+        type: 'state',
+        tick,
+        ack: 0,
+        paddle: 100,
+        rival: 100,
+        server: 0,
+        attached: false,
+        speed: 1,
+        scores: [0, 0],
+        over: false,
+        balls: [[x, 0, 10, 0, 0]],
+        events: []
+    }, options);
+}
+
+test('the host only takes newer, well-formed guest inputs', () => {
+    const input = new RemoteInput(0);
+    input.receive({ type: 'input', seq: 2, step: 500, serve: false });
+    assert.deepStrictEqual([input.seq, input.step], [2, 500]);
+
+    // Stale or repeated
+    input.receive({ type: 'input', seq: 1, step: 600, serve: true });
+    input.receive({ type: 'input', seq: 2, step: 600, serve: true });
+
+    // Malformed
+    [
+        { seq: '3', step: 600 },
+        { seq: 3.5, step: 600 },
+        { seq: 3, step: -1 },
+        { seq: 3, step: ANGLE_STEPS },
+        { seq: 3, step: 1.5 },
+        { seq: 3 }
+    ].forEach(message => input.receive(Object.assign({ type: 'input', serve: true }, message)));
+
+    assert.deepStrictEqual([input.seq, input.step], [2, 500]);
+    assert.strictEqual(input.takeServe(), false);
+
+    // Only a real true asks to serve, and the request is taken once
+    input.receive({ type: 'input', seq: 3, step: 600, serve: 'yes' });
+    assert.strictEqual(input.takeServe(), false);
+    input.receive({ type: 'input', seq: 4, step: 600, serve: true });
+    input.receive({ type: 'input', seq: 5, step: 700, serve: false });
+    assert.strictEqual(input.takeServe(), true);
+    assert.strictEqual(input.takeServe(), false);
+    assert.strictEqual(input.step, 700);
+});
+
+test('the guest sends only changes and drops inputs the host acknowledged', () => {
+    const predictor = new PaddlePredictor();
+    assert.deepStrictEqual(predictor.input(10, false), { type: 'input', seq: 1, step: 10, serve: false });
+    assert.strictEqual(predictor.input(10, false), null);
+    assert.deepStrictEqual(predictor.input(10, true), { type: 'input', seq: 2, step: 10, serve: true });
+    predictor.input(20, false);
+    predictor.input(30, false);
+
+    // The host has applied up to 2; 3 and 4 are in flight, so show the newest
+    assert.strictEqual(predictor.reconcile(2, 10), 30);
+    assert.deepStrictEqual(predictor.pending.map(input => input.seq), [3, 4]);
+
+    // All applied: the host's position is the truth
+    assert.strictEqual(predictor.reconcile(4, 25), 25);
+    assert.deepStrictEqual(predictor.pending, []);
+});
+
+test('snapshots are drawn behind the newest one, blended between two', () => {
+    const buffer = new SnapshotBuffer();
+    assert.strictEqual(buffer.advance(), null);
+
+    buffer.push(snapshot(10, 0));
+    buffer.push(snapshot(14, 40, { events: [{ type: 'hit' }] }));
+    const first = buffer.advance();
+    assert.strictEqual(first.state.tick, 14 - INTERPOLATION_TICKS);
+    assert.deepStrictEqual(first.events, []);
+
+    // Old and repeated snapshots are ignored
+    buffer.push(snapshot(12, 999));
+    buffer.push(snapshot(18, 80));
+    buffer.push(snapshot(18, 999));
+
+    const states = [];
+    const events = [];
+    for (let i = 0; i < 4; i++) {
+        const frame = buffer.advance();
+        states.push(frame.state);
+        events.push(...frame.events);
+    }
+    assert.deepStrictEqual(states.map(state => state.tick), [11, 12, 13, 14]);
+    assert.deepStrictEqual(states.map(state => state.balls[0][0]), [10, 20, 30, 40]);
+
+    // Events are handed over once, when the render clock reaches their tick
+    assert.deepStrictEqual(events, [{ type: 'hit' }]);
+    assert.deepStrictEqual(buffer.advance().events, []);
+});
+
+test('paddles blend the short way round the ring', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(snapshot(10, 0, { paddle: ANGLE_STEPS - 2, rival: 2 }));
+    buffer.push(snapshot(14, 0, { paddle: 2, rival: ANGLE_STEPS - 2 }));
+    buffer.advance();
+    buffer.push(snapshot(18, 0, { paddle: 2, rival: ANGLE_STEPS - 2 }));
+
+    const { paddle, rival } = buffer.advance().state;
+    assert.deepStrictEqual([paddle, rival], [ANGLE_STEPS - 1, 1]);
+    assert.strictEqual(buffer.advance().state.paddle, 0);
+});
+
+test('a serve or a point snaps the ball instead of blending it', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(snapshot(10, 0, { attached: true }));
+    buffer.push(snapshot(14, 40));
+    buffer.advance();
+    buffer.push(snapshot(18, 80));
+
+    const positions = [];
+    for (let i = 0; i < 4; i++) positions.push(buffer.advance().state.balls[0][0]);
+    assert.deepStrictEqual(positions, [0, 40, 40, 40]);
+});
+
+test('a guest too far behind skips ahead and catches up at double speed', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(snapshot(10, 0));
+    buffer.advance();
+
+    // A burst well over MAX_LAG_TICKS ahead: jump straight to it
+    for (let tick = 12; tick <= 60; tick += 2) {
+        buffer.push(snapshot(tick, tick, { events: tick === 30 ? [{ type: 'hit' }] : [] }));
+    }
+    const skipped = buffer.advance();
+    assert.strictEqual(skipped.state.tick, 60 - INTERPOLATION_TICKS);
+    assert.deepStrictEqual(skipped.events, [{ type: 'hit' }]);
+
+    // A smaller burst is caught up two ticks at a time, back to one a tick
+    // once the clock is INTERPOLATION_TICKS behind again
+    for (let tick = 62; tick <= 70; tick += 2) buffer.push(snapshot(tick, tick));
+    const ticks = [];
+    for (let i = 0; i < 6; i++) ticks.push(buffer.advance().state.tick);
+    assert.deepStrictEqual(ticks, [58, 60, 62, 63, 64, 65]);
+});
@@ -0,0 +1,136 @@
+/**
+ * Rate limits (worker/ratelimit.js)
+ * The limiter runs against MemoryKV, as it does in the dev server, with a
+ * clock the tests move by hand.
+ *
+ *   npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import worker from '../worker/index.js';
+import { createDevEnv } from '../worker/dev-server.js';
+import { MemoryKV } from '../worker/memory-kv.js';
+import { RateLimiter, loadRateLimits, DEFAULT_RATE_LIMITS } from '../worker/ratelimit.js';
+
+const IDENTITY = 'a'.repeat(64);
+
+// A limiter on MemoryKV whose clock only moves when the test says so
+function limiterAt(limits) {
+    const clock = { now: 0 };
+    const store = new MemoryKV(() => clock.now);
+    return { clock, store, limiter: new RateLimiter(store, limits, () => clock.now) };
+}
+
+function submit(env, body) {
+    return worker.fetch(new Request('http://localhost/api/submit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.7' },
+        body: JSON.stringify(body)
+    }), env);
+}
+
+test('forged submissions do not count against the name they claim', async () => {
+    const env = createDevEnv(() => 1700000000000);
+    for (let i = 0; i < 6; i++) {
+        const response = await submit(env, {
+            token: 'forged', session: 'x', identity: IDENTITY, score: 5, name: 'Alice', replay: { seed: 1 }
+        });
+        assert.strictEqual((await response.json()).code, 'INVALID_TOKEN');
+    }
+
+    const counted = await env.PONG_LEADERBOARD.list({ prefix: 'ratelimit:submit:name:' });
+    assert.deepStrictEqual(counted.keys, []);
+});
+
+test('the window slides with each request instead of resetting', async () => {
+    const { clock, limiter } = limiterAt({ start: { ip: { limit: 3, windowMs: 1000 } } });
+    for (const t of [0, 400, 800]) {
+        clock.now = t;
+        assert.strictEqual((await limiter.hit('start', 'ip', 'a')).allowed, true);
+    }
+
+    clock.now = 900;
+    assert.strictEqual((await limiter.hit('start', 'ip', 'a')).allowed, false);
+
+    // The request at 0 has left the window; the ones at 400 and 800 haven't
+    clock.now = 1001;
+    assert.strictEqual((await limiter.hit('start', 'ip', 'a')).allowed, true);
+    clock.now = 1100;
+    assert.strictEqual((await limiter.hit('start', 'ip', 'a')).allowed, false);
+
+    // Other ids have their own window
+    assert.strictEqual((await limiter.hit('start', 'ip', 'b')).allowed, true);
+});
+
+test('retryAfter counts whole seconds until the oldest request leaves', async () => {
+    const { clock, limiter } = limiterAt({ submit: { name: { limit: 2, windowMs: 300000 } } });
+    for (const t of [0, 10000]) {
+        clock.now = t;
+        await limiter.hit('submit', 'name', 'alice');
+    }
+
+    clock.now = 60000;
+    assert.deepStrictEqual(await limiter.hit('submit', 'name', 'alice'), { allowed: false, retryAfter: 240 });
+
+    // Never less than a second, even with the oldest about to leave
+    clock.now = 299999;
+    assert.deepStrictEqual(await limiter.hit('submit', 'name', 'alice'), { allowed: false, retryAfter: 1 });
+});
+
+test('actions and scopes without a rule are not limited', async () => {
+    const { limiter } = limiterAt({ start: { ip: { limit: 0, windowMs: 1000 } } });
+    assert.strictEqual((await limiter.hit('start', 'name', 'alice')).allowed, true);
+    assert.strictEqual((await limiter.hit('rank', 'ip', 'a')).allowed, true);
+    assert.strictEqual((await limiter.hit('start', 'ip', '')).allowed, true);
+    assert.strictEqual((await limiter.hit('start', 'ip', 'a')).allowed, false);
+});
+
+test('check() stops at the first scope over its limit', async () => {
+    const { store, limiter } = limiterAt({
+        submit: { ip: { limit: 1, windowMs: 60000 }, name: { limit: 5, windowMs: 60000 } }
+    });
+    assert.deepStrictEqual(await limiter.check('submit', { ip: 'a', name: 'alice' }), { allowed: true, retryAfter: 0 });
+
+    const blocked = await limiter.check('submit', { ip: 'a', name: 'alice' });
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.retryAfter, 60);
+
+    // The blocked request never reached the name's count
+    assert.strictEqual((await store.get('ratelimit:submit:name:alice', { type: 'json' })).length, 1);
+});
+
+test('RATE_LIMITS overrides single scopes and keeps the rest of the defaults', t => {
+    const limits = loadRateLimits({
+        RATE_LIMITS: JSON.stringify({ submit: { name: { limit: 2, windowMs: 1000 } } })
+    });
+    assert.deepStrictEqual(limits.submit.name, { limit: 2, windowMs: 1000 });
+    assert.deepStrictEqual(limits.submit.ip, DEFAULT_RATE_LIMITS.submit.ip);
+    assert.deepStrictEqual(limits.start, DEFAULT_RATE_LIMITS.start);
+
+    // The defaults are copied, not shared
+    limits.start.ip.limit = 0;
+    assert.strictEqual(DEFAULT_RATE_LIMITS.start.ip.limit, 30);
+
+    // An object works as well as a JSON string
+    const rank = { ip: { limit: 1, windowMs: 1000 } };
+    assert.deepStrictEqual(loadRateLimits({ RATE_LIMITS: { rank } }).rank, rank);
+
+    // Invalid JSON is ignored with a warning
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.deepStrictEqual(loadRateLimits({ RATE_LIMITS: '{nope' }), DEFAULT_RATE_LIMITS);
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test('a request is let through uncounted when the store refuses the write', async t => {
+    const { store, limiter } = limiterAt({ start: { ip: { limit: 1, windowMs: 60000 } } });
+    store.put = async () => {
+        throw new Error('KV PUT failed: 429 Too Many Requests');
+    };
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepStrictEqual(await limiter.hit('start', 'ip', 'a'), { allowed: true, retryAfter: 0 });
+    assert.deepStrictEqual(await limiter.hit('start', 'ip', 'a'), { allowed: true, retryAfter: 0 });
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
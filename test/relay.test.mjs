@@ -0,0 +1,134 @@
+/**
+ * Online match relay (worker/relay.js)
+ * Lobbies seat one host and one guest, tell each about the other, pass
+ * their messages on, and close once nobody has used them for
+ * LOBBY_IDLE_MS.
+ *
+ *   npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Lobby, MemoryLobbyStore, LOBBY_IDLE_MS } from '../worker/relay.js';
+
+// The end of a WebSocket the lobby holds; `received` is what it was sent
+class FakeSocket {
+    constructor() {
+        this.listeners = {};
+        this.received = [];
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    send(data) {
+        this.received.push(JSON.parse(data));
+    }
+
+    emit(type, data) {
+        (this.listeners[type] || []).forEach(listener => listener({ data }));
+    }
+
+    take() {
+        return this.received.splice(0);
+    }
+}
+
+function lobbyAt(clock) {
+    return new Lobby(clock.now + LOBBY_IDLE_MS, () => clock.now);
+}
+
+test('players hear when the other joins and leaves', () => {
+    const lobby = lobbyAt({ now: 0 });
+    const host = new FakeSocket();
+    const guest = new FakeSocket();
+
+    lobby.attach('host', host);
+    assert.deepStrictEqual(host.take(), [{ type: 'welcome', role: 'host', peer: false }]);
+
+    lobby.attach('guest', guest);
+    assert.deepStrictEqual(guest.take(), [{ type: 'welcome', role: 'guest', peer: true }]);
+    assert.deepStrictEqual(host.take(), [{ type: 'peer', connected: true }]);
+
+    guest.emit('close');
+    assert.deepStrictEqual(host.take(), [{ type: 'peer', connected: false }]);
+
+    // A dropped player can take their seat back
+    const rejoined = new FakeSocket();
+    assert.strictEqual(lobby.admit('guest'), null);
+    lobby.attach('guest', rejoined);
+    assert.deepStrictEqual(rejoined.take(), [{ type: 'welcome', role: 'guest', peer: true }]);
+    assert.deepStrictEqual(host.take(), [{ type: 'peer', connected: true }]);
+
+    // The old socket's late close doesn't unseat the new one
+    guest.emit('error');
+    assert.deepStrictEqual(host.take(), []);
+});
+
+test('messages pass to the other player untouched, within size', () => {
+    const lobby = lobbyAt({ now: 0 });
+    const host = new FakeSocket();
+    const guest = new FakeSocket();
+    lobby.attach('host', host);
+
+    // Nobody to pass it to yet
+    host.emit('message', JSON.stringify({ type: 'start', seed: 1 }));
+
+    lobby.attach('guest', guest);
+    host.take();
+    guest.take();
+
+    host.emit('message', JSON.stringify({ type: 'state', tick: 4 }));
+    guest.emit('message', JSON.stringify({ type: 'input', seq: 1, step: 10 }));
+    guest.emit('message', JSON.stringify({ type: 'input', pad: 'x'.repeat(5000) }));
+    guest.emit('message', new ArrayBuffer(8));
+
+    assert.deepStrictEqual(guest.take(), [{ type: 'state', tick: 4 }]);
+    assert.deepStrictEqual(host.take(), [{ type: 'input', seq: 1, step: 10 }]);
+});
+
+test('a taken seat is refused', () => {
+    const lobby = lobbyAt({ now: 0 });
+    lobby.attach('host', new FakeSocket());
+
+    const full = lobby.admit('host');
+    assert.strictEqual(full.code, 'LOBBY_FULL');
+    assert.strictEqual(full.status, 409);
+    assert.strictEqual(lobby.admit('guest'), null);
+});
+
+test('a lobby closes LOBBY_IDLE_MS after it was last used, and not while in use', async () => {
+    const clock = { now: 1000 };
+    const lobbies = new MemoryLobbyStore(() => clock.now);
+    assert.strictEqual(await lobbies.create('ABCDE'), true);
+    assert.strictEqual(await lobbies.create('ABCDE'), false);
+
+    const host = new FakeSocket();
+    clock.now += LOBBY_IDLE_MS - 1;
+    assert.strictEqual(lobbies.join('ABCDE', 'host', () => host), null);
+
+    // Seats are checked before the handshake completes
+    let upgraded = false;
+    const upgrade = () => {
+        upgraded = true;
+        return new FakeSocket();
+    };
+    assert.strictEqual(lobbies.join('ABCDE', 'host', upgrade).code, 'LOBBY_FULL');
+    assert.strictEqual(lobbies.join('FGHJK', 'guest', upgrade).code, 'LOBBY_NOT_FOUND');
+    assert.strictEqual(upgraded, false);
+
+    // Occupied lobbies stay open however long the match goes on
+    clock.now += LOBBY_IDLE_MS * 10;
+    assert.strictEqual(await lobbies.create('ABCDE'), false);
+
+    host.emit('close');
+    clock.now += LOBBY_IDLE_MS - 1;
+    assert.strictEqual(lobbies.join('ABCDE', 'host', () => new FakeSocket()), null);
+    lobbies.lobbies.get('ABCDE').sockets.host.emit('close');
+
+    clock.now += LOBBY_IDLE_MS;
+    assert.strictEqual(lobbies.join('ABCDE', 'guest', upgrade).code, 'LOBBY_NOT_FOUND');
+    assert.strictEqual(await lobbies.create('ABCDE'), true);
+});
@@ -0,0 +1,127 @@
+/**
+ * Deterministic simulation core (simulation.js)
+ * Runs the physics headless under Node: the same inputs must give the same
+ * run, the fixed timestep must not care about frame rate, and hits, misses
+ * and the speed ramp must follow SIM_CONFIG.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, SIM_CONFIG, Random, fixedSteps } = require('../simulation.js');
+
+// Launch on tick 10 and follow the ball with the paddle until tick 900
+function trackingInput(sim) {
+    const angle = sim.tick < 900 ? Math.atan2(sim.ball.y, sim.ball.x) : sim.paddleAngle;
+    return { angle, launch: sim.tick === 10 };
+}
+
+function eventTypes(events) {
+    return events.map(event => event.type);
+}
+
+function snapshot(sim) {
+    return JSON.stringify({
+        tick: sim.tick,
+        score: sim.score,
+        speed: sim.speedMultiplier,
+        ball: sim.ball,
+        paddle: sim.paddleAngle,
+        over: sim.over
+    });
+}
+
+// A launched run with the paddle at `paddleAngle` and the ball put in place
+function launched(ball, paddleAngle) {
+    const sim = new Simulation({ seed: 1 });
+    sim.step({ angle: paddleAngle, launch: true });
+    Object.assign(sim.ball, ball);
+    sim.speedMultiplier = 1;
+    return sim;
+}
+
+test('the same seed and inputs give the same run', () => {
+    const a = new Simulation({ seed: 42 });
+    const b = new Simulation({ seed: 42 });
+
+    while (!a.over && a.tick < 3000) {
+        const eventsA = a.step(trackingInput(a));
+        const eventsB = b.step(trackingInput(b));
+        assert.deepStrictEqual(eventsB, eventsA);
+        assert.strictEqual(snapshot(b), snapshot(a));
+    }
+    assert.ok(a.score > 0);
+});
+
+test('how many ticks run depends on elapsed time, not frame rate', () => {
+    // 120.5 ticks of real time, so float error can't land on a tick boundary
+    const total = 120.5 * 1000 / SIM_CONFIG.TICK_RATE;
+    const runs = [24, 60, 144, 'jitter'].map(fps => {
+        const random = new Random(7);
+        const sim = new Simulation({ seed: 42 });
+        let elapsed = 0;
+        let accumulator = 0;
+
+        while (elapsed < total) {
+            const frame = fps === 'jitter' ? random.range(2, 42) : 1000 / fps;
+            const delta = Math.min(frame, total - elapsed);
+            elapsed += delta;
+
+            const steps = fixedSteps(accumulator + delta, sim.tickMs);
+            for (let i = 0; i < steps.ticks; i++) {
+                sim.step(trackingInput(sim));
+            }
+            accumulator = steps.remainder;
+        }
+        assert.ok(Math.abs(accumulator - sim.tickMs / 2) < 1e-6);
+        return snapshot(sim);
+    });
+
+    assert.strictEqual(JSON.parse(runs[0]).tick, 120);
+    runs.forEach(run => assert.strictEqual(run, runs[0]));
+});
+
+test('a ball reaching the ring at the paddle is hit back', () => {
+    const sim = launched({ x: 390, y: 0, vx: 5, vy: 0 }, 0);
+    const events = sim.step({ angle: 0 });
+
+    assert.deepStrictEqual(eventTypes(events), ['hit']);
+    assert.strictEqual(events[0].score, 1);
+    assert.strictEqual(sim.score, 1);
+    assert.ok(sim.ball.vx < 0);
+    assert.ok(Math.hypot(sim.ball.x, sim.ball.y) < SIM_CONFIG.ARENA_RADIUS - SIM_CONFIG.BALL_RADIUS);
+});
+
+test('a ball reaching the ring away from the paddle escapes and ends the run', () => {
+    const sim = launched({ x: 390, y: 0, vx: 5, vy: 0 }, Math.PI);
+    assert.deepStrictEqual(eventTypes(sim.step({ angle: Math.PI })), ['miss']);
+    assert.strictEqual(sim.score, 0);
+
+    // The grace period runs out ESCAPE_TICKS later
+    for (let i = 1; i < SIM_CONFIG.ESCAPE_TICKS; i++) {
+        assert.deepStrictEqual(sim.step({ angle: Math.PI }), []);
+    }
+    assert.deepStrictEqual(eventTypes(sim.step({ angle: Math.PI })), ['ballLost', 'gameOver']);
+    assert.ok(sim.over);
+    assert.deepStrictEqual(sim.step({ angle: Math.PI }), []);
+});
+
+test('the speed ramps up every tick once launched and again on every hit', () => {
+    const sim = new Simulation({ seed: 1 });
+    const perTick = SIM_CONFIG.SPEED_INCREMENT * sim.tickMs;
+
+    // Held on the paddle, nothing speeds up
+    for (let i = 0; i < 30; i++) sim.step({ angle: 0 });
+    assert.strictEqual(sim.speedMultiplier, 1);
+
+    sim.step({ angle: 0, launch: true });
+    for (let i = 0; i < 29; i++) sim.step({ angle: 0 });
+    assert.ok(Math.abs(sim.speedMultiplier - (1 + 30 * perTick)) < 1e-12);
+
+    const hit = launched({ x: 390, y: 0, vx: 5, vy: 0 }, 0);
+    hit.step({ angle: 0 });
+    assert.ok(Math.abs(hit.speedMultiplier - (1 + perTick + SIM_CONFIG.HIT_SPEED_BOOST)) < 1e-12);
+});
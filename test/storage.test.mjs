@@ -0,0 +1,139 @@
+/**
+ * Leaderboard storage (worker/storage.js)
+ * Fires many submits at one board at once and checks that the Serializer
+ * keeps every one of them, both in MemoryBoardStore and through
+ * DurableBoardStore to LeaderboardBoard objects on an in-memory storage.
+ *
+ *   npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import SpacePongSim from '../simulation.js';
+import { MemoryKV } from '../worker/memory-kv.js';
+import { MemoryBoardStore, DurableBoardStore, LeaderboardBoard } from '../worker/storage.js';
+import { BOARD_CAPACITY } from '../worker/leaderboard.js';
+
+const { Random } = SpacePongSim;
+
+const DAILY_KEY = 'scores:daily:2026-10-19';
+
+// Durable Object storage as far as LeaderboardBoard uses it; values are
+// copied in and out, as the real storage does
+class MemoryStorage {
+    constructor() {
+        this.values = new Map();
+        this.alarm = null;
+    }
+
+    async get(key) {
+        return this.values.has(key) ? structuredClone(this.values.get(key)) : undefined;
+    }
+
+    async put(key, value) {
+        this.values.set(key, structuredClone(value));
+    }
+
+    async getAlarm() {
+        return this.alarm;
+    }
+
+    async setAlarm(time) {
+        this.alarm = time;
+    }
+
+    async deleteAll() {
+        this.values.clear();
+    }
+}
+
+// LEADERBOARD_BOARDS binding with one LeaderboardBoard per board key
+function boardNamespace(env) {
+    const objects = new Map();
+    return {
+        objects,
+        idFromName: name => name,
+        get(id) {
+            if (!objects.has(id)) {
+                objects.set(id, new LeaderboardBoard({ storage: new MemoryStorage() }, env));
+            }
+            const board = objects.get(id);
+            return { fetch: (url, init) => board.fetch(new Request(url, init)) };
+        }
+    };
+}
+
+function entries(count, seed) {
+    const random = new Random(seed);
+    return Array.from({ length: count }, (_, i) => ({
+        id: `player-${i}`,
+        name: `Player ${i}`,
+        score: Math.floor(random.range(1, 100000)),
+        date: '2026-10-19T12:00:00.000Z'
+    }));
+}
+
+async function wholeBoard(store, key) {
+    return (await store.list(key, 0, 10000)).entries;
+}
+
+function assertTopScores(board, submitted, capacity) {
+    const expected = submitted.map(e => e.score).sort((a, b) => b - a).slice(0, capacity);
+    assert.deepStrictEqual(board.map(e => e.score), expected);
+    assert.strictEqual(new Set(board.map(e => e.id)).size, board.length);
+}
+
+[
+    ['MemoryBoardStore', () => new MemoryBoardStore()],
+    ['DurableBoardStore', () => new DurableBoardStore(boardNamespace({}))]
+].forEach(([name, createStore]) => {
+    test(`${name}: parallel submits to one board all land, in order, up to capacity`, async () => {
+        const store = createStore();
+        const submitted = entries(BOARD_CAPACITY.daily + 200, 1);
+
+        const results = await Promise.all(submitted.map(entry => store.submit(DAILY_KEY, 'daily', entry, null)));
+        assert.ok(results.every(result => result.improved));
+
+        assertTopScores(await wholeBoard(store, DAILY_KEY), submitted, BOARD_CAPACITY.daily);
+    });
+
+    test(`${name}: parallel submits from one player keep their best`, async () => {
+        const store = createStore();
+        const submitted = entries(50, 2).map(entry => Object.assign(entry, { id: 'alice', name: 'Alice' }));
+
+        await Promise.all(submitted.map(entry => store.submit('scores', 'all', entry, null)));
+
+        const board = await wholeBoard(store, 'scores');
+        assert.strictEqual(board.length, 1);
+        assert.strictEqual(board[0].score, Math.max(...submitted.map(e => e.score)));
+    });
+});
+
+test('the all-time board adopts the list kept in KV once, on first use', async () => {
+    const kv = new MemoryKV();
+    const legacy = [
+        { name: 'Adin', score: 40, date: '2024-01-01T00:00:00.000Z' },
+        { name: 'Bea', score: 25, date: '2024-01-02T00:00:00.000Z' }
+    ];
+    await kv.put('scores', JSON.stringify(legacy));
+    const namespace = boardNamespace({ PONG_LEADERBOARD: kv });
+    const store = new DurableBoardStore(namespace);
+
+    assert.deepStrictEqual((await store.page('scores', 0, 10)).entries.map(e => e.name), ['Adin', 'Bea']);
+    assert.deepStrictEqual(await namespace.objects.get('scores').state.storage.get('board'), legacy);
+
+    // Later KV changes are no longer read; the object owns the board now
+    await kv.put('scores', JSON.stringify([{ name: 'Cy', score: 99, date: '2024-01-03T00:00:00.000Z' }]));
+    assert.deepStrictEqual((await store.page('scores', 0, 10)).entries.map(e => e.name), ['Adin', 'Bea']);
+
+    // The first identity to submit under a legacy name takes its entry over
+    await store.submit('scores', 'all', { id: 'adin-id', name: 'Adin', score: 50, date: '2026-10-19T00:00:00.000Z' }, null);
+    assert.deepStrictEqual((await wholeBoard(store, 'scores')).map(e => [e.id, e.name, e.score]), [
+        ['adin-id', 'Adin', 50],
+        [null, 'Bea', 25]
+    ]);
+
+    // Only the normal all-time board had a legacy list
+    assert.deepStrictEqual((await store.page('scores:chill', 0, 10)).entries, []);
+});
@@ -0,0 +1,42 @@
+/**
+ * Verified achievements
+ * The worker keeps its own record of each identity's achievements, judged
+ * with the shared definitions in achievements.js on the metrics of replays
+ * it has verified (KV `achievements:<id>`). Career achievements therefore
+ * count submitted runs only. Players who opt in have them shown beside
+ * their name on the boards.
+ */
+
+import SpacePongAchievements from '../achievements.js';
+
+const { RunMetrics, addRun, newlyUnlocked, sortIds } = SpacePongAchievements;
+
+/**
+ * Metrics collector to pass as verifyReplay's `observe` option.
+ * @returns {{metrics: RunMetrics, observe: Function}}
+ */
+export function createRunObserver() {
+    const metrics = new RunMetrics();
+    return { metrics, observe: (sim, events) => metrics.observe(sim, events) };
+}
+
+export async function loadAchievements(kv, id) {
+    const record = await kv.get(`achievements:${id}`, { type: 'json' });
+    return record || { unlocked: {}, career: null };
+}
+
+/**
+ * Add a verified run to an identity's record and unlock what it earned.
+ * @returns {Promise<{unlocked: string[], newly: string[]}>} all unlocked ids, and those this run unlocked
+ */
+export async function recordRunAchievements(kv, id, metrics, now) {
+    const record = await loadAchievements(kv, id);
+    const career = addRun(record.career, metrics);
+    const newly = newlyUnlocked(metrics, career, Object.keys(record.unlocked)).map(a => a.id);
+
+    const at = new Date(now).toISOString();
+    newly.forEach(achievement => { record.unlocked[achievement] = at; });
+    await kv.put(`achievements:${id}`, JSON.stringify({ unlocked: record.unlocked, career }));
+
+    return { unlocked: sortIds(Object.keys(record.unlocked)), newly };
+}
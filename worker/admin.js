@@ -0,0 +1,225 @@
+/**
+ * Admin API
+ * Moderation endpoints under /api/admin/, enabled by setting the ADMIN_TOKEN
+ * secret and authenticated with `Authorization: Bearer <ADMIN_TOKEN>`.
+ * Every change is written to the audit log.
+ *
+ *   GET  /api/admin/entries?window=&difficulty=&offset=&limit=   board incl. hidden entries
+ *   POST /api/admin/hide     { id | name, window?, difficulty?, reason? }
+ *   POST /api/admin/unhide   { id | name, window?, difficulty?, reason? }
+ *   POST /api/admin/delete   { id | name, window?, difficulty?, reason? }
+ *   POST /api/admin/restore  { id | name, window?, difficulty?, reason? }  unhide + undo delete
+ *   POST /api/admin/ban      { id | name, reason? }  also hides their entries
+ *   POST /api/admin/unban    { id | name, reason? }
+ *   GET  /api/admin/bans?limit=&cursor=
+ *   GET  /api/admin/submissions?limit=&cursor=      recent accepted submissions
+ *   GET  /api/admin/audit?limit=&cursor=
+ *
+ * Actions without a `window` apply to the current board of every window, and
+ * without a `difficulty` to every ranked difficulty's boards.
+ */
+
+import { WINDOWS, RANKED_DIFFICULTIES, DEFAULT_DIFFICULTY, boardKey, parseBoardQuery } from './leaderboard.js';
+import { nameKey } from './identity.js';
+import { jsonResponse, errorResponse, rateLimitedResponse } from './http.js';
+import {
+    getBan, setBan, clearBan, listBans, saveDeleted, takeDeleted,
+    recordAudit, listAudit, listSubmissions
+} from './moderation.js';
+
+const ADMIN_PREFIX = '/api/admin/';
+
+const ACTIONS = ['hide', 'unhide', 'delete', 'restore', 'ban', 'unban'];
+
+const MAX_LOG_PAGE = 100;
+
+const encoder = new TextEncoder();
+
+// Compare digests so the time taken doesn't reveal how much of the token matched
+async function tokenMatches(given, expected) {
+    const [a, b] = await Promise.all([given, expected].map(value =>
+        crypto.subtle.digest('SHA-256', encoder.encode(value))
+    ));
+    const x = new Uint8Array(a);
+    const y = new Uint8Array(b);
+    let diff = 0;
+    for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+    return diff === 0;
+}
+
+/**
+ * The player an action applies to: an identity id, or a name for entries
+ * (and bans) not tied to an identity.
+ * @returns {{id: string} | {name: string} | null}
+ */
+function parseTarget(body) {
+    if (typeof body.id === 'string' && /^[0-9a-f]{32}$/.test(body.id)) return { id: body.id };
+    if (typeof body.name === 'string' && body.name.trim()) return { name: body.name.trim() };
+    return null;
+}
+
+// Key for things stored per target (deleted entries, bans)
+function targetRef(target) {
+    return target.id ? target.id : `name:${nameKey(target.name)}`;
+}
+
+function parseLogQuery(params) {
+    const limit = params.has('limit') ? Number(params.get('limit')) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_PAGE) return null;
+    return { limit, cursor: params.get('cursor') || undefined };
+}
+
+// Counts keyed by window, prefixed `<difficulty>:` off the normal boards
+function countByWindow(results) {
+    const affected = {};
+    results.forEach(({ window, difficulty, entries }) => {
+        const label = difficulty === DEFAULT_DIFFICULTY ? window : `${difficulty}:${window}`;
+        affected[label] = entries.length;
+    });
+    return affected;
+}
+
+/**
+ * Handle a request under /api/admin/.
+ * @param {{boards: Object, limiter: Object, clientIp: string, clock: () => number}} context
+ */
+export async function handleAdmin(request, env, context) {
+    const { boards, limiter, clientIp, clock } = context;
+    const kv = env.PONG_LEADERBOARD;
+
+    if (!env.ADMIN_TOKEN) {
+        return errorResponse('ADMIN_DISABLED', 'Admin API is not configured', 404);
+    }
+
+    // Throttled before the token check, so it can't be brute-forced quickly
+    const limit = await limiter.check('admin', { ip: clientIp });
+    if (!limit.allowed) return rateLimitedResponse(limit.retryAfter);
+
+    const auth = request.headers.get('Authorization') || '';
+    if (!(await tokenMatches(auth, `Bearer ${env.ADMIN_TOKEN}`))) {
+        return errorResponse('UNAUTHORIZED', 'Admin token required', 401);
+    }
+
+    const url = new URL(request.url);
+    const route = url.pathname.slice(ADMIN_PREFIX.length);
+    const now = clock();
+
+    if (request.method === 'GET') {
+        if (route === 'entries') {
+            const query = parseBoardQuery(url.searchParams, 50);
+            if (!query) return errorResponse('INVALID_QUERY', 'Invalid window, difficulty, offset or limit');
+
+            const key = boardKey(query.window, now, query.difficulty);
+            const result = await boards.list(key, query.offset, query.limit);
+            return jsonResponse({
+                window: query.window,
+                difficulty: query.difficulty,
+                board: key,
+                offset: query.offset,
+                total: result.total,
+                entries: result.entries
+            });
+        }
+
+        const logQuery = parseLogQuery(url.searchParams);
+        if (!logQuery) return errorResponse('INVALID_QUERY', 'Invalid limit');
+
+        if (route === 'bans') {
+            return jsonResponse(await listBans(kv, logQuery.limit, logQuery.cursor));
+        }
+        if (route === 'submissions') {
+            const page = await listSubmissions(kv, logQuery.limit, logQuery.cursor);
+            return jsonResponse({ submissions: page.records, cursor: page.cursor });
+        }
+        if (route === 'audit') {
+            const page = await listAudit(kv, logQuery.limit, logQuery.cursor);
+            return jsonResponse({ audit: page.records, cursor: page.cursor });
+        }
+        return errorResponse('NOT_FOUND', 'Not found', 404);
+    }
+
+    if (request.method !== 'POST' || !ACTIONS.includes(route)) {
+        return errorResponse('NOT_FOUND', 'Not found', 404);
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('INVALID_ADMIN_REQUEST', 'Invalid request body');
+    }
+    const target = parseTarget(body || {});
+    if (!target) {
+        return errorResponse('INVALID_ADMIN_REQUEST', 'Give an identity id or a name');
+    }
+    if (body.window !== undefined && !WINDOWS.includes(body.window)) {
+        return errorResponse('INVALID_ADMIN_REQUEST', 'Unknown window');
+    }
+    if (body.difficulty !== undefined && !RANKED_DIFFICULTIES.includes(body.difficulty)) {
+        return errorResponse('INVALID_ADMIN_REQUEST', 'Unknown difficulty');
+    }
+    // Bans cover every board
+    const windows = body.window && route !== 'ban' ? [body.window] : WINDOWS;
+    const difficulties = body.difficulty && route !== 'ban' ? [body.difficulty] : RANKED_DIFFICULTIES;
+    const reason = typeof body.reason === 'string' ? body.reason.slice(0, 200) : null;
+    const ref = targetRef(target);
+
+    // Run an operation on the current board of each selected window and difficulty
+    const eachBoard = (run) => Promise.all(difficulties.flatMap(difficulty => windows.map(async window => {
+        const key = boardKey(window, now, difficulty);
+        return { window, difficulty, entries: await run(key, window) };
+    })));
+
+    let result;
+
+    if (route === 'hide' || route === 'unhide') {
+        result = { affected: countByWindow(await eachBoard(async key =>
+            (await boards.moderate(key, route, target)).entries
+        )) };
+    } else if (route === 'delete') {
+        result = { affected: countByWindow(await eachBoard(async (key, window) => {
+            const { entries } = await boards.moderate(key, 'delete', target);
+            if (entries.length > 0) await saveDeleted(kv, key, ref, window, entries);
+            return entries;
+        })) };
+    } else if (route === 'restore') {
+        result = { affected: countByWindow(await eachBoard(async (key, window) => {
+            const { entries } = await boards.moderate(key, 'unhide', target);
+            const deleted = await takeDeleted(kv, key, ref);
+            if (deleted) await boards.restore(key, window, deleted.entries);
+            return entries.concat(deleted ? deleted.entries : []);
+        })) };
+    } else if (route === 'ban') {
+        const kind = target.id ? 'id' : 'name';
+        await setBan(kv, kind, target.id || nameKey(target.name), reason, now);
+        result = { affected: countByWindow(await eachBoard(async key =>
+            (await boards.moderate(key, 'hide', target)).entries
+        )) };
+    } else {
+        // unban
+        const kind = target.id ? 'id' : 'name';
+        const value = target.id || nameKey(target.name);
+        if (!(await getBan(kv, kind, value))) {
+            return errorResponse('NOT_BANNED', 'No such ban', 404);
+        }
+        // Entries hidden by the ban stay hidden until restored
+        await clearBan(kv, kind, value);
+        result = {};
+    }
+
+    await recordAudit(kv, {
+        action: route,
+        target,
+        windows: route === 'unban' ? null : windows,
+        difficulties: route === 'unban' ? null : difficulties,
+        reason,
+        affected: result.affected || null,
+        ip: clientIp
+    }, now);
+
+    return jsonResponse(Object.assign({ success: true, action: route, target }, result));
+}
+
+export function isAdminPath(path) {
+    return path.startsWith(ADMIN_PREFIX);
+}
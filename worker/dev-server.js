@@ -0,0 +1,201 @@
+/**
+ * Local dev server
+ * Runs the worker's fetch handler under plain Node (20.19+ or 22+) with
+ * in-memory stand-ins for every Cloudflare binding, and serves the game from
+ * the repo root, so start → submit → leaderboard works end to end with no
+ * network:
+ *
+ *   node worker/dev-server.js [--port 8787] [--offset-days N]
+ *
+ * then open http://localhost:8787/?api=local. State lives in memory and is
+ * gone when the server stops. --offset-days shifts the worker's clock, e.g.
+ * to see daily and weekly boards roll over.
+ *
+ * Online match lobbies work too: the server answers WebSocket upgrades on
+ * /api/lobby/<code> itself (see dev-websocket.js), so two tabs can play
+ * each other offline.
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import worker from './index.js';
+import { MemoryKV } from './memory-kv.js';
+import { MemoryBoardStore } from './storage.js';
+import { MemoryNameRegistry } from './identity.js';
+import { MemoryNonceRegistry } from './tokens.js';
+import { MemoryLobbyStore, parseLobbyJoin } from './relay.js';
+import { RateLimiter, loadRateLimits } from './ratelimit.js';
+import { isWebSocketUpgrade, acceptWebSocket, rejectUpgrade } from './dev-websocket.js';
+
+const DAY_MS = 86400000;
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.ogg': 'audio/ogg'
+};
+
+function parseArgs(argv) {
+    const options = { port: 8787, offsetDays: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--offset-days') options.offsetDays = Number(argv[++i]);
+    }
+    if (!Number.isInteger(options.port) || !Number.isFinite(options.offsetDays)) {
+        throw new Error('Usage: node worker/dev-server.js [--port N] [--offset-days N]');
+    }
+    return options;
+}
+
+/**
+ * Bindings for a local worker. Everything shares one clock, so expiries,
+ * rate limits and board periods all agree on the time.
+ * @param {() => number} clock
+ */
+export function createDevEnv(clock) {
+    return {
+        SECRET_KEY: process.env.SECRET_KEY || 'local-dev-secret',
+        RATE_LIMITS: process.env.RATE_LIMITS,
+        ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+        NAME_BLOCKLIST: process.env.NAME_BLOCKLIST,
+        CLOCK: clock,
+        PONG_LEADERBOARD: new MemoryKV(clock),
+        BOARD_STORE: new MemoryBoardStore(clock),
+        NAME_REGISTRY: new MemoryNameRegistry(),
+        NONCE_REGISTRY: new MemoryNonceRegistry(clock),
+        LOBBY_STORE: new MemoryLobbyStore(clock)
+    };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, env, origin) {
+    const body = req.method === 'GET' || req.method === 'HEAD' ? undefined : await readBody(req);
+    const headers = new Headers();
+    Object.entries(req.headers).forEach(([name, value]) => {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    });
+    headers.set('CF-Connecting-IP', req.socket.remoteAddress || 'unknown');
+
+    const response = await worker.fetch(
+        new Request(new URL(req.url, origin), { method: req.method, headers, body }),
+        env
+    );
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+    return response.status;
+}
+
+// Lobby joins, with the same checks and rate limit the worker applies
+async function handleUpgrade(req, socket, head, env, origin) {
+    const join = parseLobbyJoin(new URL(req.url, origin));
+    let error = join ? null : { code: 'NOT_FOUND', message: 'Not found', status: 404 };
+
+    if (!error) {
+        const limiter = new RateLimiter(env.PONG_LEADERBOARD, loadRateLimits(env), env.CLOCK);
+        const limit = await limiter.check('join', { ip: socket.remoteAddress || 'unknown' });
+        if (!limit.allowed) {
+            error = { code: 'RATE_LIMITED', message: `Too many requests. Try again in ${limit.retryAfter}s`, status: 429 };
+        }
+    }
+    if (!error) error = join.error || null;
+    if (!error && !isWebSocketUpgrade(req)) {
+        error = { code: 'UPGRADE_REQUIRED', message: 'Lobbies are joined over a WebSocket', status: 426 };
+    }
+    if (!error) {
+        error = env.LOBBY_STORE.join(join.code, join.role, () => acceptWebSocket(req, socket, head));
+    }
+
+    if (error) {
+        rejectUpgrade(socket, error.status, { error: error.message, code: error.code });
+        return error.status;
+    }
+    return 101;
+}
+
+async function handleStatic(req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+    // Never serve anything outside the repo
+    if (!file.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return 403;
+    }
+
+    try {
+        const data = await readFile(file);
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+        });
+        res.end(data);
+        return 200;
+    } catch (e) {
+        res.writeHead(404);
+        res.end('Not found');
+        return 404;
+    }
+}
+
+function start() {
+    const options = parseArgs(process.argv.slice(2));
+    const offsetMs = options.offsetDays * DAY_MS;
+    const env = createDevEnv(() => Date.now() + offsetMs);
+    const origin = `http://localhost:${options.port}`;
+
+    const server = http.createServer(async (req, res) => {
+        let status;
+        try {
+            status = req.url.startsWith('/api/')
+                ? await handleApi(req, res, env, origin)
+                : await handleStatic(req, res);
+        } catch (e) {
+            console.error(e);
+            status = 500;
+            if (!res.headersSent) res.writeHead(500);
+            res.end();
+        }
+        console.log(`${req.method} ${req.url} → ${status}`);
+    });
+
+    server.on('upgrade', async (req, socket, head) => {
+        let status;
+        try {
+            status = await handleUpgrade(req, socket, head, env, origin);
+        } catch (e) {
+            console.error(e);
+            status = 500;
+            socket.destroy();
+        }
+        console.log(`UPGRADE ${req.url} → ${status}`);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Space Pong dev server: ${origin}/?api=local`);
+        if (offsetMs) console.log(`Worker clock shifted by ${options.offsetDays} day(s)`);
+    });
+}
+
+// Only start listening when run directly, so the env can be reused elsewhere
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    start();
+}
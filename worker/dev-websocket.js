@@ -0,0 +1,193 @@
+/**
+ * Minimal server-side WebSocket for the dev server
+ * Plain Node has a WebSocket client but no server, so this speaks just
+ * enough RFC 6455 to host lobbies: text and binary messages (fragmented or
+ * not), ping and close. The object it returns has the slice of the Workers
+ * WebSocket API that relay.js uses: send(), close() and addEventListener()
+ * for 'message', 'close' and 'error'.
+ */
+
+import { createHash } from 'node:crypto';
+import { STATUS_CODES } from 'node:http';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Biggest message a client may send; lobbies only pass on a few KB anyway
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+function frame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+class DevWebSocket {
+    constructor(socket) {
+        this.socket = socket;
+        this.listeners = { message: [], close: [], error: [] };
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish(1006, ''));
+        socket.on('error', error => this.dispatch('error', { error }));
+    }
+
+    addEventListener(type, listener) {
+        if (this.listeners[type]) this.listeners[type].push(listener);
+    }
+
+    dispatch(type, event) {
+        this.listeners[type].forEach(listener => listener(event));
+    }
+
+    send(data) {
+        if (this.closed) throw new Error('WebSocket is closed');
+        const opcode = typeof data === 'string' ? OPCODES.text : OPCODES.binary;
+        this.socket.write(frame(opcode, Buffer.from(data)));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(frame(OPCODES.close, payload));
+        this.finish(code, reason);
+    }
+
+    finish(code, reason) {
+        if (this.closed) return;
+        this.closed = true;
+        this.dispatch('close', { code, reason });
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        // Parse every complete frame in the buffer
+        for (;;) {
+            if (this.buffer.length < 2) return;
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask; anything else is a protocol error
+            if (!masked) return this.close(1002, 'Unmasked frame');
+            if (length > MAX_MESSAGE_BYTES) return this.close(1009, 'Message too big');
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        if (opcode === OPCODES.close) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            this.close(code === 1005 ? 1000 : code);
+            return;
+        }
+        if (opcode === OPCODES.ping) {
+            this.socket.write(frame(OPCODES.pong, payload));
+            return;
+        }
+        if (opcode === OPCODES.pong) return;
+
+        // Data frames, possibly split over continuation frames
+        if (opcode !== OPCODES.continuation) {
+            this.fragments = { opcode, parts: [] };
+        } else if (!this.fragments) {
+            this.close(1002, 'Unexpected continuation');
+            return;
+        }
+        this.fragments.parts.push(payload);
+        const size = this.fragments.parts.reduce((sum, part) => sum + part.length, 0);
+        if (size > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return;
+        }
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments.parts);
+        const text = this.fragments.opcode === OPCODES.text;
+        this.fragments = null;
+        this.dispatch('message', {
+            data: text ? message.toString('utf8') : message.buffer.slice(message.byteOffset, message.byteOffset + message.length)
+        });
+    }
+}
+
+export function isWebSocketUpgrade(req) {
+    return Boolean(req.headers['sec-websocket-key']) &&
+        (req.headers.upgrade || '').toLowerCase() === 'websocket';
+}
+
+/**
+ * Finish the handshake on an HTTP `upgrade` request that passed
+ * isWebSocketUpgrade().
+ * @returns {DevWebSocket}
+ */
+export function acceptWebSocket(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const ws = new DevWebSocket(socket);
+    if (head && head.length > 0) ws.receive(head);
+    return ws;
+}
+
+/**
+ * Refuse an upgrade with a JSON error body, as the worker would.
+ */
+export function rejectUpgrade(socket, status, body) {
+    const json = JSON.stringify(body);
+    socket.end([
+        `HTTP/1.1 ${status} ${STATUS_CODES[status]}`,
+        'Content-Type: application/json',
+        'Access-Control-Allow-Origin: *',
+        `Content-Length: ${Buffer.byteLength(json)}`,
+        'Connection: close',
+        '', json
+    ].join('\r\n'));
+}
@@ -0,0 +1,32 @@
+/**
+ * Response helpers shared by the public and admin routes
+ */
+
+// CORS headers
+export const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After',
+    'Content-Type': 'application/json'
+};
+
+export function jsonResponse(data, status = 200, extraHeaders = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: Object.assign({}, corsHeaders, extraHeaders)
+    });
+}
+
+// Every rejection carries a stable machine-readable code alongside the message
+export function errorResponse(code, message, status = 400) {
+    return jsonResponse({ error: message, code }, status);
+}
+
+export function rateLimitedResponse(retryAfter) {
+    return jsonResponse(
+        { error: `Too many requests. Try again in ${retryAfter}s`, code: 'RATE_LIMITED', retryAfter },
+        429,
+        { 'Retry-After': String(retryAfter) }
+    );
+}
@@ -0,0 +1,198 @@
+/**
+ * Player identities and name ownership
+ * Each device keeps a random secret. The worker never stores it; it derives
+ * an identity id from it (SHA-256) and remembers:
+ *
+ * - which identity owns each name (a NameClaim Durable Object per name key,
+ *   so two players grabbing the same name at once can't both win)
+ * - each identity's profile: current display name and the achievement
+ *   badges shown beside it (KV `identity:<id>`, written only by that
+ *   identity's own submissions)
+ *
+ * @typedef {Object} NameRegistry
+ * @property {(nameKey: string, id: string, legacyKey?: string) => Promise<boolean>} claim
+ *   true if the name is now (or already was) owned by `id`; a claim still
+ *   held under `legacyKey` moves to `nameKey` first
+ * @property {(nameKey: string, id: string, legacyKey?: string) => Promise<void>} release
+ *   give the name up, under either key, if `id` owns it
+ */
+
+import SpacePongNames from '../names.js';
+import { Serializer } from './storage.js';
+
+// Shared fallback name; never owned, so any number of players can use it
+export const DEFAULT_NAME = 'Anonymous';
+
+const encoder = new TextEncoder();
+
+export function isValidSecret(secret) {
+    return typeof secret === 'string' && /^[0-9a-f]{64}$/.test(secret);
+}
+
+export async function identityFromSecret(secret) {
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`identity:${secret}`));
+    return Array.from(new Uint8Array(hash).slice(0, 16))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Names are owned by how they look: "Neo", "NEO" and "Nеo" (Cyrillic е) are
+// all the same name, so nobody can pass as another player with a lookalike
+export function nameKey(name) {
+    return SpacePongNames.nameSkeleton(name);
+}
+
+// Claims made before nameKey() used skeletons were keyed by the lowercased
+// name. Where that differs from the skeleton, the claim is moved over the
+// next time its owner or anyone else submits under the name.
+export function legacyNameKey(name) {
+    return name.toLowerCase();
+}
+
+/**
+ * What the boards show for an identity.
+ * @returns {Promise<{name: string, badges: string[]} | null>} null before its first submission
+ */
+export async function loadProfile(kv, id) {
+    const record = await kv.get(`identity:${id}`, { type: 'json' });
+    return record ? { name: record.name, badges: record.badges || [] } : null;
+}
+
+export async function saveProfile(kv, id, profile, now) {
+    await kv.put(`identity:${id}`, JSON.stringify({
+        name: profile.name,
+        badges: profile.badges,
+        updated: new Date(now).toISOString()
+    }));
+}
+
+// ============================================
+// IN-MEMORY
+// ============================================
+
+export class MemoryNameRegistry {
+    constructor() {
+        this.owners = new Map();
+        this.serializer = new Serializer();
+    }
+
+    claim(key, id, legacyKey = key) {
+        return this.serializer.run(key, async () => {
+            let owner = this.owners.get(key);
+            if (legacyKey !== key) {
+                owner = owner || this.owners.get(legacyKey);
+                this.owners.delete(legacyKey);
+            }
+            if (owner && owner !== id) {
+                this.owners.set(key, owner);
+                return false;
+            }
+            this.owners.set(key, id);
+            return true;
+        });
+    }
+
+    release(key, id, legacyKey = key) {
+        return this.serializer.run(key, async () => {
+            [key, legacyKey].forEach(k => {
+                if (this.owners.get(k) === id) this.owners.delete(k);
+            });
+        });
+    }
+}
+
+// ============================================
+// DURABLE OBJECTS
+// ============================================
+
+export class DurableNameRegistry {
+    /**
+     * @param {DurableObjectNamespace} namespace - NAME_CLAIMS binding
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async call(key, action, body) {
+        const stub = this.namespace.get(this.namespace.idFromName(key));
+        const response = await stub.fetch(`https://name/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Name ${action} failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async claim(key, id, legacyKey = key) {
+        const body = legacyKey === key ? { id } : { id, legacyKey };
+        return (await this.call(key, 'claim', body)).claimed;
+    }
+
+    async release(key, id, legacyKey = key) {
+        await this.call(key, 'release', { id });
+        if (legacyKey !== key) await this.call(legacyKey, 'release', { id });
+    }
+
+    // Remove a name's owner and say who it was
+    async take(key) {
+        return (await this.call(key, 'take', {})).owner;
+    }
+}
+
+/**
+ * Durable Object guarding a single name. Claims and releases are serialized,
+ * so the check-then-set on the owner can't interleave. A claim that names a
+ * legacy key takes that key's owner over inside the same step, so two
+ * players racing on a name can't both get past the old claim.
+ */
+export class NameClaim {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.serializer = new Serializer();
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+        const { id, legacyKey } = await request.json();
+
+        const result = await this.serializer.run('name', async () => {
+            const owner = await this.state.storage.get('owner');
+
+            if (action === 'claim') {
+                const legacyOwner = legacyKey ?
+                    await new DurableNameRegistry(this.env.NAME_CLAIMS).take(legacyKey) : null;
+                const claimant = owner || legacyOwner || id;
+                if (claimant !== owner) await this.state.storage.put('owner', claimant);
+                return { claimed: claimant === id };
+            }
+            if (action === 'take') {
+                if (owner) await this.state.storage.delete('owner');
+                return { owner: owner || null };
+            }
+            if (action === 'release') {
+                if (owner === id) await this.state.storage.delete('owner');
+                return { released: owner === id };
+            }
+            return null;
+        });
+
+        if (!result) return new Response('Not found', { status: 404 });
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+/**
+ * Pick the name registry for this environment: an injected one (local
+ * harness), else the Durable Object binding.
+ * @returns {NameRegistry | null}
+ */
+export function createNameRegistry(env) {
+    if (env.NAME_REGISTRY) return env.NAME_REGISTRY;
+    if (env.NAME_CLAIMS) return new DurableNameRegistry(env.NAME_CLAIMS);
+    return null;
+}
@@ -4,57 +4,80 @@
  * 
  * SECRET_KEY is stored as a Cloudflare Worker secret (not in code)
  * Set via: wrangler secret put SECRET_KEY
+ *
+ * Scores are never taken on trust: each submission carries the run's replay,
+ * which is re-simulated with the same physics code the game uses.
+ *
+ * Players are anonymous identities (see identity.js): a name belongs to the
+ * first identity that submits under it, and boards track identities, not names.
+ * Achievements are judged on the verified replay too (see achievements.js).
+ *
+ * Online matches meet in lobbies under /api/lobby (see relay.js); the worker
+ * only hands out join codes and passes WebSockets to the lobby.
  */
 
-// Score validation: minimum seconds per point (based on game physics)
-// const MIN_SECONDS_PER_POINT = 1.5;
-
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Content-Type': 'application/json'
-};
-
-// Simple hash function for token signing
-async function hashToken(data, secretKey) {
-    const encoder = new TextEncoder();
-    const dataBuffer = encoder.encode(data + secretKey);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+import SpacePongSim from '../simulation.js';
+import SpacePongReplay from '../replay.js';
+import SpacePongNames from '../names.js';
+import { TOKEN_TTL_MS, createToken, verifyToken, createNonceRegistry } from './tokens.js';
+import { RateLimiter, loadRateLimits } from './ratelimit.js';
+import { WINDOWS, RANKED_DIFFICULTIES, boardKey, boardExpiry, parseBoardQuery } from './leaderboard.js';
+import { createBoardStore } from './storage.js';
+import { jsonResponse, errorResponse, rateLimitedResponse, corsHeaders } from './http.js';
+import {
+    DEFAULT_NAME, isValidSecret, identityFromSecret, nameKey, legacyNameKey,
+    loadProfile, saveProfile, createNameRegistry
+} from './identity.js';
+import { createRunObserver, recordRunAchievements } from './achievements.js';
+import { loadBlocklist, isNameBlocked, getBan, logSubmission } from './moderation.js';
+import { handleAdmin, isAdminPath } from './admin.js';
+import { createLobbyCode, parseLobbyJoin, createLobbyStore } from './relay.js';
+
+// Durable Object classes for the LEADERBOARD_BOARDS, NAME_CLAIMS and TOKEN_NONCES bindings
+export { LeaderboardBoard } from './storage.js';
+export { NameClaim } from './identity.js';
+export { TokenNonce } from './tokens.js';
+export { MatchLobby } from './relay.js';
+
+const { verifyReplay, ReplayError } = SpacePongReplay;
+const { normalizeName } = SpacePongNames;
+
+// Simulation ticks per real second
+const TICKS_PER_SECOND = SpacePongSim.SIM_CONFIG.TICK_RATE;
+
+// Allowance for clock skew and the launch → /api/start round trip
+const REPLAY_TIME_SLACK_MS = 5000;
+
+// Largest accepted submission body (an hour-long replay fits comfortably)
+const MAX_SUBMISSION_BYTES = 2 * 1024 * 1024;
+
+// Most neighbours /api/rank returns on each side of a player
+const MAX_RANK_RADIUS = 25;
+
+// Fresh join codes tried before giving up on opening a lobby
+const LOBBY_CODE_ATTEMPTS = 5;
+
+// Names follow the shared rules in names.js (any script, NFKC, 20 characters)
+function sanitizeName(name) {
+    return normalizeName(name) || DEFAULT_NAME;
 }
 
-// Generate game start token
-async function generateToken(timestamp, secretKey) {
-    const data = `start_${timestamp}`;
-    const hash = await hashToken(data, secretKey);
-    return `${timestamp}_${hash.substring(0, 16)}`;
-}
-
-// Validate token and extract start time
-async function validateToken(token, secretKey) {
-    if (!token || typeof token !== 'string') return null;
-
-    const parts = token.split('_');
-    if (parts.length !== 2) return null;
-
-    const timestamp = parseInt(parts[0]);
-    if (isNaN(timestamp)) return null;
-
-    // Verify hash
-    const expectedHash = (await hashToken(`start_${timestamp}`, secretKey)).substring(0, 16);
-    if (parts[1] !== expectedHash) return null;
-
-    return timestamp;
+// Session ids are opaque client-generated strings
+function isValidSession(session) {
+    return typeof session === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(session);
 }
 
 // Handle requests
 export default {
     async fetch(request, env) {
-        // Get secret from environment
-        const secretKey = env.SECRET_KEY || 'SUPER_SECRET_KEY';
+        // Refuse to run without a real signing key rather than fall back to a known one
+        const secretKey = env.SECRET_KEY;
+        const boards = createBoardStore(env);
+        const names = createNameRegistry(env);
+        const nonces = createNonceRegistry(env);
+        if (!secretKey || !boards || !names || !nonces) {
+            return errorResponse('SERVER_MISCONFIGURED', 'Server is not configured', 500);
+        }
 
         // Handle CORS preflight
         if (request.method === 'OPTIONS') {
@@ -64,148 +87,357 @@ export default {
         const url = new URL(request.url);
         const path = url.pathname;
 
+        // Local runs can inject a clock (see dev-server.js)
+        const clock = env.CLOCK || (() => Date.now());
+        const limiter = new RateLimiter(env.PONG_LEADERBOARD, loadRateLimits(env), clock);
+        const clientIp = request.headers.get('CF-Connecting-IP') || 'unknown';
+
         try {
-            // Start game - issue token
+            // Moderation endpoints (admin.js)
+            if (isAdminPath(path)) {
+                return await handleAdmin(request, env, { boards, limiter, clientIp, clock });
+            }
+
+            // Start game - issue a token bound to this session and run seed
             if (path === '/api/start' && request.method === 'POST') {
-                const timestamp = Date.now();
-                const token = await generateToken(timestamp, secretKey);
+                const limit = await limiter.check('start', { ip: clientIp });
+                if (!limit.allowed) return rateLimitedResponse(limit.retryAfter);
+
+                let body;
+                try {
+                    body = await request.json();
+                } catch (e) {
+                    return errorResponse('INVALID_START', 'Invalid start request');
+                }
+                const { session, seed } = body || {};
 
-                return new Response(JSON.stringify({
+                if (!isValidSession(session) || !Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+                    return errorResponse('INVALID_START', 'Invalid start request');
+                }
+
+                const timestamp = clock();
+                const token = await createToken({ session, seed, now: timestamp }, secretKey);
+
+                return jsonResponse({
                     token,
                     timestamp
-                }), { headers: corsHeaders });
+                });
             }
 
             // Submit score
             if (path === '/api/submit' && request.method === 'POST') {
-                const body = await request.json();
-                const { token, score, name } = body;
+                const ipLimit = await limiter.check('submit', { ip: clientIp });
+                if (!ipLimit.allowed) return rateLimitedResponse(ipLimit.retryAfter);
+
+                const contentLength = parseInt(request.headers.get('Content-Length') || '0', 10);
+                if (contentLength > MAX_SUBMISSION_BYTES) {
+                    return errorResponse('PAYLOAD_TOO_LARGE', 'Submission too large', 413);
+                }
+
+                let body;
+                try {
+                    body = await request.json();
+                } catch (e) {
+                    return errorResponse('INVALID_SUBMISSION', 'Invalid submission');
+                }
+                const { token, session, identity, score, name, replay, showAchievements } = body || {};
 
                 // Validate inputs
                 if (!token || typeof score !== 'number' || !name) {
-                    return new Response(JSON.stringify({
-                        error: 'Invalid submission'
-                    }), { status: 400, headers: corsHeaders });
-                }
-
-                // Validate token and get start time
-                const startTime = await validateToken(token, secretKey);
-                if (!startTime) {
-                    return new Response(JSON.stringify({
-                        error: 'Invalid token'
-                    }), { status: 400, headers: corsHeaders });
-                }
-
-                // Calculate game duration
-                const now = Date.now();
-                const durationSeconds = (now - startTime) / 1000;
-
-                // Score plausibility check
-                // const minDuration = score * MIN_SECONDS_PER_POINT;
-                // if (durationSeconds < minDuration) {
-                //     return new Response(JSON.stringify({
-                //         error: 'Score too fast'
-                //     }), { status: 400, headers: corsHeaders });
-                // }
-
-                // Token age check (max 1 hour)
-                if (now - startTime > 3600000) {
-                    return new Response(JSON.stringify({
-                        error: 'Token expired'
-                    }), { status: 400, headers: corsHeaders });
-                }
-
-                // Sanitize name (max 20 chars, alphanumeric + spaces)
-                const sanitizedName = name.toString()
-                    .substring(0, 20)
-                    .replace(/[^a-zA-Z0-9 _-]/g, '')
-                    .trim() || 'Anonymous';
-
-                // Get current leaderboard
-                let leaderboard = [];
+                    return errorResponse('INVALID_SUBMISSION', 'Invalid submission');
+                }
+                if (!isValidSecret(identity)) {
+                    return errorResponse('INVALID_IDENTITY', 'Submission has no valid player identity');
+                }
+                if (!replay) {
+                    return errorResponse('REPLAY_MISSING', 'Submission has no replay');
+                }
+                // Only classic runs are ranked; the other modes have no boards
+                if (replay.mode !== undefined) {
+                    return errorResponse('MODE_NOT_RANKED', 'Only classic runs go on the leaderboard');
+                }
+                // Every preset has its own boards; custom physics have none
+                if (replay.difficulty === 'custom') {
+                    return errorResponse('DIFFICULTY_NOT_RANKED', 'Custom physics runs are not ranked');
+                }
+
+                const sanitizedName = sanitizeName(name);
+                const claimable = nameKey(sanitizedName) !== nameKey(DEFAULT_NAME);
+
+                // Validate token signature
+                const claims = await verifyToken(token, secretKey);
+                if (!claims) {
+                    return errorResponse('INVALID_TOKEN', 'Invalid token');
+                }
+                const startTime = claims.issuedAt;
+
+                // Token age check (late, queued submissions are fine within the TTL)
+                const now = clock();
+                if (now - startTime > TOKEN_TTL_MS) {
+                    return errorResponse('TOKEN_EXPIRED', 'Token expired');
+                }
+
+                // The token only works for the session and run it was issued to
+                if (session !== claims.session) {
+                    return errorResponse('SESSION_MISMATCH', 'Token belongs to another session');
+                }
+                if (replay.seed !== claims.seed) {
+                    return errorResponse('SEED_MISMATCH', 'Replay is not the run this token was issued for');
+                }
+
+                // Each token backs exactly one submission; a spent one gets
+                // no further (no name claim on the strength of it)
+                if (await nonces.used(claims.nonce)) {
+                    return errorResponse('TOKEN_USED', 'Token already used');
+                }
+
+                // Re-run the replay; only the simulated score and metrics count
+                const run = createRunObserver();
+                let result;
                 try {
-                    const data = await env.PONG_LEADERBOARD.get('scores', { type: 'json' });
-                    if (data) leaderboard = data;
+                    result = verifyReplay(replay, { observe: run.observe });
                 } catch (e) {
-                    leaderboard = [];
+                    if (e instanceof ReplayError) {
+                        return errorResponse(e.code, e.message);
+                    }
+                    throw e;
                 }
 
-                // Check if player already exists and update if new score is higher
-                const existingIndex = leaderboard.findIndex(e =>
-                    e.name.toLowerCase() === sanitizedName.toLowerCase()
-                );
+                if (result.score !== score) {
+                    return errorResponse('SCORE_MISMATCH', 'Score does not match replay');
+                }
 
-                const newScore = Math.floor(score);
-
-                if (existingIndex >= 0) {
-                    // Player exists - only update if new score is higher
-                    if (newScore > leaderboard[existingIndex].score) {
-                        leaderboard[existingIndex].score = newScore;
-                        leaderboard[existingIndex].date = new Date().toISOString();
-                    } else {
-                        // Score not higher, return current rank
-                        leaderboard.sort((a, b) => b.score - a.score);
-                        const rank = leaderboard.findIndex(e =>
-                            e.name.toLowerCase() === sanitizedName.toLowerCase()
-                        ) + 1;
-                        return new Response(JSON.stringify({
-                            success: true,
-                            rank,
-                            message: `Your best is still ${leaderboard[existingIndex].score}. You're #${rank}`
-                        }), { headers: corsHeaders });
+                // The run can't have been played faster than real time
+                const playedMs = result.activeTicks / TICKS_PER_SECOND * 1000;
+                if (playedMs > now - startTime + REPLAY_TIME_SLACK_MS) {
+                    return errorResponse('REPLAY_TOO_FAST', 'Replay is longer than the time since game start');
+                }
+
+                if (result.score <= 0) {
+                    return errorResponse('NO_SCORE', 'No score to submit');
+                }
+
+                // Per-name limit, so one player can't be flooded from many
+                // addresses. Only runs that verified count against it, or
+                // forged submissions could use up a real player's allowance.
+                // Anonymous is shared by everyone, so it has none.
+                if (claimable) {
+                    const nameLimit = await limiter.check('submit', { name: nameKey(sanitizedName) });
+                    if (!nameLimit.allowed) return rateLimitedResponse(nameLimit.retryAfter);
+                }
+
+                // Moderation and the name claim come before burning the token,
+                // so a player who picked a refused name can rename and resubmit
+                const playerId = await identityFromSecret(identity);
+                if (await getBan(env.PONG_LEADERBOARD, 'id', playerId)) {
+                    return errorResponse('BANNED', 'This player is banned from the leaderboard', 403);
+                }
+                if (isNameBlocked(sanitizedName, loadBlocklist(env)) ||
+                    await getBan(env.PONG_LEADERBOARD, 'name', nameKey(sanitizedName))) {
+                    return errorResponse('NAME_BLOCKED', 'That name is not allowed');
+                }
+
+                if (claimable && !(await names.claim(nameKey(sanitizedName), playerId, legacyNameKey(sanitizedName)))) {
+                    return errorResponse('NAME_TAKEN', 'That name belongs to another player', 409);
+                }
+
+                // The run checks out; burn the token before touching the board.
+                // Only one of several submissions racing on it gets past here.
+                if (!(await nonces.consume(claims.nonce, startTime + TOKEN_TTL_MS))) {
+                    // Don't leave the loser holding a name it never played under
+                    const current = await loadProfile(env.PONG_LEADERBOARD, playerId);
+                    if (claimable && (!current || nameKey(current.name) !== nameKey(sanitizedName))) {
+                        await names.release(nameKey(sanitizedName), playerId);
                     }
-                } else {
-                    // New player - add to leaderboard
-                    leaderboard.push({
-                        name: sanitizedName,
-                        score: newScore,
-                        date: new Date().toISOString()
-                    });
+                    return errorResponse('TOKEN_USED', 'Token already used');
                 }
 
-                // Sort by score (descending) and keep top 100
-                leaderboard.sort((a, b) => b.score - a.score);
-                leaderboard = leaderboard.slice(0, 100);
+                const achievements = await recordRunAchievements(
+                    env.PONG_LEADERBOARD, playerId, run.metrics, now
+                );
 
-                // Save to KV
-                await env.PONG_LEADERBOARD.put('scores', JSON.stringify(leaderboard));
+                // Badges are only shown for players who ask for them
+                const profile = {
+                    name: sanitizedName,
+                    badges: showAchievements === true ? achievements.unlocked : []
+                };
+
+                // Profile change: current boards show the new name and badges,
+                // and a replaced name is freed
+                const previous = await loadProfile(env.PONG_LEADERBOARD, playerId);
+                if (!previous || previous.name !== profile.name ||
+                    previous.badges.join(',') !== profile.badges.join(',')) {
+                    await saveProfile(env.PONG_LEADERBOARD, playerId, profile, now);
+                    if (previous) {
+                        for (const difficulty of RANKED_DIFFICULTIES) {
+                            for (const window of WINDOWS) {
+                                await boards.updatePlayer(boardKey(window, now, difficulty), playerId, profile);
+                            }
+                        }
+                        const previousKey = nameKey(previous.name);
+                        if (previousKey !== nameKey(sanitizedName) && previousKey !== nameKey(DEFAULT_NAME)) {
+                            await names.release(previousKey, playerId, legacyNameKey(previous.name));
+                        }
+                    }
+                }
 
-                // Return rank
-                const rank = leaderboard.findIndex(e =>
-                    e.name === sanitizedName && e.score === Math.floor(score)
-                ) + 1;
+                // Record on every time window of the run's difficulty; each
+                // keeps the player's best
+                const entry = {
+                    id: playerId,
+                    name: sanitizedName,
+                    score: result.score,
+                    date: new Date(now).toISOString(),
+                    badges: profile.badges
+                };
+                const ranks = {};
+                let allTime = null;
+
+                for (const window of WINDOWS) {
+                    const outcome = await boards.submit(
+                        boardKey(window, now, result.difficulty), window, entry, boardExpiry(window, now)
+                    );
+                    ranks[window] = outcome.rank;
+                    if (window === 'all') allTime = outcome;
+                }
 
-                return new Response(JSON.stringify({
+                // Kept a while so moderators can review recent runs
+                await logSubmission(env.PONG_LEADERBOARD, {
+                    id: playerId,
+                    name: sanitizedName,
+                    score: result.score,
+                    ticks: result.ticks,
+                    activeTicks: result.activeTicks,
+                    seed: claims.seed,
+                    difficulty: result.difficulty,
+                    session,
+                    startedAt: new Date(startTime).toISOString(),
+                    ip: clientIp,
+                    country: (request.cf && request.cf.country) || null,
+                    userAgent: request.headers.get('User-Agent'),
+                    improved: allTime.improved,
+                    ranks,
+                    achievements: achievements.newly
+                }, now);
+
+                const rank = ranks.all;
+                let message;
+                if (!allTime.improved && rank) {
+                    message = `Your best is still ${allTime.best}. You're #${rank}`;
+                } else if (rank) {
+                    message = rank <= 10 ? 'You made the top 10!' : `You ranked #${rank}`;
+                } else {
+                    message = 'Score submitted!';
+                }
+
+                return jsonResponse({
                     success: true,
+                    difficulty: result.difficulty,
                     rank,
-                    message: rank <= 10 ? 'You made the top 10!' : `You ranked #${rank}`
-                }), { headers: corsHeaders });
+                    ranks,
+                    message,
+                    achievements: achievements.unlocked,
+                    newAchievements: achievements.newly
+                });
             }
 
-            // Get leaderboard
+            // Get leaderboard page: ?window=daily|weekly|monthly|all&difficulty=&offset=&limit=
             if (path === '/api/leaderboard' && request.method === 'GET') {
-                let leaderboard = [];
-                try {
-                    const data = await env.PONG_LEADERBOARD.get('scores', { type: 'json' });
-                    if (data) leaderboard = data.slice(0, 10);
-                } catch (e) {
-                    leaderboard = [];
+                const limit = await limiter.check('leaderboard', { ip: clientIp });
+                if (!limit.allowed) return rateLimitedResponse(limit.retryAfter);
+
+                const query = parseBoardQuery(url.searchParams);
+                if (!query) {
+                    return errorResponse('INVALID_QUERY', 'Invalid window, difficulty, offset or limit');
                 }
 
-                return new Response(JSON.stringify({
-                    leaderboard
-                }), { headers: corsHeaders });
+                const result = await boards.page(
+                    boardKey(query.window, clock(), query.difficulty), query.offset, query.limit
+                );
+
+                return jsonResponse({
+                    window: query.window,
+                    difficulty: query.difficulty,
+                    offset: query.offset,
+                    limit: query.limit,
+                    total: result.total,
+                    leaderboard: result.entries
+                });
+            }
+
+            // Look up a player's rank and neighbours: ?name=&window=&difficulty=&radius=
+            if (path === '/api/rank' && request.method === 'GET') {
+                const limit = await limiter.check('rank', { ip: clientIp });
+                if (!limit.allowed) return rateLimitedResponse(limit.retryAfter);
+
+                const query = parseBoardQuery(url.searchParams);
+                const name = url.searchParams.get('name');
+                const radius = url.searchParams.has('radius') ? Number(url.searchParams.get('radius')) : 5;
+                if (!query || !name || !Number.isInteger(radius) || radius < 0 || radius > MAX_RANK_RADIUS) {
+                    return errorResponse('INVALID_QUERY', 'Invalid name, window, difficulty or radius');
+                }
+
+                const found = await boards.rank(
+                    boardKey(query.window, clock(), query.difficulty), sanitizeName(name), radius
+                );
+                if (!found) {
+                    return errorResponse('NOT_RANKED', 'Player is not on this board', 404);
+                }
+
+                return jsonResponse({
+                    window: query.window,
+                    difficulty: query.difficulty,
+                    total: found.total,
+                    rank: found.rank,
+                    entry: found.entry,
+                    nearby: found.nearby
+                });
+            }
+
+            // Open an online match lobby and hand out its join code
+            if (path === '/api/lobby' && request.method === 'POST') {
+                const lobbies = createLobbyStore(env);
+                if (!lobbies) {
+                    return errorResponse('ONLINE_DISABLED', 'Online play is not set up', 404);
+                }
+                const limit = await limiter.check('lobby', { ip: clientIp });
+                if (!limit.allowed) return rateLimitedResponse(limit.retryAfter);
+
+                for (let attempt = 0; attempt < LOBBY_CODE_ATTEMPTS; attempt++) {
+                    const code = createLobbyCode();
+                    if (await lobbies.create(code)) {
+                        return jsonResponse({ code });
+                    }
+                }
+                return errorResponse('LOBBY_UNAVAILABLE', 'Could not open a lobby, try again', 503);
+            }
+
+            // Join a lobby: a WebSocket upgrade on /api/lobby/<code>?role=host|guest
+            const join = request.method === 'GET' ? parseLobbyJoin(url) : null;
+            if (join) {
+                const lobbies = createLobbyStore(env);
+                if (!lobbies) {
+                    return errorResponse('ONLINE_DISABLED', 'Online play is not set up', 404);
+                }
+                const limit = await limiter.check('join', { ip: clientIp });
+                if (!limit.allowed) return rateLimitedResponse(limit.retryAfter);
+
+                if (join.error) {
+                    return errorResponse(join.error.code, join.error.message, join.error.status);
+                }
+                if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') {
+                    return errorResponse('UPGRADE_REQUIRED', 'Lobbies are joined over a WebSocket', 426);
+                }
+                return await lobbies.connect(join.code, join.role, request);
             }
 
             // 404 for unknown routes
-            return new Response(JSON.stringify({
-                error: 'Not found'
-            }), { status: 404, headers: corsHeaders });
+            return errorResponse('NOT_FOUND', 'Not found', 404);
 
         } catch (error) {
-            return new Response(JSON.stringify({
-                error: 'Server error'
-            }), { status: 500, headers: corsHeaders });
+            // The client only gets a generic 500; keep the cause in the logs
+            console.error(`${request.method} ${path} failed:`, error);
+            return errorResponse('SERVER_ERROR', 'Server error', 500);
         }
     }
 };
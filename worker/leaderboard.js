@@ -0,0 +1,256 @@
+/**
+ * Leaderboard boards
+ * One board per ranked difficulty and time window. Each board is a
+ * score-sorted array of every player identity's best in that window, shown
+ * under its current name. Daily, weekly and monthly boards are keyed by
+ * their UTC period and expire after it ends, so they roll over on their own;
+ * the normal all-time board keeps the legacy `scores` key, and the other
+ * difficulties prefix theirs with the difficulty.
+ *
+ * This module is pure board logic; storage.js decides where boards live.
+ */
+
+import { nameKey } from './identity.js';
+
+export const WINDOWS = ['daily', 'weekly', 'monthly', 'all'];
+
+// Difficulty presets with boards of their own (simulation.js DIFFICULTIES;
+// custom physics aren't ranked)
+export const RANKED_DIFFICULTIES = ['normal', 'chill', 'singularity'];
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Players kept per board. Large enough that /api/rank works far past the
+// visible top 10, small enough to load and save as a single value.
+export const BOARD_CAPACITY = {
+    daily: 1000,
+    weekly: 2000,
+    monthly: 5000,
+    all: 5000
+};
+
+export const MAX_PAGE_SIZE = 50;
+
+const DAY_MS = 86400000;
+
+// Keep finished period boards around for a day so late readers still see them
+const EXPIRY_GRACE_MS = DAY_MS;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// Start and end (exclusive) of the UTC period containing `now`
+function periodBounds(window, now) {
+    const date = new Date(now);
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const d = date.getUTCDate();
+
+    if (window === 'daily') {
+        const start = Date.UTC(y, m, d);
+        return { start, end: start + DAY_MS };
+    }
+    if (window === 'weekly') {
+        // Weeks start on Monday
+        const start = Date.UTC(y, m, d) - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+        return { start, end: start + 7 * DAY_MS };
+    }
+    return { start: Date.UTC(y, m, 1), end: Date.UTC(y, m + 1, 1) };
+}
+
+export function boardKey(window, now, difficulty = DEFAULT_DIFFICULTY) {
+    const prefix = difficulty === DEFAULT_DIFFICULTY ? 'scores' : `scores:${difficulty}`;
+    if (window === 'all') return prefix;
+
+    const start = new Date(periodBounds(window, now).start);
+    const day = `${start.getUTCFullYear()}-${pad(start.getUTCMonth() + 1)}-${pad(start.getUTCDate())}`;
+    return `${prefix}:${window}:${day}`;
+}
+
+// When a board's storage can be dropped (ms), or null for the all-time board
+export function boardExpiry(window, now) {
+    if (window === 'all') return null;
+    return periodBounds(window, now).end + EXPIRY_GRACE_MS;
+}
+
+// Lookalike names are one name, as they are for claims and bans
+function sameName(a, b) {
+    return nameKey(a) === nameKey(b);
+}
+
+// Entries recorded before identities existed have no id; the first identity
+// to submit under that name (which it must own by then) adopts them
+function findEntry(board, id, name) {
+    return board.find(e => e.id === id) ||
+        board.find(e => !e.id && sameName(e.name, name));
+}
+
+/**
+ * Record a score on a board, keeping only each identity's best.
+ * Sorts and trims the board in place.
+ * @param {{id: string, name: string, score: number, date: string, badges?: string[]}} entry
+ * @returns {boolean} true if the score improved
+ */
+export function recordScore(board, window, entry) {
+    const existing = findEntry(board, entry.id, entry.name);
+
+    if (existing) {
+        // Player exists - only update if new score is higher
+        if (entry.score <= existing.score) return false;
+        existing.id = entry.id;
+        existing.name = entry.name;
+        existing.score = entry.score;
+        existing.date = entry.date;
+        setBadges(existing, entry.badges);
+    } else {
+        const added = Object.assign({}, entry);
+        setBadges(added, entry.badges);
+        board.push(added);
+    }
+
+    board.sort((a, b) => b.score - a.score);
+    board.length = Math.min(board.length, BOARD_CAPACITY[window]);
+    return true;
+}
+
+// Entries only carry badges when there are some to show
+function setBadges(entry, badges) {
+    if (badges && badges.length > 0) entry.badges = badges.slice();
+    else delete entry.badges;
+}
+
+function sameBadges(a, b) {
+    return (a || []).join(',') === (b || []).join(',');
+}
+
+/**
+ * Show an identity's entry with its current profile (display name and
+ * achievement badges).
+ * @param {{name: string, badges: string[]}} profile
+ * @returns {boolean} true if the board changed
+ */
+export function updatePlayer(board, id, profile) {
+    const entry = board.find(e => e.id === id);
+    if (!entry || (entry.name === profile.name && sameBadges(entry.badges, profile.badges))) return false;
+    entry.name = profile.name;
+    setBadges(entry, profile.badges);
+    return true;
+}
+
+// Identity ids stay server-side; readers only see the display name and badges
+function withRank(entry, index) {
+    const shown = { rank: index + 1, name: entry.name, score: entry.score, date: entry.date };
+    if (entry.badges) shown.badges = entry.badges;
+    return shown;
+}
+
+// Moderated entries stay on the board but drop out of every public view
+export function visibleEntries(board) {
+    return board.filter(e => !e.hidden);
+}
+
+export function page(board, offset, limit) {
+    return visibleEntries(board)
+        .slice(offset, offset + limit)
+        .map((entry, i) => withRank(entry, offset + i));
+}
+
+function rankAt(visible, index, radius) {
+    if (index < 0) return null;
+
+    const start = Math.max(0, index - radius);
+    return {
+        rank: index + 1,
+        entry: withRank(visible[index], index),
+        nearby: page(visible, start, index + radius + 1 - start)
+    };
+}
+
+/**
+ * Find a player by display name and the entries around them.
+ * @returns {{rank: number, entry: Object, nearby: Object[]} | null}
+ */
+export function findRank(board, name, radius) {
+    const visible = visibleEntries(board);
+    return rankAt(visible, visible.findIndex(e => sameName(e.name, name)), radius);
+}
+
+// Same as findRank, by identity id
+export function findPlayer(board, id, radius) {
+    const visible = visibleEntries(board);
+    return rankAt(visible, visible.findIndex(e => e.id === id), radius);
+}
+
+// ============================================
+// MODERATION
+// ============================================
+
+/**
+ * Admin view of a board: hidden entries included, with identity ids.
+ * `rank` is the public rank, or null for hidden entries.
+ */
+export function adminPage(board, offset, limit) {
+    let rank = board.slice(0, offset).filter(e => !e.hidden).length;
+    return board.slice(offset, offset + limit).map(entry => ({
+        rank: entry.hidden ? null : ++rank,
+        id: entry.id || null,
+        name: entry.name,
+        score: entry.score,
+        date: entry.date,
+        hidden: Boolean(entry.hidden)
+    }));
+}
+
+/**
+ * Entries an admin action applies to: by identity id, or by name for
+ * entries that predate identities.
+ * @param {{id?: string, name?: string}} target
+ */
+export function matchesTarget(entry, target) {
+    if (target.id) return entry.id === target.id;
+    return sameName(entry.name, target.name);
+}
+
+/**
+ * Hide or unhide the target's entries in place.
+ * @returns {Object[]} the entries whose visibility changed
+ */
+export function setHidden(board, target, hidden) {
+    return board.filter(e => matchesTarget(e, target) && Boolean(e.hidden) !== hidden)
+        .map(e => {
+            if (hidden) e.hidden = true;
+            else delete e.hidden;
+            return Object.assign({}, e);
+        });
+}
+
+/**
+ * Remove the target's entries from the board in place.
+ * @returns {Object[]} the removed entries
+ */
+export function removeEntries(board, target) {
+    const removed = board.filter(e => matchesTarget(e, target));
+    const kept = board.filter(e => !matchesTarget(e, target));
+    board.length = 0;
+    kept.forEach(e => board.push(e));
+    return removed.map(e => Object.assign({}, e));
+}
+
+/**
+ * Parse ?window=&difficulty=&offset=&limit= with defaults.
+ * @returns {{window: string, difficulty: string, offset: number, limit: number} | null} null if invalid
+ */
+export function parseBoardQuery(params, defaultLimit = 10) {
+    const window = params.get('window') || 'all';
+    const difficulty = params.get('difficulty') || DEFAULT_DIFFICULTY;
+    const offset = params.has('offset') ? Number(params.get('offset')) : 0;
+    const limit = params.has('limit') ? Number(params.get('limit')) : defaultLimit;
+
+    if (!WINDOWS.includes(window)) return null;
+    if (!RANKED_DIFFICULTIES.includes(difficulty)) return null;
+    if (!Number.isInteger(offset) || offset < 0) return null;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return null;
+
+    return { window, difficulty, offset, limit };
+}
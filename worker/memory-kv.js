@@ -0,0 +1,69 @@
+/**
+ * In-memory stand-in for a Workers KV namespace
+ * Implements the parts of the KV API the worker uses (get/put/delete/list,
+ * expirationTtl) so storage code can run under plain Node without Cloudflare.
+ * Unlike real KV it is strongly consistent and lives only as long as the process.
+ */
+
+export class MemoryKV {
+    /**
+     * @param {() => number} [clock] - returns the current time in ms
+     */
+    constructor(clock = () => Date.now()) {
+        this.clock = clock;
+        this.entries = new Map();
+    }
+
+    isExpired(entry) {
+        return entry.expiresAt !== null && entry.expiresAt <= this.clock();
+    }
+
+    async get(key, options = {}) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (this.isExpired(entry)) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        const type = typeof options === 'string' ? options : options.type;
+        return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    }
+
+    async put(key, value, options = {}) {
+        let expiresAt = null;
+        if (options.expirationTtl) {
+            expiresAt = this.clock() + options.expirationTtl * 1000;
+        } else if (options.expiration) {
+            expiresAt = options.expiration * 1000;
+        }
+        this.entries.set(key, { value: String(value), expiresAt });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async list(options = {}) {
+        const prefix = options.prefix || '';
+        const limit = options.limit || 1000;
+        const start = options.cursor ? parseInt(options.cursor, 10) : 0;
+
+        const names = [...this.entries.keys()]
+            .filter(name => name.startsWith(prefix) && !this.isExpired(this.entries.get(name)))
+            .sort();
+        const page = names.slice(start, start + limit);
+        const complete = start + limit >= names.length;
+
+        return {
+            keys: page.map(name => {
+                const entry = this.entries.get(name);
+                return entry.expiresAt === null
+                    ? { name }
+                    : { name, expiration: Math.floor(entry.expiresAt / 1000) };
+            }),
+            list_complete: complete,
+            cursor: complete ? undefined : String(start + limit)
+        };
+    }
+}
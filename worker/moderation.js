@@ -0,0 +1,160 @@
+/**
+ * Moderation
+ * - Name filter: a blocklist applied on top of the rules in names.js
+ * - Bans on identities and names, kept in KV (`ban:id:<id>`, `ban:name:<name>`)
+ * - Append-only logs in KV, newest first: the admin audit log (`audit:`) and
+ *   recent accepted submissions (`submission:`)
+ */
+
+import SpacePongNames from '../names.js';
+
+// Blocked name terms. A plain term matches anywhere in the name, even
+// across spaces and symbols, so it must be one no real name or word
+// contains. A term starting with "=" only matches a whole word; most terms
+// are also parts of harmless names ("Ignazio", "Scunthorpe", "Pornchai",
+// "Tina Zimmer") or words ("class", "grape"). Extend with the NAME_BLOCKLIST
+// environment variable (comma-separated, same syntax).
+export const DEFAULT_BLOCKED_TERMS = [
+    'fuck', 'nigger', 'nigga', 'faggot',
+    '=shit', '=cunt', '=bitch', '=whore', '=slut', '=porn', '=retard', '=nazi', '=hitler',
+    '=ass', '=dick', '=cock', '=cum', '=tits', '=anal', '=sex', '=rape', '=fag'
+];
+
+// Submissions are kept for review this long
+const SUBMISSION_LOG_TTL_SECONDS = 30 * 86400;
+
+// Deleted entries can be restored for this long
+const DELETED_ENTRY_TTL_SECONDS = 90 * 86400;
+
+// Log keys sort newest first: KV lists keys in ascending order
+const LOG_KEY_BASE = 1e13;
+
+// Digits commonly standing in for letters
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g' };
+
+// Accents, styled letters and Cyrillic/Greek lookalikes fold to plain Latin
+function normalizeForFilter(name) {
+    return SpacePongNames.foldName(name).replace(/[0-9]/g, d => LOOKALIKES[d] || d);
+}
+
+// "fuck" → /f+u+c+k+/ so stretched spellings ("fuuuck") still match
+function termPattern(term) {
+    return Array.from(term).map(c => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '+').join('');
+}
+
+/**
+ * Compile the blocklist for this environment.
+ * @returns {{anywhere: RegExp[], words: RegExp[]}}
+ */
+export function loadBlocklist(env) {
+    let terms = DEFAULT_BLOCKED_TERMS;
+    if (env.NAME_BLOCKLIST) {
+        terms = terms.concat(String(env.NAME_BLOCKLIST).split(','));
+    }
+
+    const blocklist = { anywhere: [], words: [] };
+    terms.map(t => normalizeForFilter(t.trim())).filter(t => t && t !== '=').forEach(term => {
+        if (term.startsWith('=')) {
+            blocklist.words.push(new RegExp(`^${termPattern(term.slice(1))}$`, 'u'));
+        } else {
+            blocklist.anywhere.push(new RegExp(termPattern(term), 'u'));
+        }
+    });
+    return blocklist;
+}
+
+export function isNameBlocked(name, blocklist) {
+    const normalized = normalizeForFilter(name);
+    const joined = normalized.replace(/[^\p{L}]/gu, '');
+    const words = normalized.split(/[^\p{L}]+/u).filter(Boolean);
+
+    return blocklist.anywhere.some(re => re.test(joined)) ||
+        blocklist.words.some(re => words.some(word => re.test(word)));
+}
+
+// ============================================
+// BANS
+// ============================================
+
+// kind: 'id' (identity) or 'name' (nameKey() in identity.js, so lookalikes share a ban)
+function banKey(kind, value) {
+    return `ban:${kind}:${value}`;
+}
+
+export async function getBan(kv, kind, value) {
+    return kv.get(banKey(kind, value), { type: 'json' });
+}
+
+export async function setBan(kv, kind, value, reason, now) {
+    await kv.put(banKey(kind, value), JSON.stringify({
+        kind,
+        value,
+        reason: reason || null,
+        at: new Date(now).toISOString()
+    }));
+}
+
+export async function clearBan(kv, kind, value) {
+    await kv.delete(banKey(kind, value));
+}
+
+export async function listBans(kv, limit, cursor) {
+    const page = await kv.list({ prefix: 'ban:', limit, cursor });
+    const bans = await Promise.all(page.keys.map(k => kv.get(k.name, { type: 'json' })));
+    return { bans: bans.filter(Boolean), cursor: page.list_complete ? null : page.cursor };
+}
+
+// ============================================
+// DELETED ENTRIES
+// ============================================
+
+function deletedKey(board, ref) {
+    return `deleted:${board}:${ref}`;
+}
+
+export async function saveDeleted(kv, board, ref, window, entries) {
+    await kv.put(deletedKey(board, ref), JSON.stringify({ window, entries }), {
+        expirationTtl: DELETED_ENTRY_TTL_SECONDS
+    });
+}
+
+// Returns and forgets the entries deleted from a board, if any
+export async function takeDeleted(kv, board, ref) {
+    const saved = await kv.get(deletedKey(board, ref), { type: 'json' });
+    if (saved) await kv.delete(deletedKey(board, ref));
+    return saved;
+}
+
+// ============================================
+// LOGS
+// ============================================
+
+async function appendLog(kv, prefix, record, now, options = {}) {
+    const order = String(LOG_KEY_BASE - now).padStart(13, '0');
+    const unique = Math.random().toString(36).slice(2, 10);
+    await kv.put(`${prefix}:${order}:${unique}`, JSON.stringify(record), options);
+}
+
+async function readLog(kv, prefix, limit, cursor) {
+    const page = await kv.list({ prefix: `${prefix}:`, limit, cursor });
+    const records = await Promise.all(page.keys.map(k => kv.get(k.name, { type: 'json' })));
+    return { records: records.filter(Boolean), cursor: page.list_complete ? null : page.cursor };
+}
+
+export function recordAudit(kv, record, now) {
+    return appendLog(kv, 'audit', Object.assign({ at: new Date(now).toISOString() }, record), now);
+}
+
+export function listAudit(kv, limit, cursor) {
+    return readLog(kv, 'audit', limit, cursor);
+}
+
+export function logSubmission(kv, record, now) {
+    return appendLog(kv, 'submission', Object.assign({ at: new Date(now).toISOString() }, record), now, {
+        expirationTtl: SUBMISSION_LOG_TTL_SECONDS
+    });
+}
+
+export function listSubmissions(kv, limit, cursor) {
+    return readLog(kv, 'submission', limit, cursor);
+}
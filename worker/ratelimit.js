@@ -0,0 +1,128 @@
+/**
+ * Sliding-window rate limiting
+ * Each (action, scope, id) keeps the timestamps of its recent requests; a
+ * request is allowed while fewer than `limit` of them fall inside the window.
+ *
+ * State lives behind a tiny store interface - the subset of the Workers KV
+ * API below - so the same limiter runs against KV in production and against
+ * MemoryKV (memory-kv.js) locally. KV is eventually consistent, so limits are
+ * approximate across edge locations; they are meant to stop floods, not to
+ * count exactly.
+ *
+ * @typedef {Object} LimitStore
+ * @property {(key: string, options: {type: 'json'}) => Promise<any>} get
+ * @property {(key: string, value: string, options?: {expirationTtl?: number}) => Promise<void>} put
+ */
+
+// Requests allowed per window, per action and scope. Override any part with
+// the RATE_LIMITS environment variable (JSON of the same shape).
+export const DEFAULT_RATE_LIMITS = {
+    start: {
+        ip: { limit: 30, windowMs: 60000 }
+    },
+    submit: {
+        ip: { limit: 10, windowMs: 60000 },
+        name: { limit: 5, windowMs: 300000 }
+    },
+    leaderboard: {
+        ip: { limit: 60, windowMs: 60000 }
+    },
+    rank: {
+        ip: { limit: 30, windowMs: 60000 }
+    },
+    admin: {
+        ip: { limit: 60, windowMs: 60000 }
+    },
+    lobby: {
+        ip: { limit: 10, windowMs: 60000 }
+    },
+    join: {
+        ip: { limit: 20, windowMs: 60000 }
+    }
+};
+
+// Workers KV refuses expirations shorter than a minute
+const MIN_KV_TTL_SECONDS = 60;
+
+export function loadRateLimits(env) {
+    const limits = JSON.parse(JSON.stringify(DEFAULT_RATE_LIMITS));
+    if (!env.RATE_LIMITS) return limits;
+
+    try {
+        const overrides = typeof env.RATE_LIMITS === 'string'
+            ? JSON.parse(env.RATE_LIMITS)
+            : env.RATE_LIMITS;
+        Object.keys(overrides).forEach(action => {
+            limits[action] = Object.assign({}, limits[action], overrides[action]);
+        });
+    } catch (e) {
+        console.warn('Ignoring invalid RATE_LIMITS:', e);
+    }
+    return limits;
+}
+
+export class RateLimiter {
+    /**
+     * @param {LimitStore} store
+     * @param {Object} limits - see DEFAULT_RATE_LIMITS
+     * @param {() => number} [clock] - returns the current time in ms
+     */
+    constructor(store, limits = DEFAULT_RATE_LIMITS, clock = () => Date.now()) {
+        this.store = store;
+        this.limits = limits;
+        this.clock = clock;
+    }
+
+    /**
+     * Count a request against one limit.
+     * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in
+     *   whole seconds until the oldest counted request leaves the window
+     */
+    async hit(action, scope, id) {
+        const rule = this.limits[action] && this.limits[action][scope];
+        if (!rule || !id) return { allowed: true, retryAfter: 0 };
+
+        const key = `ratelimit:${action}:${scope}:${id}`;
+        const now = this.clock();
+        const windowStart = now - rule.windowMs;
+
+        let hits = [];
+        try {
+            const data = await this.store.get(key, { type: 'json' });
+            if (Array.isArray(data)) hits = data.filter(t => t > windowStart);
+        } catch (e) {
+            hits = [];
+        }
+
+        if (hits.length >= rule.limit) {
+            return {
+                allowed: false,
+                retryAfter: Math.max(1, Math.ceil((hits[0] + rule.windowMs - now) / 1000))
+            };
+        }
+
+        // KV takes about one write a second per key; quick repeats that it
+        // refuses go uncounted rather than fail the request
+        hits.push(now);
+        try {
+            await this.store.put(key, JSON.stringify(hits), {
+                expirationTtl: Math.max(MIN_KV_TTL_SECONDS, Math.ceil(rule.windowMs / 1000))
+            });
+        } catch (e) {
+            console.warn(`Rate limit ${key} not counted:`, e);
+        }
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    /**
+     * Count a request against several scopes at once, e.g. { ip, name }.
+     * Stops at the first limit that is exceeded.
+     */
+    async check(action, ids) {
+        for (const scope of Object.keys(ids)) {
+            const result = await this.hit(action, scope, ids[scope]);
+            if (!result.allowed) return result;
+        }
+        return { allowed: true, retryAfter: 0 };
+    }
+}
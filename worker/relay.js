@@ -0,0 +1,309 @@
+/**
+ * Online match relay
+ * Two browsers playing each other online meet in a lobby named by a short
+ * join code. The relay doesn't run the game: the host's browser owns the
+ * simulation (see netplay.js), and the lobby only passes messages between
+ * the host's and the guest's WebSockets.
+ *
+ * - MatchLobby: production. One Durable Object per join code holds the
+ *   lobby and both sockets.
+ * - MemoryLobbyStore: same lobbies in a single process, for the dev server.
+ *
+ * Plain Node can't answer a fetch with a 101, so under the dev server
+ * sockets join through MemoryLobbyStore.join from its upgrade handler
+ * instead of connect().
+ *
+ * @typedef {Object} LobbyStore
+ * @property {(code: string) => Promise<boolean>} create
+ *   open a lobby under `code`; false if that code is in use
+ * @property {(code: string, role: string, request: Request) => Promise<Response>} connect
+ *   seat the WebSocket upgrade `request` in the lobby as `role`
+ *
+ * @typedef {{code: string, message: string, status: number}} LobbyError
+ */
+
+import { errorResponse } from './http.js';
+
+// Join codes skip 0/O and 1/I so they can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+export const LOBBY_ROLES = ['host', 'guest'];
+
+// A lobby nobody is connected to closes this long after its last activity
+export const LOBBY_IDLE_MS = 15 * 60 * 1000;
+
+// Largest message passed on; game messages are a few hundred bytes
+const MAX_MESSAGE_LENGTH = 4096;
+
+export function createLobbyCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+export function isValidLobbyCode(code) {
+    return typeof code === 'string' && code.length === CODE_LENGTH &&
+        Array.from(code).every(c => CODE_ALPHABET.includes(c));
+}
+
+/**
+ * Read `/api/lobby/<code>?role=` off a join request.
+ * @returns {{code: string, role: string} | {error: LobbyError} | null}
+ *   null if the path isn't a lobby's
+ */
+export function parseLobbyJoin(url) {
+    const match = /^\/api\/lobby\/([^/]+)$/.exec(url.pathname);
+    if (!match) return null;
+
+    const code = match[1].toUpperCase();
+    const role = url.searchParams.get('role');
+    if (!isValidLobbyCode(code)) {
+        return { error: { code: 'INVALID_LOBBY', message: 'Invalid join code', status: 400 } };
+    }
+    if (!LOBBY_ROLES.includes(role)) {
+        return { error: { code: 'INVALID_ROLE', message: 'Role must be host or guest', status: 400 } };
+    }
+    return { code, role };
+}
+
+const NOT_FOUND = { code: 'LOBBY_NOT_FOUND', message: 'No open lobby with that code', status: 404 };
+
+function send(socket, message) {
+    try {
+        socket.send(JSON.stringify(message));
+    } catch (e) {
+        // Already closing; its close handler tidies up
+    }
+}
+
+/**
+ * One lobby: a host seat and a guest seat. Either player can drop and
+ * rejoin their seat while the lobby is open. Players hear about each other
+ * from the relay itself:
+ *
+ *   { type: 'welcome', role, peer }  - on joining; peer is whether the other seat is taken
+ *   { type: 'peer', connected }      - the other player joined or left
+ *
+ * Everything a player sends is passed on to the other one untouched.
+ */
+export class Lobby {
+    /**
+     * @param {number} expiresAt - when the lobby closes if nobody joins
+     * @param {() => number} clock - returns the current time in ms
+     */
+    constructor(expiresAt, clock) {
+        this.expiresAt = expiresAt;
+        this.clock = clock;
+        this.sockets = { host: null, guest: null };
+    }
+
+    get empty() {
+        return !this.sockets.host && !this.sockets.guest;
+    }
+
+    get expired() {
+        return this.empty && this.clock() >= this.expiresAt;
+    }
+
+    /**
+     * Why a socket can't take `role` now.
+     * @returns {LobbyError | null} null if it can
+     */
+    admit(role) {
+        if (this.expired) return NOT_FOUND;
+        if (this.sockets[role]) {
+            return { code: 'LOBBY_FULL', message: `This lobby already has a ${role}`, status: 409 };
+        }
+        return null;
+    }
+
+    // Seat an accepted socket; admit() must have said yes
+    attach(role, socket) {
+        const peerRole = role === 'host' ? 'guest' : 'host';
+        this.sockets[role] = socket;
+        this.expiresAt = this.clock() + LOBBY_IDLE_MS;
+
+        socket.addEventListener('message', (event) => {
+            const peer = this.sockets[peerRole];
+            if (this.sockets[role] !== socket || !peer) return;
+            if (typeof event.data !== 'string' || event.data.length > MAX_MESSAGE_LENGTH) return;
+            try {
+                peer.send(event.data);
+            } catch (e) {
+                // Peer is closing; its close handler tells this player
+            }
+        });
+
+        const leave = () => this.detach(role, socket);
+        socket.addEventListener('close', leave);
+        socket.addEventListener('error', leave);
+
+        const peer = this.sockets[peerRole];
+        send(socket, { type: 'welcome', role, peer: Boolean(peer) });
+        if (peer) send(peer, { type: 'peer', connected: true });
+    }
+
+    detach(role, socket) {
+        if (this.sockets[role] !== socket) return;
+        this.sockets[role] = null;
+        this.expiresAt = this.clock() + LOBBY_IDLE_MS;
+
+        const peer = this.sockets[role === 'host' ? 'guest' : 'host'];
+        if (peer) send(peer, { type: 'peer', connected: false });
+    }
+}
+
+// ============================================
+// IN-MEMORY
+// ============================================
+
+export class MemoryLobbyStore {
+    /**
+     * @param {() => number} [clock] - returns the current time in ms
+     */
+    constructor(clock = () => Date.now()) {
+        this.clock = clock;
+        this.lobbies = new Map();
+    }
+
+    live(code) {
+        const lobby = this.lobbies.get(code);
+        if (lobby && lobby.expired) {
+            this.lobbies.delete(code);
+            return null;
+        }
+        return lobby || null;
+    }
+
+    async create(code) {
+        if (this.live(code)) return false;
+        this.lobbies.set(code, new Lobby(this.clock() + LOBBY_IDLE_MS, this.clock));
+        return true;
+    }
+
+    /**
+     * Seat a socket from the dev server.
+     * @param {() => Object} upgrade - completes the WebSocket handshake and
+     *   returns the server end; only called once the lobby has said yes
+     * @returns {LobbyError | null}
+     */
+    join(code, role, upgrade) {
+        const lobby = this.live(code);
+        if (!lobby) return NOT_FOUND;
+        const error = lobby.admit(role);
+        if (error) return error;
+        lobby.attach(role, upgrade());
+        return null;
+    }
+
+    // Plain Node can't hand back a WebSocket from fetch; the dev server
+    // answers upgrades itself through join()
+    async connect() {
+        return errorResponse('UPGRADE_UNSUPPORTED', 'Join lobbies through the dev server', 426);
+    }
+}
+
+// ============================================
+// DURABLE OBJECTS
+// ============================================
+
+const LOBBY_ORIGIN = 'https://lobby';
+
+export class DurableLobbyStore {
+    /**
+     * @param {DurableObjectNamespace} namespace - MATCH_LOBBIES binding
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    stub(code) {
+        return this.namespace.get(this.namespace.idFromName(code));
+    }
+
+    async create(code) {
+        const response = await this.stub(code).fetch(`${LOBBY_ORIGIN}/create`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error(`Lobby ${code} create failed: ${response.status}`);
+        }
+        return (await response.json()).created;
+    }
+
+    // Hand the upgrade request to the lobby's object, which answers with the socket
+    connect(code, role, request) {
+        return this.stub(code).fetch(new Request(`${LOBBY_ORIGIN}/join?role=${role}`, request));
+    }
+}
+
+/**
+ * Durable Object owning a single lobby. Both players' sockets end up in the
+ * same object, so passing messages on never leaves it.
+ */
+export class MatchLobby {
+    constructor(state) {
+        this.state = state;
+        this.lobby = null;
+    }
+
+    // The lobby outlives an eviction between create and the first join
+    async load() {
+        if (!this.lobby) {
+            const expiresAt = await this.state.storage.get('expiresAt');
+            if (expiresAt !== undefined) this.lobby = new Lobby(expiresAt, Date.now);
+        }
+        return this.lobby;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const action = url.pathname.slice(1);
+        const lobby = await this.load();
+
+        if (action === 'create') {
+            const created = !lobby || lobby.expired;
+            if (created) {
+                this.lobby = new Lobby(Date.now() + LOBBY_IDLE_MS, Date.now);
+                await this.state.storage.put('expiresAt', this.lobby.expiresAt);
+                await this.state.storage.setAlarm(this.lobby.expiresAt);
+            }
+            return new Response(JSON.stringify({ created }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        if (action === 'join') {
+            const role = url.searchParams.get('role');
+            const error = lobby ? lobby.admit(role) : NOT_FOUND;
+            if (error) return errorResponse(error.code, error.message, error.status);
+
+            const [client, server] = Object.values(new WebSocketPair());
+            server.accept();
+            lobby.attach(role, server);
+            return new Response(null, { status: 101, webSocket: client });
+        }
+
+        return new Response('Not found', { status: 404 });
+    }
+
+    // Closed lobbies free their code; busy or recently used ones check back later
+    async alarm() {
+        const lobby = await this.load();
+        if (lobby && !lobby.expired) {
+            await this.state.storage.setAlarm(Math.max(lobby.expiresAt, Date.now() + LOBBY_IDLE_MS / 3));
+            return;
+        }
+        this.lobby = null;
+        await this.state.storage.deleteAll();
+    }
+}
+
+/**
+ * Pick the lobby store for this environment: an injected store (local
+ * harness), else the Durable Object binding.
+ * @returns {LobbyStore | null} null if online play isn't set up
+ */
+export function createLobbyStore(env) {
+    if (env.LOBBY_STORE) return env.LOBBY_STORE;
+    if (env.MATCH_LOBBIES) return new DurableLobbyStore(env.MATCH_LOBBIES);
+    return null;
+}
@@ -0,0 +1,331 @@
+/**
+ * Leaderboard storage
+ * Boards are read-modify-written on every submit, so two submissions racing
+ * on a plain KV key can silently drop one of them. Every BoardStore here runs
+ * all writes to a board one at a time through a Serializer instead.
+ *
+ * - DurableBoardStore: production. One Durable Object per board key; the
+ *   object owns its board and serializes submits in-process.
+ * - MemoryBoardStore: same semantics in a single process, for local runs and
+ *   concurrent-submit tests under Node.
+ *
+ * @typedef {{id: string, name: string, score: number, date: string, badges?: string[], hidden?: boolean}} BoardEntry
+ *
+ * @typedef {Object} BoardStore
+ * @property {(key: string, offset: number, limit: number) => Promise<{total: number, entries: Object[]}>} page
+ * @property {(key: string, name: string, radius: number) => Promise<Object | null>} rank
+ *   rank, entry, nearby and total, or null if the player isn't on the board
+ * @property {(key: string, window: string, entry: BoardEntry, expiresAt: number | null) => Promise<{improved: boolean, rank: number | null, best: number | null}>} submit
+ * @property {(key: string, id: string, profile: {name: string, badges: string[]}) => Promise<void>} updatePlayer
+ *   show the identity's entry, if any, with a new display name and badges
+ * @property {(key: string, offset: number, limit: number) => Promise<{total: number, entries: Object[]}>} list
+ *   admin view, hidden entries and identity ids included
+ * @property {(key: string, op: 'hide' | 'unhide' | 'delete', target: {id?: string, name?: string}) => Promise<{entries: Object[]}>} moderate
+ *   entries affected by the action
+ * @property {(key: string, window: string, entries: BoardEntry[]) => Promise<void>} restore
+ *   put deleted entries back, keeping each player's best
+ */
+
+import {
+    page, findRank, findPlayer, recordScore, updatePlayer,
+    visibleEntries, adminPage, setHidden, removeEntries
+} from './leaderboard.js';
+
+/**
+ * Runs async tasks one at a time per key, in call order. A failed task
+ * doesn't block the ones queued behind it.
+ */
+export class Serializer {
+    constructor() {
+        this.tails = new Map();
+    }
+
+    run(key, task) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        const result = previous.then(task);
+        const tail = result.catch(() => { });
+        this.tails.set(key, tail);
+
+        // Drop the queue once it drains so idle keys don't accumulate
+        tail.then(() => {
+            if (this.tails.get(key) === tail) this.tails.delete(key);
+        });
+        return result;
+    }
+}
+
+/**
+ * Board operations on top of an async load/save pair. Callers are
+ * responsible for serializing every method that saves.
+ */
+class BoardOps {
+    constructor(load, save) {
+        this.load = load;
+        this.save = save;
+    }
+
+    async page(offset, limit) {
+        const board = await this.load();
+        return { total: visibleEntries(board).length, entries: page(board, offset, limit) };
+    }
+
+    async rank(name, radius) {
+        const board = await this.load();
+        const found = findRank(board, name, radius);
+        return found ? Object.assign({ total: visibleEntries(board).length }, found) : null;
+    }
+
+    async submit(window, entry) {
+        const board = await this.load();
+        const improved = recordScore(board, window, entry);
+        if (improved) await this.save(board);
+
+        const found = findPlayer(board, entry.id, 0);
+        return {
+            improved,
+            rank: found ? found.rank : null,
+            best: found ? found.entry.score : null
+        };
+    }
+
+    async updatePlayer(id, profile) {
+        const board = await this.load();
+        if (updatePlayer(board, id, profile)) await this.save(board);
+    }
+
+    async list(offset, limit) {
+        const board = await this.load();
+        return { total: board.length, entries: adminPage(board, offset, limit) };
+    }
+
+    async moderate(op, target) {
+        const board = await this.load();
+        const entries = op === 'delete'
+            ? removeEntries(board, target)
+            : setHidden(board, target, op === 'hide');
+        if (entries.length > 0) await this.save(board);
+        return { entries };
+    }
+
+    async restore(window, entries) {
+        const board = await this.load();
+        let changed = false;
+        entries.forEach(entry => {
+            const restored = Object.assign({}, entry);
+            delete restored.hidden;
+            changed = recordScore(board, window, restored) || changed;
+        });
+        if (changed) await this.save(board);
+    }
+}
+
+// ============================================
+// IN-MEMORY
+// ============================================
+
+export class MemoryBoardStore {
+    /**
+     * @param {() => number} [clock] - returns the current time in ms
+     */
+    constructor(clock = () => Date.now()) {
+        this.clock = clock;
+        this.boards = new Map();
+        this.serializer = new Serializer();
+    }
+
+    ops(key) {
+        return new BoardOps(
+            async () => {
+                const stored = this.boards.get(key);
+                if (!stored) return [];
+                if (stored.expiresAt !== null && stored.expiresAt <= this.clock()) {
+                    this.boards.delete(key);
+                    return [];
+                }
+                return stored.board.map(e => Object.assign({}, e));
+            },
+            async (board) => {
+                const stored = this.boards.get(key);
+                this.boards.set(key, {
+                    board: board.map(e => Object.assign({}, e)),
+                    expiresAt: stored ? stored.expiresAt : null
+                });
+            }
+        );
+    }
+
+    page(key, offset, limit) {
+        return this.ops(key).page(offset, limit);
+    }
+
+    rank(key, name, radius) {
+        return this.ops(key).rank(name, radius);
+    }
+
+    submit(key, window, entry, expiresAt) {
+        return this.serializer.run(key, async () => {
+            const result = await this.ops(key).submit(window, entry);
+            const stored = this.boards.get(key);
+            if (stored) stored.expiresAt = expiresAt;
+            return result;
+        });
+    }
+
+    updatePlayer(key, id, profile) {
+        return this.serializer.run(key, () => this.ops(key).updatePlayer(id, profile));
+    }
+
+    list(key, offset, limit) {
+        return this.ops(key).list(offset, limit);
+    }
+
+    moderate(key, op, target) {
+        return this.serializer.run(key, () => this.ops(key).moderate(op, target));
+    }
+
+    restore(key, window, entries) {
+        return this.serializer.run(key, () => this.ops(key).restore(window, entries));
+    }
+}
+
+// ============================================
+// DURABLE OBJECTS
+// ============================================
+
+const BOARD_ORIGIN = 'https://board';
+
+export class DurableBoardStore {
+    /**
+     * @param {DurableObjectNamespace} namespace - LEADERBOARD_BOARDS binding
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async call(key, action, payload) {
+        const stub = this.namespace.get(this.namespace.idFromName(key));
+        const response = await stub.fetch(`${BOARD_ORIGIN}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(Object.assign({ key }, payload))
+        });
+        if (!response.ok) {
+            throw new Error(`Board ${key} ${action} failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    page(key, offset, limit) {
+        return this.call(key, 'page', { offset, limit });
+    }
+
+    rank(key, name, radius) {
+        return this.call(key, 'rank', { name, radius });
+    }
+
+    submit(key, window, entry, expiresAt) {
+        return this.call(key, 'submit', { window, entry, expiresAt });
+    }
+
+    async updatePlayer(key, id, profile) {
+        await this.call(key, 'player', { id, profile });
+    }
+
+    list(key, offset, limit) {
+        return this.call(key, 'list', { offset, limit });
+    }
+
+    moderate(key, op, target) {
+        return this.call(key, 'moderate', { op, target });
+    }
+
+    async restore(key, window, entries) {
+        await this.call(key, 'restore', { window, entries });
+    }
+}
+
+/**
+ * Durable Object owning a single board. Submits are serialized here, so the
+ * read-modify-write of the board can't interleave.
+ */
+export class LeaderboardBoard {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.serializer = new Serializer();
+    }
+
+    ops(key) {
+        return new BoardOps(
+            () => this.load(key),
+            (board) => this.state.storage.put('board', board)
+        );
+    }
+
+    async load(key) {
+        const board = await this.state.storage.get('board');
+        if (board !== undefined) return board;
+
+        // First use of the all-time board: adopt the list kept in KV before
+        // boards moved to Durable Objects
+        if (key === 'scores' && this.env.PONG_LEADERBOARD) {
+            const legacy = await this.env.PONG_LEADERBOARD.get('scores', { type: 'json' });
+            if (Array.isArray(legacy)) {
+                await this.state.storage.put('board', legacy);
+                return legacy;
+            }
+        }
+        return [];
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+        const body = await request.json();
+        let result;
+
+        if (action === 'page') {
+            result = await this.ops(body.key).page(body.offset, body.limit);
+        } else if (action === 'rank') {
+            result = await this.ops(body.key).rank(body.name, body.radius);
+        } else if (action === 'submit') {
+            result = await this.serializer.run('board', async () => {
+                const outcome = await this.ops(body.key).submit(body.window, body.entry);
+                if (body.expiresAt && (await this.state.storage.getAlarm()) === null) {
+                    await this.state.storage.setAlarm(body.expiresAt);
+                }
+                return outcome;
+            });
+        } else if (action === 'player') {
+            await this.serializer.run('board', () => this.ops(body.key).updatePlayer(body.id, body.profile));
+            result = { updated: true };
+        } else if (action === 'list') {
+            result = await this.ops(body.key).list(body.offset, body.limit);
+        } else if (action === 'moderate') {
+            result = await this.serializer.run('board', () => this.ops(body.key).moderate(body.op, body.target));
+        } else if (action === 'restore') {
+            await this.serializer.run('board', () => this.ops(body.key).restore(body.window, body.entries));
+            result = { restored: true };
+        } else {
+            return new Response('Not found', { status: 404 });
+        }
+
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    // Period boards delete themselves once their window is over
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
+
+/**
+ * Pick the board store for this environment: an injected store (local
+ * harness), else the Durable Object binding.
+ * @returns {BoardStore | null} null if neither is configured
+ */
+export function createBoardStore(env) {
+    if (env.BOARD_STORE) return env.BOARD_STORE;
+    if (env.LEADERBOARD_BOARDS) return new DurableBoardStore(env.LEADERBOARD_BOARDS);
+    return null;
+}
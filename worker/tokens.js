@@ -0,0 +1,213 @@
+/**
+ * Game tokens
+ * HMAC-SHA256 signed, single-use tokens issued by /api/start. Each token
+ * carries a random nonce, the client's session id and the run's seed, so it
+ * can only back one submission of that one run from that one session.
+ *
+ * Used nonces live in a NonceRegistry (a TokenNonce Durable Object per
+ * nonce), so two submissions racing with the same token can't both spend it.
+ *
+ * @typedef {Object} NonceRegistry
+ * @property {(nonce: string) => Promise<boolean>} used
+ *   whether a submission has already spent the nonce
+ * @property {(nonce: string, expiresAt: number) => Promise<boolean>} consume
+ *   spend the nonce until `expiresAt`; false if it was already spent
+ */
+
+import { Serializer } from './storage.js';
+
+// Tokens are valid for a week after issue. Runs are at most an hour long
+// (MAX_REPLAY_TICKS), but clients queue submissions made while offline and
+// send them once they reconnect; the signed seed and session, the replay and
+// the single-use nonce still tie each one to the run it was issued for.
+export const TOKEN_TTL_MS = 7 * 24 * 3600000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function importKey(secretKey) {
+    return crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secretKey),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * Issue a token for a new run.
+ * @param {{session: string, seed: number, now: number}} claims
+ */
+export async function createToken(claims, secretKey) {
+    const payload = {
+        n: toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+        t: claims.now,
+        s: claims.session,
+        seed: claims.seed
+    };
+
+    const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+    const key = await importKey(secretKey);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+
+    return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Check a token's signature and decode its payload.
+ * @returns {Promise<{nonce: string, issuedAt: number, session: string, seed: number} | null>}
+ *   null if the token is malformed or the signature doesn't match
+ */
+export async function verifyToken(token, secretKey) {
+    if (!token || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+
+    try {
+        const key = await importKey(secretKey);
+        const valid = await crypto.subtle.verify(
+            'HMAC', key, fromBase64Url(parts[1]), encoder.encode(parts[0])
+        );
+        if (!valid) return null;
+
+        const payload = JSON.parse(decoder.decode(fromBase64Url(parts[0])));
+        return {
+            nonce: payload.n,
+            issuedAt: payload.t,
+            session: payload.s,
+            seed: payload.seed
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// ============================================
+// IN-MEMORY
+// ============================================
+
+export class MemoryNonceRegistry {
+    /**
+     * @param {() => number} [clock] - returns the current time in ms
+     */
+    constructor(clock = () => Date.now()) {
+        this.clock = clock;
+        this.spent = new Map();
+        this.serializer = new Serializer();
+    }
+
+    live(nonce) {
+        const expiresAt = this.spent.get(nonce);
+        if (expiresAt !== undefined && expiresAt <= this.clock()) this.spent.delete(nonce);
+        return this.spent.has(nonce);
+    }
+
+    async used(nonce) {
+        return this.live(nonce);
+    }
+
+    consume(nonce, expiresAt) {
+        return this.serializer.run(nonce, async () => {
+            if (this.live(nonce)) return false;
+            this.spent.set(nonce, expiresAt);
+            return true;
+        });
+    }
+}
+
+// ============================================
+// DURABLE OBJECTS
+// ============================================
+
+export class DurableNonceRegistry {
+    /**
+     * @param {DurableObjectNamespace} namespace - TOKEN_NONCES binding
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    async call(nonce, action, payload) {
+        const stub = this.namespace.get(this.namespace.idFromName(nonce));
+        const response = await stub.fetch(`https://nonce/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(payload || {})
+        });
+        if (!response.ok) {
+            throw new Error(`Nonce ${action} failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async used(nonce) {
+        return (await this.call(nonce, 'used')).used;
+    }
+
+    async consume(nonce, expiresAt) {
+        return (await this.call(nonce, 'consume', { expiresAt })).consumed;
+    }
+}
+
+/**
+ * Durable Object guarding a single token nonce. Consumes are serialized, so
+ * the check-then-set can't interleave and only one submission spends it.
+ */
+export class TokenNonce {
+    constructor(state) {
+        this.state = state;
+        this.serializer = new Serializer();
+    }
+
+    async fetch(request) {
+        const action = new URL(request.url).pathname.slice(1);
+        const { expiresAt } = await request.json();
+
+        const result = await this.serializer.run('nonce', async () => {
+            const spent = (await this.state.storage.get('spent')) === true;
+
+            if (action === 'used') return { used: spent };
+            if (action === 'consume') {
+                if (spent) return { consumed: false };
+                await this.state.storage.put('spent', true);
+                await this.state.storage.setAlarm(expiresAt);
+                return { consumed: true };
+            }
+            return null;
+        });
+
+        if (!result) return new Response('Not found', { status: 404 });
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    // Forget the nonce once its token would have expired anyway
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
+
+/**
+ * Pick the nonce registry for this environment: an injected one (local
+ * harness), else the Durable Object binding.
+ * @returns {NonceRegistry | null}
+ */
+export function createNonceRegistry(env) {
+    if (env.NONCE_REGISTRY) return env.NONCE_REGISTRY;
+    if (env.TOKEN_NONCES) return new DurableNonceRegistry(env.TOKEN_NONCES);
+    return null;
+}